@@ -0,0 +1,15 @@
+// App configuration
+
+const APP_CONFIG = {
+    // Where data and attachments are stored:
+    // 'firestore' - Firebase Firestore + Storage (shared between devices via Access Code)
+    // 'local'     - IndexedDB in this browser only (air-gapped offices, automated tests)
+    storageBackend: 'firestore',
+
+    // Connect to the Firebase Emulator Suite (auth, firestore, storage) on
+    // this machine instead of the real project. Start it with
+    // `firebase emulators:start`.
+    useFirebaseEmulators: false
+};
+
+export { APP_CONFIG };
@@ -24,7 +24,8 @@ const STEPS_TEMPLATE = [
     {
         id: 4,
         title: "ขออนุมัติจัดซื้อ/จัดจ้าง",
-        defaultChecklist: []
+        defaultChecklist: [],
+        requiresApproval: true
     },
     {
         id: 5,
@@ -34,12 +35,87 @@ const STEPS_TEMPLATE = [
     {
         id: 6,
         title: "ตรวจรับพัสดุ/งานจ้าง",
-        defaultChecklist: []
+        defaultChecklist: [],
+        durationDays: 3
     },
     {
         id: 7,
         title: "เบิกจ่ายเงิน",
-        defaultChecklist: []
+        defaultChecklist: [],
+        requiresApproval: true
+    }
+];
+
+// Step templates for the workspace's library (see StepTemplates)
+// `durations` maps a step number to its standard duration in working days.
+const templateSteps = (titles, approvalSteps = [], durations = {}) => titles.map((title, index) => ({
+    id: index + 1,
+    title,
+    defaultChecklist: [],
+    ...(approvalSteps.includes(index + 1) ? { requiresApproval: true } : {}),
+    ...(durations[index + 1] ? { durationDays: durations[index + 1] } : {})
+}));
+
+const DEFAULT_STEP_TEMPLATES = [
+    {
+        id: 'e-bidding',
+        name: 'ประกวดราคาอิเล็กทรอนิกส์ (e-bidding)',
+        methods: ['e-bidding'],
+        purchaseTypes: [],
+        steps: templateSteps([
+            "สำรวจความต้องการ",
+            "จัดทำรายละเอียด/TOR",
+            "ประมาณราคากลาง",
+            "ขออนุมัติจัดซื้อ/จัดจ้าง",
+            "เผยแพร่ร่างประกาศและรับฟังความคิดเห็น",
+            "ประกาศเชิญชวนและรับข้อเสนอ",
+            "พิจารณาผลและประกาศผู้ชนะ",
+            "ระยะเวลาอุทธรณ์",
+            "ลงนามสัญญา",
+            "ตรวจรับพัสดุ/งานจ้าง",
+            "เบิกจ่ายเงิน"
+        ], [4, 11], { 5: 3, 6: 5, 8: 7, 10: 3 })
+    },
+    {
+        id: 'selection',
+        name: 'วิธีคัดเลือก',
+        methods: ['selection'],
+        purchaseTypes: [],
+        steps: templateSteps([
+            "สำรวจความต้องการ",
+            "จัดทำรายละเอียด/TOR",
+            "ประมาณราคากลาง",
+            "ขออนุมัติจัดซื้อ/จัดจ้าง",
+            "หนังสือเชิญชวนผู้ประกอบการ (ไม่น้อยกว่า 3 ราย)",
+            "พิจารณาผลและประกาศผู้ชนะ",
+            "ระยะเวลาอุทธรณ์",
+            "ลงนามสัญญา",
+            "ตรวจรับพัสดุ/งานจ้าง",
+            "เบิกจ่ายเงิน"
+        ], [4, 10], { 7: 7, 9: 3 })
+    },
+    {
+        id: 'specific',
+        name: 'วิธีเฉพาะเจาะจง',
+        methods: ['specific'],
+        purchaseTypes: [],
+        steps: templateSteps([
+            "สำรวจความต้องการ",
+            "จัดทำรายละเอียด/ขอบเขตงาน",
+            "ประมาณราคากลาง",
+            "ขออนุมัติจัดซื้อ/จัดจ้าง",
+            "เจรจาตกลงราคา",
+            "ออกใบสั่งซื้อ/สั่งจ้าง หรือทำสัญญา",
+            "ตรวจรับพัสดุ/งานจ้าง",
+            "เบิกจ่ายเงิน"
+        ], [4, 8], { 7: 3 })
+    },
+    {
+        id: 'general',
+        name: 'ทั่วไป',
+        methods: [],
+        purchaseTypes: [],
+        steps: STEPS_TEMPLATE
     }
 ];
 
@@ -51,6 +127,75 @@ const PRIORITY_LABELS = {
     'extreme': { label: 'ด่วนชิบหาย', class: 'priority-extreme', icon: 'fa-solid fa-skull-crossbones' }
 };
 
+// Labels for project fields, used when describing changes to the user
+const FIELD_LABELS = {
+    'name': 'ชื่อโครงการ',
+    'description': 'รายละเอียด',
+    'budget': 'งบประมาณ',
+    'contractAmount': 'วงเงินตามสัญญา',
+    'deadline': 'กำหนดเสร็จ',
+    'priority': 'ความเร่งด่วน',
+    'purchaseType': 'ประเภทการจัดหา',
+    'procurementMethod': 'วิธีการจัดหา',
+    'docNumberPrefix': 'คำนำหน้าเลขหนังสือ',
+    'title': 'ชื่อ',
+    'text': 'ข้อความ',
+    'checked': 'สถานะเช็ก',
+    'completed': 'สถานะเสร็จสิ้น',
+    'completedAt': 'วันที่เสร็จสิ้น',
+    'documentNumber': 'เลขหนังสือ',
+    'documentDate': 'ลงวันที่',
+    'currentStepIndex': 'ขั้นตอนปัจจุบัน',
+    'deletedAt': 'วันที่ลบ',
+    'deletedBy': 'ผู้ลบ',
+    'revokedAt': 'วันที่ยกเลิก',
+    'assignee': 'ผู้รับผิดชอบ',
+    'requiresApproval': 'ต้องอนุมัติ',
+    'approver': 'ผู้อนุมัติ',
+    'status': 'สถานะ',
+    'decidedBy': 'ผู้พิจารณา',
+    'decidedAt': 'วันที่พิจารณา',
+    'comment': 'ความเห็น',
+    'methodOverride': 'เหตุผลการเลือกวิธีการจัดหา',
+    'durationDays': 'ระยะเวลา (วันทำการ)',
+    'dueDate': 'กำหนดเสร็จขั้นตอน',
+    'fiscalYear': 'ปีงบประมาณ',
+    'budgetSource': 'แหล่งเงิน',
+    'vendor': 'ผู้ชนะการเสนอราคา',
+    'bidders': 'ผู้เสนอราคา',
+    'contract': 'สัญญา',
+    'number': 'เลขที่',
+    'signedAt': 'วันที่ลงนาม',
+    'penaltyRate': 'อัตราค่าปรับ (% ต่อวัน)',
+    'penaltyMinPerDay': 'ค่าปรับขั้นต่ำต่อวัน',
+    'warrantyMonths': 'ระยะรับประกัน (เดือน)',
+    'guarantee': 'หลักประกันสัญญา',
+    'amount': 'จำนวนเงิน',
+    'deliveredAt': 'วันที่ส่งมอบ',
+    'inspectedAt': 'วันที่ตรวจรับ',
+    'inspectionDocument': 'เลขที่ใบตรวจรับ',
+    'disbursedAt': 'วันที่เบิกจ่าย',
+    'disbursementDocument': 'เลขที่เอกสารเบิกจ่าย',
+    'committee': 'คณะกรรมการ',
+    'medianPrice': 'ราคากลาง',
+    'priceWorksheet': 'ตารางคำนวณราคากลาง',
+    'lineItems': 'รายการพัสดุ'
+};
+
+// Labels for collections inside a project
+const PATH_LABELS = {
+    'steps': 'ขั้นตอน',
+    'checklist': 'รายการตรวจสอบ',
+    'timeline': 'บันทึกเหตุการณ์',
+    'postits': 'โน้ต',
+    'notes': 'บันทึก',
+    'attachments': 'ไฟล์แนบ',
+    'trash': 'ถังขยะ',
+    'shares': 'ลิงก์แชร์',
+    'approvals': 'คำขออนุมัติ',
+    'installments': 'งวดงาน'
+};
+
 class Project {
     constructor(name, description, budget, deadline, priority = 'normal', purchaseType = 'buy', template = STEPS_TEMPLATE, method = 'e-bidding', contractAmount = 0) {
         this.id = Date.now().toString(); // Simple ID generation
@@ -66,6 +211,20 @@ class Project {
         this.updatedAt = this.createdAt;
         this.status = 'active'; // active, completed
         this.currentStepIndex = 0; // 0-based index (0 = Step 1)
+        this.schemaVersion = SchemaMigrator.latest('project');
+        this.history = [];
+        this.trash = [];
+        this.shares = [];
+        this.assignee = null; // { uid, name } of a workspace member, see Membership.assignee
+        this.methodOverride = null; // see MethodRules
+        this.templateId = null; // see StepTemplates
+        this.fiscalYear = FiscalYear.of(this.createdAt); // see BudgetSummary
+        this.budgetSource = null;
+        this.vendor = null; // { id, name } of the winning vendor, see Vendors
+        this.bidders = [];
+        this.contract = null; // see Contracts
+        this.medianPrice = null; // see PriceWorksheet
+        this.lineItems = []; // see LineItems
 
         // Initialize steps with checklists from template
         this.steps = template.map((t, index) => ({
@@ -73,682 +232,6673 @@ class Project {
             title: t.title,
             completed: false,
             completedAt: null,
-            notes: [],
-            checklist: (t.defaultChecklist || []).map(text => ({
-                text: text,
-                checked: false,
-                completedAt: null
-            }))
+            assignee: null,
+            requiresApproval: !!t.requiresApproval,
+            approver: t.approver || null,
+            approvals: [],
+            durationDays: t.durationDays || null,
+            dueDate: null,
+            committee: null,
+            priceWorksheet: null,
+            timeline: [],
+            postits: [],
+            checklist: (t.defaultChecklist || []).map(text => Project.checklistItem(text, this.createdAt))
         }));
+        StepSchedule.plan(this, -1, this.createdAt).forEach(([i, dueDate]) => {
+            this.steps[i].dueDate = dueDate;
+        });
+    }
+
+    static checklistItem(text, createdAt = new Date().toISOString()) {
+        return { text, checked: false, completedAt: null, createdAt, assignee: null, notes: [] };
+    }
+
+    // Recalculate current pointer (first incomplete step) and overall status
+    static updateProgress(project) {
+        const firstIncompleteIdx = project.steps.findIndex(s => !s.completed);
+        if (firstIncompleteIdx !== -1) {
+            project.currentStepIndex = firstIncompleteIdx;
+            project.status = 'active';
+        } else {
+            // All steps are completed
+            project.currentStepIndex = project.steps.length - 1;
+            project.status = 'completed';
+        }
+    }
+
+    // Soft-deleted projects stay in storage until the trash is purged
+    static isTrashed(project) {
+        return !!project.deletedAt;
     }
 }
 
-// --- Storage Manager ---
+// --- Step Template Library ---
+// A workspace keeps a library of step templates (`stepTemplates`, default
+// DEFAULT_STEP_TEMPLATES): { id, name, methods, purchaseTypes, steps }. A new
+// project gets the first template listing its procurement method and
+// purchase type (an empty list matches any), unless the user picks another;
+// the project remembers it as `templateId`. A template migrated from a
+// workspace's custom steps carries `pendingReview` until an owner saves the
+// library.
+
+class StepTemplates {
+    static matches(template, method, purchaseType) {
+        const fits = (list, value) => !list || list.length === 0 || list.includes(value);
+        return fits(template.methods, method) && fits(template.purchaseTypes, purchaseType);
+    }
 
-// --- Firestore Manager (Replaces LocalStorage) ---
+    static forProject(templates, method, purchaseType) {
+        return templates.find(t => this.matches(t, method, purchaseType)) || templates[templates.length - 1];
+    }
 
-import { db } from './firebase-config.js';
-import { doc, getDoc, setDoc, onSnapshot } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
+    static find(templates, id) {
+        return templates.find(t => t.id === id) || null;
+    }
 
-class FirestoreManager {
-    static get accessCode() {
-        return sessionStorage.getItem('protracker_access_code');
+    // The template a project's steps came from. Projects from before the
+    // library have no templateId and belong to the catch-all template.
+    static ofProject(templates, project) {
+        if (project.templateId) return this.find(templates, project.templateId);
+        return templates.find(t => this.matches(t, null, null)) || null;
     }
 
-    static setAccessCode(code) {
-        sessionStorage.setItem('protracker_access_code', code);
+    // The default library, with a workspace's single custom template (from
+    // before the library) as its general template. That template goes first,
+    // flagged `pendingReview`, so new projects keep getting the workspace's
+    // own steps until an owner has looked at the library (see reviewed)
+    static fromLegacy(customSteps) {
+        const templates = JSON.parse(JSON.stringify(DEFAULT_STEP_TEMPLATES));
+        const general = templates.find(t => t.id === 'general');
+        return [
+            { ...general, steps: customSteps, pendingReview: true },
+            ...templates.filter(t => t !== general)
+        ];
     }
 
-    static clearAccessCode() {
-        sessionStorage.removeItem('protracker_access_code');
+    // The library as an owner saves it: a template still pending review
+    // drops its flag and becomes the catch-all at the end
+    static reviewed(templates) {
+        const pending = templates.filter(t => t.pendingReview).map(({ pendingReview, ...t }) => t);
+        return [...templates.filter(t => !t.pendingReview), ...pending];
     }
 
-    // Check if workspace exists
-    static async checkWorkspace(code) {
-        try {
-            const docRef = doc(db, 'workspaces', code);
-            const docSnap = await getDoc(docRef);
-            return docSnap.exists();
-        } catch (error) {
-            console.error("Error checking workspace:", error);
-            throw error;
+    static describe(template) {
+        const methods = template.methods.length ? template.methods.map(m => PROCUREMENT_METHOD_LABELS[m]).join(', ') : 'ทุกวิธี';
+        const types = template.purchaseTypes.length ? template.purchaseTypes.map(t => PURCHASE_TYPE_LABELS[t]).join('/') : 'ทุกประเภท';
+        return `${methods} · ${types}`;
+    }
+}
+
+// --- Schema Migrations ---
+// Stored workspaces and projects carry a `schemaVersion`. Migration N
+// upgrades a record from version N-1 to N; add new ones at the end of the
+// list and never edit a migration that has shipped. Records without a
+// version are treated as version 0.
+
+const SCHEMA_MIGRATIONS = {
+    project: [
+        // 1: `step.notes` (a string in the oldest records) becomes separate
+        // `timeline` and `postits` arrays
+        (project) => {
+            (project.steps || []).forEach(step => {
+                let notes = step.notes || [];
+                if (typeof notes === 'string') {
+                    // Use a stable timestamp: it is the note's key for later edits
+                    notes = notes ? [{ timestamp: project.createdAt, text: notes, type: 'timeline' }] : [];
+                }
+                if (!step.timeline) step.timeline = notes.filter(n => !n.type || n.type === 'timeline');
+                if (!step.postits) step.postits = notes.filter(n => n.type === 'postit');
+                delete step.notes;
+            });
+        },
+        // 2: every checklist item has `createdAt` (part of its key in
+        // field-level changes), `completedAt` and a `notes` array
+        (project) => {
+            (project.steps || []).forEach(step => {
+                step.checklist = (step.checklist || []).map(item => ({
+                    ...item,
+                    checked: !!item.checked,
+                    completedAt: item.completedAt || null,
+                    createdAt: item.createdAt || project.createdAt,
+                    notes: item.notes || []
+                }));
+            });
+        },
+        // 3: audit trail (see AuditLog)
+        (project) => {
+            project.history = project.history || [];
+        },
+        // 4: deleted notes and attachments (see Trash)
+        (project) => {
+            project.trash = project.trash || [];
+        },
+        // 5: read-only share links (see ShareLinks)
+        (project) => {
+            project.shares = project.shares || [];
+        },
+        // 6: assignees on the project, its steps and checklist items
+        (project) => {
+            project.assignee = project.assignee || null;
+            (project.steps || []).forEach(step => {
+                step.assignee = step.assignee || null;
+                (step.checklist || []).forEach(item => {
+                    item.assignee = item.assignee || null;
+                });
+            });
+        },
+        // 7: approval requests (see StepApproval)
+        (project) => {
+            (project.steps || []).forEach(step => {
+                step.requiresApproval = !!step.requiresApproval;
+                step.approver = step.approver || null;
+                step.approvals = step.approvals || [];
+            });
+        },
+        // 8: justification for a method the budget rules don't allow (see MethodRules)
+        (project) => {
+            project.methodOverride = project.methodOverride || null;
+        },
+        // 9: step durations and due dates (see StepSchedule)
+        (project) => {
+            (project.steps || []).forEach(step => {
+                step.durationDays = step.durationDays || null;
+                step.dueDate = step.dueDate || null;
+            });
+        },
+        // 10: dates typed with a BE year were stored as that year AD (e.g.
+        // 2569-03-15); move them back. Document dates, kept as typed, become
+        // 'YYYY-MM-DD' (see ThaiDate)
+        (project) => {
+            const repair = (record, ...keys) => keys.forEach(key => {
+                if (record[key]) record[key] = ThaiDate.repair(record[key]);
+            });
+            repair(project, 'deadline');
+            (project.steps || []).forEach(step => {
+                repair(step, 'dueDate');
+                [step, ...(step.approvals || [])].forEach(record => {
+                    repair(record, 'completedAt');
+                    const documentDate = record.documentDate && ThaiDate.parse(record.documentDate);
+                    if (documentDate) record.documentDate = ThaiDate.toDateString(documentDate);
+                });
+                (step.checklist || []).forEach(item => repair(item, 'completedAt', 'deadline'));
+            });
+        },
+        // 11: fiscal year and source of funds (see BudgetSummary)
+        (project) => {
+            project.fiscalYear = project.fiscalYear || FiscalYear.of(project.createdAt);
+            project.budgetSource = project.budgetSource || null;
+        },
+        // 12: winning vendor and bidders (see Vendors)
+        (project) => {
+            project.vendor = project.vendor || null;
+            project.bidders = project.bidders || [];
+        },
+        // 13: contract with installments, guarantee and penalties (see Contracts)
+        (project) => {
+            project.contract = project.contract || null;
+        },
+        // 14: committee rosters (see Committees)
+        (project) => {
+            (project.steps || []).forEach(step => {
+                step.committee = step.committee || null;
+            });
+        },
+        // 15: median price worksheet (see PriceWorksheet)
+        (project) => {
+            project.medianPrice = project.medianPrice || null;
+            (project.steps || []).forEach(step => {
+                step.priceWorksheet = step.priceWorksheet || null;
+            });
+        },
+        // 16: bill of quantities (see LineItems)
+        (project) => {
+            project.lineItems = project.lineItems || [];
+        },
+        // 17: the schedule stops at the first step without a duration (see
+        // StepSchedule). Dates the earlier plan chained past such steps are
+        // dropped where they still match what it produced, from the creation
+        // date or a step's completion; dates changed by hand stay.
+        (project) => {
+            const steps = project.steps || [];
+            const anchors = [[-1, project.createdAt], ...steps.map((s, i) => [i, s.completed && s.completedAt]).filter(([, at]) => at)];
+            const planned = anchors.flatMap(([from, at]) => {
+                // What was still incomplete when the plan was made
+                const then = steps.map(s => ({ ...s, completed: !!s.completed && !!s.completedAt && s.completedAt <= at }));
+                const due = [];
+                let cursor = new Date(at);
+                then.forEach((s, i) => {
+                    if (i <= from || s.completed || !s.durationDays) return;
+                    cursor = WorkingCalendar.add(cursor, s.durationDays);
+                    due.push([i, ThaiDate.toDateString(cursor)]);
+                });
+                return due;
+            });
+            const current = { ...project, steps };
+            const last = steps.map((s, i) => i).filter(i => steps[i].completed).pop();
+            const kept = new Set(StepSchedule.plan(current, last === undefined ? -1 : last,
+                last === undefined ? project.createdAt : steps[last].completedAt || project.createdAt).map(([i, d]) => `${i}:${d}`));
+            planned.forEach(([i, dueDate]) => {
+                if (!steps[i].completed && steps[i].dueDate === dueDate && !kept.has(`${i}:${dueDate}`)) steps[i].dueDate = null;
+            });
+        }
+    ],
+    workspace: [
+        // 1: custom step templates always have an id and a checklist array
+        (workspace) => {
+            if (!Array.isArray(workspace.customSteps)) return;
+            workspace.customSteps = workspace.customSteps.map((t, index) => ({
+                ...t,
+                id: t.id || index + 1,
+                defaultChecklist: t.defaultChecklist || []
+            }));
+        },
+        // 2: the single custom template becomes part of a template library
+        // (see StepTemplates). `customSteps` is left in place for older clients.
+        (workspace) => {
+            if (Array.isArray(workspace.customSteps) && !workspace.stepTemplates) {
+                workspace.stepTemplates = StepTemplates.fromLegacy(workspace.customSteps);
+            }
+        },
+        // 3: the vendor directory is keyed by id (see Vendors)
+        (workspace) => {
+            if (Array.isArray(workspace.vendors)) {
+                workspace.vendors = Object.fromEntries(workspace.vendors.map(v => [v.id, v]));
+            }
         }
+    ]
+};
+
+class SchemaMigrator {
+    static latest(scope) {
+        return SCHEMA_MIGRATIONS[scope].length;
     }
 
-    // Create new workspace or overwrite existing
-    static async saveWorkspace(data) {
-        const code = this.accessCode;
-        if (!code) throw new Error('No access code set');
+    static isCurrent(scope, record) {
+        return (record.schemaVersion || 0) >= this.latest(scope);
+    }
 
-        try {
-            const docRef = doc(db, 'workspaces', code);
-            // Firestore cannot save custom class instances (like new Project()). 
-            // We must convert them to plain objects first.
-            const plainData = JSON.parse(JSON.stringify(data));
+    // Run the pending migrations on `record` in place.
+    // Returns true if anything changed (the caller should persist it).
+    static upgrade(scope, record) {
+        if (!record || this.isCurrent(scope, record)) return false;
+        SCHEMA_MIGRATIONS[scope].slice(record.schemaVersion || 0).forEach(migrate => migrate(record));
+        record.schemaVersion = this.latest(scope);
+        return true;
+    }
 
-            await setDoc(docRef, {
-                ...plainData,
-                lastAccessedAt: new Date().toISOString()
-            }, { merge: true });
-        } catch (error) {
-            console.error("Error saving workspace:", error);
-            // Show detailed error to user
-            alert(`บันทึกข้อมูลไม่สำเร็จ! \nError: ${error.message}\nCode: ${error.code || 'unknown'}`);
-        }
+    static upgradeAll(scope, records) {
+        records.forEach(r => this.upgrade(scope, r));
+        return records;
     }
+}
 
-    // Get full workspace data
-    static async getWorkspaceData() {
-        const code = this.accessCode;
-        if (!code) return null;
+// --- Project Patch (field-level changes) ---
+// A change is a plain, serializable object: { op: 'set' | 'push' | 'remove', path, value, prev }.
+// A push may carry an `index` to insert at instead of appending.
+// A path is a list of segments: a string is a property key, an object is a
+// selector that picks the array element whose properties all match it,
+// e.g. ['steps', { id: 3 }, 'checklist', { text: 'TOR', createdAt: '...' }, 'checked'].
+
+class ProjectConflictError extends Error {
+    constructor(conflicts, remote) {
+        super('ข้อมูลถูกแก้ไขโดยผู้อื่นในระหว่างนี้');
+        this.name = 'ProjectConflictError';
+        this.conflicts = conflicts;
+        this.remote = remote;
+    }
+}
 
-        try {
-            const docRef = doc(db, 'workspaces', code);
-            const docSnap = await getDoc(docRef);
-            if (docSnap.exists()) {
-                return docSnap.data();
-            }
-            return null;
-        } catch (error) {
-            console.error("Error fetching workspace:", error);
-            return null;
-        }
+class ProjectPatch {
+    static set(path, value, prev) {
+        return { op: 'set', path, value, prev };
     }
 
-    // --- Legacy Adapter Methods (to match old usage) ---
+    static push(path, value, index) {
+        return index === undefined ? { op: 'push', path, value } : { op: 'push', path, value, index };
+    }
 
-    static async getProjects() {
-        const data = await this.getWorkspaceData();
-        return data?.projects || [];
+    static remove(path) {
+        return { op: 'remove', path };
     }
 
-    static async addProject(project) {
-        const projects = await this.getProjects();
-        project.updatedAt = new Date().toISOString();
-        projects.unshift(project); // Add to top
-        await this.saveWorkspace({ projects });
-        return projects;
+    static clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
     }
 
-    static async updateProject(updatedProject) {
-        const projects = await this.getProjects();
-        const index = projects.findIndex(p => p.id === updatedProject.id);
-        if (index !== -1) {
-            updatedProject.updatedAt = new Date().toISOString();
-            projects[index] = updatedProject;
-            await this.saveWorkspace({ projects });
+    static same(a, b) {
+        return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    }
+
+    static matches(el, selector) {
+        return !!el && Object.keys(selector).every(k => el[k] === selector[k]);
+    }
+
+    // Resolve `path` to the container and key of its last segment
+    static locate(root, path) {
+        let parent = root;
+        for (let i = 0; i < path.length - 1; i++) {
+            const seg = path[i];
+            parent = typeof seg === 'object'
+                ? (Array.isArray(parent) ? parent.find(el => this.matches(el, seg)) : undefined)
+                : parent[seg];
+            if (parent === undefined || parent === null) return null;
+        }
+
+        const last = path[path.length - 1];
+        if (typeof last === 'object') {
+            if (!Array.isArray(parent)) return null;
+            const index = parent.findIndex(el => this.matches(el, last));
+            return { parent, key: index, found: index !== -1 };
         }
-        return projects;
+        return { parent, key: last, found: true };
     }
 
-    static async deleteProject(id) {
-        let projects = await this.getProjects();
-        projects = projects.filter(p => p.id !== id);
-        await this.saveWorkspace({ projects });
-        return projects;
+    static get(root, path) {
+        const loc = this.locate(root, path);
+        return loc && loc.found ? loc.parent[loc.key] : undefined;
     }
 
-    static async getProject(id) {
-        const projects = await this.getProjects();
-        return projects.find(p => p.id === id);
+    // Apply changes in order. A `set` whose target moved away from `prev`
+    // (and not already to `value`) is a conflict, as is a change whose target
+    // no longer exists. Returns the applied changes (with their old values)
+    // and the conflicts; callers decide whether to keep a partial result.
+    static apply(root, changes, { force = false } = {}) {
+        const applied = [];
+        const conflicts = [];
+
+        changes.forEach((change, index) => {
+            const loc = this.locate(root, change.path);
+
+            if (change.op === 'set') {
+                if (!loc || !loc.found) {
+                    conflicts.push({ ...change, index, missing: true });
+                    return;
+                }
+                const current = loc.parent[loc.key];
+                const checkPrev = !force && !change.force && 'prev' in change;
+                if (checkPrev && !this.same(current, change.prev) && !this.same(current, change.value)) {
+                    conflicts.push({ ...change, index, current: this.clone(current) });
+                    return;
+                }
+                loc.parent[loc.key] = this.clone(change.value);
+                applied.push({ ...change, prev: this.clone(current) });
+            } else if (change.op === 'push') {
+                if (!loc) {
+                    conflicts.push({ ...change, index, missing: true });
+                    return;
+                }
+                if (!Array.isArray(loc.parent[loc.key])) loc.parent[loc.key] = [];
+                const list = loc.parent[loc.key];
+                if (Number.isInteger(change.index)) {
+                    list.splice(Math.min(change.index, list.length), 0, this.clone(change.value));
+                } else {
+                    list.push(this.clone(change.value));
+                }
+                applied.push(change);
+            } else if (change.op === 'remove') {
+                // Already removed elsewhere: nothing to do
+                if (!loc || !loc.found) return;
+                const removed = Array.isArray(loc.parent)
+                    ? loc.parent.splice(loc.key, 1)[0]
+                    : loc.parent[loc.key];
+                if (!Array.isArray(loc.parent)) delete loc.parent[loc.key];
+                applied.push({ ...change, prev: removed, index: loc.key });
+            }
+        });
+
+        return { applied, conflicts };
     }
 
-    static async updateWorkspaceSettings(code, settings) {
-        try {
-            const docRef = doc(db, 'workspaces', code);
-            await setDoc(docRef, settings, { merge: true });
-        } catch (error) {
-            console.error("Error updating settings:", error);
-            throw error;
-        }
+    // Selector that identifies an array element (steps, checklist items,
+    // notes, attachments), or null if it has no stable key
+    static keyOf(el) {
+        if (!el || typeof el !== 'object') return null;
+        if (el.id !== undefined) return { id: el.id };
+        if (el.path !== undefined) return { path: el.path };
+        if (el.createdAt !== undefined && el.text !== undefined) return { text: el.text, createdAt: el.createdAt };
+        if (el.timestamp !== undefined) return { timestamp: el.timestamp };
+        return null;
+    }
+
+    // Changes that undo `applied` (as returned by apply), or null if one of
+    // them can't be undone
+    static invert(applied) {
+        const inverse = applied.slice().reverse().map(c => {
+            if (c.op === 'set') return this.set(c.path, c.prev, c.value);
+            if (c.op === 'push') {
+                const key = this.keyOf(c.value);
+                return key ? this.remove([...c.path, key]) : null;
+            }
+            // A removed array element goes back to where it was
+            return typeof c.index === 'number'
+                ? this.push(c.path.slice(0, -1), c.prev, c.index)
+                : this.set(c.path, c.prev);
+        });
+        return inverse.includes(null) ? null : inverse;
+    }
+
+    // Human readable location of a change, e.g. `ขั้นตอน "TOR" › สถานะเช็ก`
+    static describe(root, path) {
+        const parts = [];
+        let node = root;
+        path.forEach((seg, i) => {
+            const container = typeof seg === 'string' ? seg : path[i - 1];
+            if (typeof seg === 'object') {
+                node = Array.isArray(node) ? node.find(el => this.matches(el, seg)) : undefined;
+                const name = node ? (node.title || node.text || node.name || '') : '';
+                const label = PATH_LABELS[container] || container;
+                parts.push(name ? `${label} "${String(name).slice(0, 30)}"` : label);
+            } else {
+                node = node ? node[seg] : undefined;
+                const next = path[i + 1];
+                // Collection keys are named by the selector that follows them
+                if (next === undefined || typeof next !== 'object') {
+                    parts.push(FIELD_LABELS[seg] || PATH_LABELS[seg] || seg);
+                }
+            }
+        });
+        return parts.join(' › ');
     }
 }
 
-// --- File Storage Manager ---
-import { storage } from './firebase-config.js';
-import { ref, uploadBytes, getDownloadURL, deleteObject } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js";
+// --- Audit Trail ---
+// Every write to a project appends an entry to `project.history`:
+// { at, actor, summary?, changes: [{ op, field, old, new }] }
+// `field` is the readable location (see ProjectPatch.describe), taken when
+// the change is made so it still reads correctly after renames and deletes.
+// Only the latest AUDIT_HISTORY_LIMIT entries stay on the project, so its
+// document stays well under Firestore's 1 MiB; older ones are moved out by
+// the storage backend (see StorageBackend.getArchivedHistory) and counted
+// in `project.archivedHistory`.
+
+const AUDIT_TEXT_LIMIT = 200;
+const AUDIT_HISTORY_LIMIT = 200;
+
+class AuditLog {
+    // The signed-in user's display name (see AuthProvider)
+    static get actor() {
+        const user = Auth.currentUser;
+        return user ? (user.name || user.email) : 'ไม่ระบุชื่อ';
+    }
 
-class FileUploadManager {
-    static validateFile(file) {
-        const maxSize = 5 * 1024 * 1024; // 5MB
-        const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
+    static get actorUid() {
+        return Auth.currentUser ? Auth.currentUser.uid : null;
+    }
 
-        if (file.size > maxSize) {
-            throw new Error('ขนาดไฟล์ต้องไม่เกิน 5MB');
+    // Who and when, captured when the user acts (not when a queued write syncs)
+    static meta(summary) {
+        return { actor: this.actor, actorUid: this.actorUid, at: new Date().toISOString(), ...(summary ? { summary } : {}) };
+    }
+
+    // Keep values small: whole notes, items and lists are logged by name
+    static compact(value) {
+        if (value === undefined || value === null) return null;
+        if (Array.isArray(value)) return `${value.length} รายการ`;
+        if (typeof value === 'object') {
+            value = value.text ?? value.title ?? value.name ?? JSON.stringify(value);
         }
-        if (!allowedTypes.includes(file.type)) {
-            throw new Error('รองรับเฉพาะไฟล์รูปภาพและ PDF เท่านั้น');
+        if (typeof value === 'string' && value.length > AUDIT_TEXT_LIMIT) {
+            return value.slice(0, AUDIT_TEXT_LIMIT) + '…';
         }
-        return true;
+        return value;
     }
 
-    static async upload(file, path) {
-        this.validateFile(file);
+    // Log the changes ProjectPatch.apply actually made. `before` is a copy of
+    // the project taken before they were applied.
+    static record(project, before, applied, meta = {}) {
+        const changes = applied
+            .filter(c => c.op !== 'set' || !ProjectPatch.same(c.prev, c.value))
+            .map(c => ({
+                op: c.op,
+                field: ProjectPatch.describe(before, c.path),
+                old: c.op === 'push' ? null : this.compact(c.prev),
+                new: c.op === 'remove' ? null : this.compact(c.value)
+            }));
+        if (changes.length === 0) return;
+        this.add(project, { ...meta, changes });
+    }
 
-        // Add timestamp to filename to prevent duplicates
-        const timestamp = Date.now();
-        const safeName = file.name.replace(/[^a-zA-Z0-9.-]/g, '_');
-        const fullPath = `${path}/${timestamp}_${safeName}`;
-        const storageRef = ref(storage, fullPath);
+    // Log an event that isn't a field-level change (e.g. project created)
+    static add(project, { actor = this.actor, actorUid = this.actorUid, at = new Date().toISOString(), summary, changes = [] } = {}) {
+        if (!project.history) project.history = [];
+        project.history.push({ at, actor, ...(actorUid ? { actorUid } : {}), ...(summary ? { summary } : {}), changes });
+    }
 
-        const snapshot = await uploadBytes(storageRef, file);
-        const url = await getDownloadURL(snapshot.ref);
+    // Take the oldest entries over the limit off the project; the caller
+    // stores them with the project's archived history
+    static overflow(project) {
+        const history = project.history || [];
+        if (history.length <= AUDIT_HISTORY_LIMIT) return [];
+        const archived = history.splice(0, history.length - AUDIT_HISTORY_LIMIT);
+        project.archivedHistory = (project.archivedHistory || 0) + archived.length;
+        return archived;
+    }
+}
+
+// --- Trash ---
+// Deleting a project only marks it (`deletedAt`, `deletedBy`). Deleted notes
+// and attachments move into `project.trash`:
+// { id, kind: 'note' | 'attachment', name, item, path, index, location, deletedAt, deletedBy }
+// where `path` + `index` say where to put `item` back on restore. Anything
+// older than the workspace's `trashRetentionDays` is purged for good,
+// together with its files in storage.
+
+const TRASH_RETENTION_DAYS = 30;
+
+class Trash {
+    // Changes that move the element at `path` of `project` into its trash
+    static moveChanges(project, path, kind) {
+        const loc = ProjectPatch.locate(project, path);
+        if (!loc || !loc.found) return [];
+        const item = loc.parent[loc.key];
+        return [
+            ProjectPatch.remove(path),
+            ProjectPatch.push(['trash'], {
+                id: `${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+                kind,
+                name: kind === 'attachment' ? item.name : item.text,
+                item: ProjectPatch.clone(item),
+                path: path.slice(0, -1),
+                index: loc.key,
+                location: ProjectPatch.describe(project, path),
+                deletedAt: new Date().toISOString(),
+                deletedBy: AuditLog.actor
+            })
+        ];
+    }
+
+    // Changes that put a trash entry back, or null if its place is gone
+    static restoreChanges(project, entry) {
+        const container = ProjectPatch.get(project, entry.path);
+        if (!Array.isArray(container)) return null;
+        return [
+            ProjectPatch.push(entry.path, entry.item, entry.index),
+            ProjectPatch.remove(['trash', { id: entry.id }])
+        ];
+    }
+
+    // Files in storage that go away when `entry` is purged
+    static files(entry) {
+        return entry.kind === 'attachment' ? [entry.item] : (entry.item.attachments || []);
+    }
+
+    static isExpired(deletedAt, retentionDays = TRASH_RETENTION_DAYS) {
+        return Date.now() - new Date(deletedAt).getTime() > retentionDays * 24 * 60 * 60 * 1000;
+    }
+
+    static daysLeft(deletedAt, retentionDays = TRASH_RETENTION_DAYS) {
+        const left = retentionDays - (Date.now() - new Date(deletedAt).getTime()) / (24 * 60 * 60 * 1000);
+        return Math.max(0, Math.ceil(left));
+    }
+}
+
+// --- Share Links ---
+// A read-only link to one project: index.html?share={token}. The project
+// keeps its links in `project.shares`:
+// { token, includeNotes, createdAt, createdBy, expiresAt, revokedAt }
+// and each active link is published as a separate record (StorageBackend
+// saveShare) holding a trimmed copy of the project, so the reader needs no
+// access to the workspace. The copy is refreshed whenever the project is
+// saved. Revoking a link marks it on the project first, then empties its
+// record and keeps it as revoked; saveShare refuses revoked tokens, so a
+// publish still in flight cannot bring the link back. Attachments are
+// listed by name only: a file's download URL cannot be revoked with the link.
+
+class ShareLinks {
+    static newToken() {
+        return Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    static url(token) {
+        return `${location.origin}${location.pathname}?share=${token}`;
+    }
+
+    static isExpired(link) {
+        return !!link.expiresAt && new Date(link.expiresAt) <= new Date();
+    }
+
+    static isActive(link) {
+        return !link.revokedAt && !this.isExpired(link);
+    }
+
+    static active(project) {
+        return (project.shares || []).filter(link => this.isActive(link));
+    }
 
+    // Only what the link is meant to show: steps, document numbers and
+    // dates, checklists and (if chosen) notes. No budget, history or trash.
+    static snapshot(project, includeNotes) {
+        if (Project.isTrashed(project)) return { name: project.name, trashed: true };
+
+        const note = (n) => ({
+            text: n.text,
+            timestamp: n.timestamp,
+            attachments: (n.attachments || []).map(a => ({ name: a.name, type: a.type }))
+        });
         return {
-            name: file.name,
-            type: file.type,
-            url: url,
-            path: fullPath, // Store path for deletion
-            uploadedAt: new Date().toISOString()
+            name: project.name,
+            status: project.status,
+            procurementMethod: project.procurementMethod,
+            purchaseType: project.purchaseType,
+            createdAt: project.createdAt,
+            deadline: project.deadline || null,
+            currentStepIndex: project.currentStepIndex,
+            steps: project.steps.map(step => ({
+                title: step.title,
+                completed: !!step.completed,
+                completedAt: step.completedAt || null,
+                documentNumber: step.documentNumber || null,
+                documentDate: step.documentDate || null,
+                checklist: step.checklist.map(item => ({
+                    text: item.text,
+                    checked: !!item.checked,
+                    completedAt: item.completedAt || null,
+                    deadline: item.deadline || null,
+                    ...(includeNotes ? { notes: (item.notes || []).map(note) } : {})
+                })),
+                ...(includeNotes ? { timeline: (step.timeline || []).map(note), postits: (step.postits || []).map(note) } : {})
+            }))
         };
     }
 
-    static async delete(fileInfo) {
-        if (!fileInfo || !fileInfo.path) return;
-        try {
-            const fileRef = ref(storage, fileInfo.path);
-            await deleteObject(fileRef);
-        } catch (error) {
-            console.error("Error deleting file:", error);
-            // Ignore error if file not found
+    // The published record for one of `project`'s links
+    static record(project, link, workspace) {
+        return {
+            token: link.token,
+            workspace,
+            projectId: project.id,
+            includeNotes: !!link.includeNotes,
+            createdAt: link.createdAt,
+            createdBy: link.createdBy,
+            expiresAt: link.expiresAt || null,
+            updatedAt: new Date().toISOString(),
+            project: this.snapshot(project, link.includeNotes)
+        };
+    }
+
+    static async publish(store, project, workspace = store.accessCode) {
+        for (const link of this.active(project)) {
+            await store.saveShare(this.record(project, link, workspace));
         }
     }
 }
 
-// --- UI Logic ---
+// --- Thai Dates ---
+// Dates are shown and typed as DD/MM/YYYY in the Buddhist Era (พ.ศ. = ค.ศ. + 543)
+// and stored in the Gregorian calendar: ISO timestamps, or 'YYYY-MM-DD' for
+// plain dates such as deadlines and document dates. Typed years above
+// BE_YEAR_THRESHOLD are taken as BE; lower ones as already Gregorian.
 
-class App {
-    constructor() {
-        this.currentView = 'dashboard';
-        this.activeProject = null;
-        this.stepsTemplate = JSON.parse(JSON.stringify(STEPS_TEMPLATE)); // Default
-        this.noteViewMode = localStorage.getItem('protracker_note_view') || 'timeline';
-        this.activeWorkflowStepIndex = 0;
+const BE_OFFSET = 543;
+const BE_YEAR_THRESHOLD = 2400;
 
-        this.initElements();
-        this.initEventListeners();
-        this.initSettings(); // New
-        this.renderCurrentDate();
+class ThaiDate {
+    static toDateString(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
 
-        this.initAccessCodeSystem();
+    // A Date from a Date, an ISO timestamp, 'YYYY-MM-DD' (local midnight) or a
+    // typed 'DD/MM/YYYY'; null when there is no valid date
+    static toDate(value) {
+        if (!value) return null;
+        let date;
+        if (value instanceof Date) date = new Date(value);
+        else if (/^\d{4}-\d{2}-\d{2}$/.test(value)) date = new Date(`${value}T00:00:00`);
+        else if (/^\d{1,2}\/\d{1,2}\/\d{4}/.test(value)) date = this.parse(value);
+        else date = new Date(value);
+        return date && !isNaN(date) ? date : null;
+    }
 
-        // Preload celebration sound
-        this.celebrationSound = new Audio('https://assets.mixkit.co/active_storage/sfx/1435/1435-preview.mp3');
-        this.celebrationSound.load();
+    // 'DD/MM/YYYY' or 'DD/MM/YYYY HH:mm' → Date, with a BE or Gregorian year
+    static parse(str) {
+        const m = String(str || '').trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/);
+        if (!m) return null;
+        const [d, mo, y, h = 0, mi = 0] = m.slice(1).map(v => Number(v || 0));
+        const year = y > BE_YEAR_THRESHOLD ? y - BE_OFFSET : y;
+        const date = new Date(year, mo - 1, d, h, mi);
+        // Reject overflow such as 31/02
+        if (date.getDate() !== d || date.getMonth() !== mo - 1) return null;
+        return date;
     }
 
-    initElements() {
-        this.navItems = document.querySelectorAll('.nav-item');
-        this.views = document.querySelectorAll('.view-section');
-        this.pageTitle = document.getElementById('page-header-title');
+    // 'DD/MM/YYYY' (BE), with ' HH:mm' when `withTime`; text that isn't a date is returned as is
+    static format(value, withTime = false) {
+        const date = this.toDate(value);
+        if (!date) return value ? String(value) : '-';
+        const pad = (n) => String(n).padStart(2, '0');
+        const text = `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear() + BE_OFFSET}`;
+        return withTime ? `${text} ${pad(date.getHours())}:${pad(date.getMinutes())}` : text;
+    }
 
-        this.modalCreate = document.getElementById('modal-create');
-        this.btnCreateProject = document.getElementById('btn-create-project');
-        this.btnCloseModal = document.querySelectorAll('.close-modal');
-        this.btnAddProject = document.getElementById('btn-add-project');
-        this.formCreateProject = document.getElementById('form-create-project');
-        this.inpProjectName = document.getElementById('inp-project-name');
-        this.inpProjectDesc = document.getElementById('inp-project-desc');
-        this.inpProjectBudget = document.getElementById('inp-project-budget');
-        this.inpProjectContract = document.getElementById('inp-project-contract');
-        this.inpProjectDeadline = document.getElementById('inp-project-deadline');
-        this.inpProjectPriority = document.getElementById('inp-project-priority');
-        this.inpProjectMethod = document.getElementById('inp-project-method');
+    // flatpickr options for a BE date (or date and time) input
+    static pickerOptions(withTime = false) {
+        const showYear = (selectedDates, dateStr, fp) => {
+            let label = fp.calendarContainer.querySelector('.flatpickr-be-year');
+            if (!label) {
+                label = document.createElement('span');
+                label.className = 'flatpickr-be-year';
+                fp.calendarContainer.querySelector('.flatpickr-current-month').appendChild(label);
+            }
+            label.textContent = `พ.ศ. ${fp.currentYear + BE_OFFSET}`;
+        };
+        return {
+            locale: 'th',
+            allowInput: true,
+            enableTime: withTime,
+            time_24hr: true,
+            dateFormat: withTime ? 'd/m/Y H:i' : 'd/m/Y',
+            formatDate: (date) => this.format(date, withTime),
+            parseDate: (str) => this.parse(str),
+            onReady: showYear,
+            onOpen: showYear,
+            onMonthChange: showYear,
+            onYearChange: showYear
+        };
+    }
 
-        // Edit Project Info Modal Elements
-        this.modalEditProject = document.getElementById('modal-edit-project');
-        this.formEditProject = document.getElementById('form-edit-project');
-        this.btnEditProjectInfo = document.getElementById('btn-edit-project-info');
-        this.editProjectId = document.getElementById('edit-project-id');
+    // Undo a BE year stored as if it were Gregorian (e.g. 2569-03-15 for
+    // 15/03/2569); keeps the value's own format
+    static repair(value) {
+        if (typeof value !== 'string') return value;
+        const m = value.match(/^(\d{4})-/);
+        if (!m || Number(m[1]) <= BE_YEAR_THRESHOLD) return value;
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return `${Number(m[1]) - BE_OFFSET}${value.slice(4)}`;
+        }
+        const date = new Date(value);
+        if (isNaN(date)) return value;
+        date.setFullYear(date.getFullYear() - BE_OFFSET);
+        return date.toISOString();
+    }
+}
+
+// --- Working Calendar ---
+// Government working days: not a weekend day and not a listed holiday.
+// A workspace keeps its calendar in `workingCalendar`:
+//   { weekends: [0, 6] (Date.getDay values), holidays: { '2026': [{ date: 'YYYY-MM-DD', name }] },
+//     countdown: 'working' | 'calendar' }
+// `countdown` decides how "days remaining" to a deadline are counted.
+
+// Holidays on the same date every year; lunar holidays (มาฆบูชา, วิสาขบูชา,
+// ...) and substitution days change yearly, so they are added per year or
+// imported from an ICS file.
+const FIXED_HOLIDAYS = [
+    ['01-01', 'วันขึ้นปีใหม่'],
+    ['04-06', 'วันจักรี'],
+    ['04-13', 'วันสงกรานต์'],
+    ['04-14', 'วันสงกรานต์'],
+    ['04-15', 'วันสงกรานต์'],
+    ['05-04', 'วันฉัตรมงคล'],
+    ['06-03', 'วันเฉลิมพระชนมพรรษาสมเด็จพระราชินี'],
+    ['07-28', 'วันเฉลิมพระชนมพรรษาพระบาทสมเด็จพระเจ้าอยู่หัว'],
+    ['08-12', 'วันแม่แห่งชาติ'],
+    ['10-13', 'วันนวมินทรมหาราช'],
+    ['10-23', 'วันปิยมหาราช'],
+    ['12-05', 'วันพ่อแห่งชาติ'],
+    ['12-10', 'วันรัฐธรรมนูญ'],
+    ['12-31', 'วันสิ้นปี']
+];
+
+const DEFAULT_WORKING_CALENDAR = {
+    weekends: [0, 6],
+    holidays: {},
+    countdown: 'working'
+};
+
+class WorkingCalendar {
+    static config = DEFAULT_WORKING_CALENDAR;
+
+    static configure(calendar) {
+        this.config = { ...DEFAULT_WORKING_CALENDAR, ...(calendar || {}) };
+        this.holidayDates = new Set(Object.values(this.config.holidays).flat().map(h => h.date));
+    }
+
+    // Local midnight of a Date, an ISO string or a 'YYYY-MM-DD' date
+    static startOfDay(value) {
+        const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+            ? new Date(`${value}T00:00:00`)
+            : new Date(value);
+        date.setHours(0, 0, 0, 0);
+        return date;
+    }
+
+    static isHoliday(date) {
+        return this.holidayDates.has(ThaiDate.toDateString(date));
+    }
+
+    static isWorkingDay(date) {
+        return !this.config.weekends.includes(date.getDay()) && !this.isHoliday(date);
+    }
+
+    // The date `days` working days after `date` (which itself doesn't count)
+    static add(date, days) {
+        const result = this.startOfDay(date);
+        let left = days;
+        while (left > 0) {
+            result.setDate(result.getDate() + 1);
+            if (this.isWorkingDay(result)) left--;
+        }
+        return result;
+    }
+
+    // Working days after `from` up to and including `to`; negative when `to` is
+    // earlier, and at least -1 then, so a date passed over a weekend or holiday
+    // still reads as late rather than due today
+    static workingDaysBetween(from, to) {
+        const start = this.startOfDay(from);
+        const end = this.startOfDay(to);
+        const sign = end < start ? -1 : 1;
+        const [a, b] = sign > 0 ? [start, end] : [end, start];
+        let count = 0;
+        for (const d = new Date(a); d < b;) {
+            d.setDate(d.getDate() + 1);
+            if (this.isWorkingDay(d)) count++;
+        }
+        return sign > 0 ? count : -Math.max(count, 1);
+    }
+
+    // Days left until `deadline` (negative once past), counted the way the workspace chose
+    static daysUntil(deadline, today = new Date()) {
+        if (this.config.countdown === 'calendar') {
+            return Math.round((this.startOfDay(deadline) - this.startOfDay(today)) / (1000 * 60 * 60 * 24));
+        }
+        return this.workingDaysBetween(today, deadline);
+    }
+
+    static fixedHolidays(year) {
+        return FIXED_HOLIDAYS.map(([monthDay, name]) => ({ date: `${year}-${monthDay}`, name }));
+    }
+
+    // All-day events of an iCalendar (.ics) file as [{ date, name }]; an
+    // event spanning several days gives one entry per day
+    static parseICS(text) {
+        // Long lines are folded onto continuation lines starting with a space or tab
+        const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+        const unescape = (value) => value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+        const toDate = (value) => {
+            const m = value.match(/(\d{4})(\d{2})(\d{2})/);
+            return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+        };
+
+        const holidays = [];
+        let event = null;
+        lines.forEach(line => {
+            if (line === 'BEGIN:VEVENT') {
+                event = {};
+            } else if (line === 'END:VEVENT') {
+                if (event && event.start) {
+                    const day = this.startOfDay(event.start);
+                    // DTEND is exclusive
+                    const end = event.end ? this.startOfDay(event.end) : new Date(day.getTime() + 1);
+                    do {
+                        holidays.push({ date: ThaiDate.toDateString(day), name: event.name || 'วันหยุด' });
+                        day.setDate(day.getDate() + 1);
+                    } while (day < end);
+                }
+                event = null;
+            } else if (event) {
+                const separator = line.indexOf(':');
+                if (separator === -1) return;
+                const key = line.slice(0, separator).split(';')[0].toUpperCase();
+                const value = line.slice(separator + 1);
+                if (key === 'DTSTART') event.start = toDate(value);
+                else if (key === 'DTEND') event.end = toDate(value);
+                else if (key === 'SUMMARY') event.name = unescape(value);
+            }
+        });
+        return holidays;
+    }
+
+    // `holidays` grouped into `calendar.holidays` by year, replacing same-date entries
+    static mergeHolidays(byYear, holidays) {
+        const merged = JSON.parse(JSON.stringify(byYear || {}));
+        holidays.forEach(h => {
+            const year = h.date.slice(0, 4);
+            merged[year] = (merged[year] || []).filter(existing => existing.date !== h.date);
+            merged[year].push(h);
+            merged[year].sort((a, b) => a.date.localeCompare(b.date));
+        });
+        return merged;
+    }
+}
+
+WorkingCalendar.configure(null);
+
+// --- Step Schedule ---
+// Template steps may carry a standard duration in working days
+// (`durationDays`, e.g. the appeal window). A project's incomplete steps get
+// a `dueDate` ('YYYY-MM-DD', like the project deadline) by chaining those
+// durations on the WorkingCalendar: from the creation date for a new
+// project, and from the completion date whenever a step is completed. The
+// chain stops at the first step without a duration, since nothing after it
+// can be dated until it is done; reverting a step reschedules from the
+// completion before it.
+
+class StepSchedule {
+    static isOverdue(step, today = new Date()) {
+        return !step.completed && !!step.dueDate && step.dueDate < ThaiDate.toDateString(today);
+    }
+
+    static overdueSteps(project) {
+        return project.status === 'completed' ? [] : project.steps.filter(s => this.isOverdue(s));
+    }
+
+    // [[stepIndex, dueDate]] for the incomplete steps after `fromIndex`,
+    // counted on from `start` up to the first one without a duration
+    static plan(project, fromIndex, start) {
+        const due = [];
+        let cursor = new Date(start);
+        for (let i = fromIndex + 1; i < project.steps.length; i++) {
+            const step = project.steps[i];
+            if (step.completed) continue;
+            if (!step.durationDays) break;
+            cursor = WorkingCalendar.add(cursor, step.durationDays);
+            due.push([i, ThaiDate.toDateString(cursor)]);
+        }
+        return due;
+    }
+
+    // [[stepIndex, dueDate]] when step `index` is reverted: the dates planned
+    // from its completion are cleared where nobody changed them, and the
+    // steps from the completion before it (or the creation date) are
+    // planned again with this one in progress
+    static afterRevert(project, index) {
+        const step = project.steps[index];
+        const due = new Map(this.plan(project, index, step.completedAt || new Date())
+            .filter(([i, dueDate]) => project.steps[i].dueDate === dueDate)
+            .map(([i]) => [i, null]));
+
+        const reverted = { ...project, steps: project.steps.map((s, i) => i === index ? { ...s, completed: false } : s) };
+        const previous = project.steps.map((s, i) => i).slice(0, index).filter(i => project.steps[i].completed).pop();
+        const start = previous === undefined ? project.createdAt : project.steps[previous].completedAt || project.createdAt;
+        this.plan(reverted, previous === undefined ? -1 : previous, start).forEach(([i, dueDate]) => due.set(i, dueDate));
+        return [...due];
+    }
+}
+
+// --- Step Approvals ---
+// Steps flagged `requiresApproval` in the template are not completed
+// directly: completing one pushes a request onto `step.approvals` and the
+// step counts as completed once the request is approved. Requests are kept
+// after the decision as the step's approval record:
+//   { requestedAt, requestedBy, approver, status: 'pending' | 'approved' | 'rejected' | 'cancelled',
+//     documentNumber, documentDate, completedAt, decidedBy, decidedAt, comment }
+// `approver` ({ uid, name }) is the step's designated approver; without one
+// any owner of the workspace decides. Only owners change `requiresApproval`
+// and `approver`, and only the requester adds or cancels a request.
+
+const APPROVAL_STATUS_LABELS = {
+    'pending': 'รออนุมัติ',
+    'approved': 'อนุมัติแล้ว',
+    'rejected': 'ไม่อนุมัติ',
+    'cancelled': 'ยกเลิกคำขอ'
+};
+
+class StepApproval {
+    static pending(step) {
+        return (step.approvals || []).find(a => a.status === 'pending') || null;
+    }
+
+    static latest(step) {
+        const approvals = step.approvals || [];
+        return approvals[approvals.length - 1] || null;
+    }
+
+    static canDecide(workspace, request, uid) {
+        if (!request || request.status !== 'pending') return false;
+        if (request.approver) return request.approver.uid === uid;
+        return Membership.roleOf(workspace, uid) === 'owner';
+    }
+
+    // `step` adds a pending request by `uid` to the record of `prior`
+    static requested(prior, step, uid) {
+        const before = prior.approvals || [];
+        const after = step.approvals || [];
+        const request = after[after.length - 1];
+        return after.length === before.length + 1 && ProjectPatch.same(before, after.slice(0, -1)) && !this.pending(prior)
+            && request.status === 'pending' && !!request.requestedBy && request.requestedBy.uid === uid
+            && !request.decidedBy && ProjectPatch.same(request.approver, step.approver);
+    }
+
+    // `step` records `uid` deciding the request pending on `prior`: approved
+    // or rejected by whoever may decide it, or cancelled by its requester
+    static decided(prior, step, uid, role) {
+        const before = prior.approvals || [];
+        const after = step.approvals || [];
+        const request = before[before.length - 1];
+        const decision = after[after.length - 1];
+        if (!request || request.status !== 'pending' || after.length !== before.length) return false;
+        if (!ProjectPatch.same(before.slice(0, -1), after.slice(0, -1))) return false;
+        const decisionFields = ['status', 'decidedBy', 'decidedAt', 'comment'];
+        const untouched = Object.keys({ ...request, ...decision })
+            .every(key => decisionFields.includes(key) || ProjectPatch.same(request[key], decision[key]));
+        if (!untouched || !decision.decidedBy || decision.decidedBy.uid !== uid) return false;
+        if (decision.status === 'cancelled') return request.requestedBy.uid === uid;
+        return ['approved', 'rejected'].includes(decision.status)
+            && (request.approver ? request.approver.uid === uid : role === 'owner');
+    }
+
+    // Why `uid` (with `role`) may not save `step` over `prior`, its copy at
+    // the same position before the change (null for a step that was added
+    // or moved), or null when the change is fine. firestore.rules rejects
+    // the same writes, and compares steps by position as well.
+    static problem(prior, step, uid, role) {
+        if (!prior) {
+            return role !== 'owner' && (step.requiresApproval || step.approver || (step.approvals || []).length > 0)
+                ? 'เฉพาะเจ้าของ Workspace เพิ่ม ลบ หรือย้ายตำแหน่งขั้นตอนที่ต้องอนุมัติได้'
+                : null;
+        }
+        if (ProjectPatch.same(prior, step)) return null;
+        if (role !== 'owner' && (!!prior.requiresApproval !== !!step.requiresApproval || !ProjectPatch.same(prior.approver, step.approver))) {
+            return 'เฉพาะเจ้าของ Workspace เปลี่ยนการตั้งค่าการอนุมัติได้';
+        }
+        const decided = this.decided(prior, step, uid, role);
+        if (!decided && !ProjectPatch.same(prior.approvals || [], step.approvals || []) && !this.requested(prior, step, uid)) {
+            return 'บันทึกการอนุมัติแก้ไขได้เฉพาะผู้ขอหรือผู้อนุมัติ';
+        }
+        if ((prior.requiresApproval || step.requiresApproval) && step.completed && !prior.completed
+            && !(decided && this.latest(step).status === 'approved')) {
+            return 'ต้องได้รับอนุมัติก่อนจึงจะบันทึกว่าเสร็จสิ้นได้';
+        }
+        return null;
+    }
+
+    // [{ step, problem }] for the steps of `after` that `uid` may not save (see problem)
+    static violations(before, after, uid, role) {
+        return after.steps.map((step, i) => {
+            const prior = before.steps[i] && before.steps[i].id === step.id ? before.steps[i] : null;
+            return { step, problem: this.problem(prior, step, uid, role) };
+        }).filter(v => v.problem);
+    }
+
+    static create(step, requestedBy, { documentNumber = null, documentDate = null, completedAt = null } = {}) {
+        return {
+            requestedAt: new Date().toISOString(),
+            requestedBy,
+            approver: step.approver || null,
+            status: 'pending',
+            documentNumber,
+            documentDate,
+            completedAt,
+            decidedBy: null,
+            decidedAt: null,
+            comment: null
+        };
+    }
+
+    // Changes recording the decision on `request`, the pending request of the step at `stepPath`
+    static decisionChanges(stepPath, request, status, decidedBy, comment) {
+        const path = [...stepPath, 'approvals', { requestedAt: request.requestedAt }];
+        return [
+            ProjectPatch.set([...path, 'status'], status, request.status),
+            ProjectPatch.set([...path, 'decidedBy'], decidedBy, request.decidedBy),
+            ProjectPatch.set([...path, 'decidedAt'], new Date().toISOString(), request.decidedAt),
+            ProjectPatch.set([...path, 'comment'], comment || null, request.comment)
+        ];
+    }
+}
+
+// --- Procurement Method Rules ---
+// Which procurement methods a project's budget allows, per purchase type.
+// The defaults follow the Public Procurement and Supplies Administration
+// Act B.E. 2560 (section 56); a workspace can replace them (`methodRules`).
+// A rule covers budgets above `min` up to and including `max` (null: no
+// limit; a `min` of 0 includes 0). The first rule that matches decides; a
+// project using another method must record why (`methodOverride`).
+
+const PROCUREMENT_METHOD_LABELS = {
+    'e-bidding': 'e-bidding',
+    'specific': 'เฉพาะเจาะจง',
+    'selection': 'คัดเลือก'
+};
+
+const PURCHASE_TYPE_LABELS = {
+    'buy': 'ซื้อ',
+    'hire': 'จ้าง',
+    'rent': 'เช่า'
+};
+
+const DEFAULT_METHOD_RULES = [
+    {
+        min: 0,
+        max: 500000,
+        purchaseTypes: ['buy', 'hire', 'rent'],
+        methods: ['specific', 'e-bidding'],
+        note: 'วงเงินไม่เกิน 500,000 บาท ใช้วิธีเฉพาะเจาะจงได้ (มาตรา 56 (2) (ข))'
+    },
+    {
+        min: 500000,
+        max: null,
+        purchaseTypes: ['buy', 'hire', 'rent'],
+        methods: ['e-bidding'],
+        note: 'วงเงินเกิน 500,000 บาท ใช้วิธีประกวดราคาอิเล็กทรอนิกส์ เว้นแต่เข้าเงื่อนไขวิธีคัดเลือกหรือเฉพาะเจาะจงตามมาตรา 56'
+    }
+];
+
+class MethodRules {
+    static matches(rule, budget, purchaseType) {
+        const aboveMin = rule.min === 0 ? budget >= 0 : budget > rule.min;
+        const belowMax = rule.max === null || rule.max === undefined || budget <= rule.max;
+        return aboveMin && belowMax && rule.purchaseTypes.includes(purchaseType);
+    }
+
+    // { ok, rule } for a budget, purchase type and method. No matching rule means no restriction.
+    static check(rules, { budget, purchaseType, procurementMethod }) {
+        const rule = rules.find(r => this.matches(r, budget || 0, purchaseType || 'buy')) || null;
+        return { ok: !rule || rule.methods.includes(procurementMethod), rule };
+    }
+
+    static describeRange(rule) {
+        const format = (n) => new Intl.NumberFormat('th-TH').format(n);
+        if (rule.max === null || rule.max === undefined) return `เกิน ${format(rule.min)} บาท`;
+        return rule.min === 0 ? `ไม่เกิน ${format(rule.max)} บาท` : `เกิน ${format(rule.min)} ถึง ${format(rule.max)} บาท`;
+    }
+
+    // Problems with an edited rule table, as messages for the user
+    static validate(rules) {
+        const errors = [];
+        rules.forEach((rule, i) => {
+            const label = `กฎข้อ ${i + 1}`;
+            if (!(rule.min >= 0)) errors.push(`${label}: วงเงินเริ่มต้นไม่ถูกต้อง`);
+            if (rule.max !== null && !(rule.max > rule.min)) errors.push(`${label}: วงเงินสูงสุดต้องมากกว่าวงเงินเริ่มต้น`);
+            if (rule.purchaseTypes.length === 0) errors.push(`${label}: ต้องเลือกประเภทการจัดหาอย่างน้อย 1 ประเภท`);
+            if (rule.methods.length === 0) errors.push(`${label}: ต้องเลือกวิธีการจัดหาอย่างน้อย 1 วิธี`);
+        });
+        return errors;
+    }
+}
+
+// --- Fiscal Year Budget ---
+// Projects are tagged with a Thai government fiscal year (`fiscalYear`, BE;
+// FY 2569 runs 1 Oct 2568 - 30 Sep 2569) and a source of funds
+// (`budgetSource`). Savings are budget minus contract amount for contracted
+// projects. With contract installments (see Contracts) the disbursed amount
+// is the sum of the paid installments. Otherwise a project counts as
+// disbursed, for its contract amount (or its budget without a contract),
+// once its disbursement step is completed: the step titled "เบิกจ่าย..."
+// (step 7 of the general template), else the last one.
+
+const BUDGET_SOURCE_LABELS = {
+    'government': 'เงินงบประมาณแผ่นดิน',
+    'revenue': 'เงินรายได้',
+    'subsidy': 'เงินอุดหนุน',
+    'loan': 'เงินกู้',
+    'donation': 'เงินบริจาค',
+    'other': 'อื่นๆ'
+};
+
+class FiscalYear {
+    // The BE fiscal year a date falls in
+    static of(date = new Date()) {
+        const d = ThaiDate.toDate(date) || new Date();
+        return d.getFullYear() + BE_OFFSET + (d.getMonth() >= 9 ? 1 : 0);
+    }
+
+    static describe(year) {
+        return `ปีงบประมาณ ${year} (1 ต.ค. ${year - 1} - 30 ก.ย. ${year})`;
+    }
+}
+
+class BudgetSummary {
+    static disbursementStep(project) {
+        const steps = project.steps || [];
+        return steps.find(s => (s.title || '').includes('เบิกจ่าย')) || steps[steps.length - 1] || null;
+    }
+
+    static isDisbursed(project) {
+        const step = this.disbursementStep(project);
+        return !!step && !!step.completed;
+    }
+
+    static disbursedAmount(project) {
+        if (project.contract && project.contract.installments.length > 0) {
+            return Contracts.summary(project.contract, project).disbursedAmount;
+        }
+        return this.isDisbursed(project) ? (project.contractAmount || project.budget || 0) : 0;
+    }
+
+    // { count, budget, contract, savings, disbursed } over `projects`
+    static totals(projects) {
+        return projects.reduce((sum, p) => {
+            const budget = p.budget || 0;
+            const contract = p.contractAmount || 0;
+            sum.count++;
+            sum.budget += budget;
+            sum.contract += contract;
+            if (contract > 0) sum.savings += budget - contract;
+            sum.disbursed += this.disbursedAmount(p);
+            return sum;
+        }, { count: 0, budget: 0, contract: 0, savings: 0, disbursed: 0 });
+    }
+
+    // [[value, totals]] for each value of `key` among `projects`, in `labels` order
+    static breakdown(projects, key, labels) {
+        const values = [...Object.keys(labels), ...new Set(projects.map(p => p[key] || ''))]
+            .filter((v, i, all) => all.indexOf(v) === i);
+        return values
+            .map(value => [value, this.totals(projects.filter(p => (p[key] || '') === value))])
+            .filter(([, totals]) => totals.count > 0);
+    }
+
+    static years(projects) {
+        return [...new Set([FiscalYear.of(), ...projects.map(p => p.fiscalYear).filter(Boolean)])].sort((a, b) => b - a);
+    }
+}
+
+// --- Vendors ---
+// The workspace's vendor directory (`vendors` on the workspace, keyed by id
+// so each save or delete writes only its own entry):
+//   { [id]: { id, name, taxId, address, contactName, phone, email, bankName, bankAccount, bankAccountName, createdAt } }
+// A project names its winning vendor (`vendor`) and the bids it received
+// (`bidders: [{ vendor, price }]`). Vendor references are { id, name },
+// like assignees, so history stays readable after a vendor is removed.
+
+class Vendors {
+    // Thai 13-digit tax / citizen ID: the last digit is a mod-11 checksum
+    static isValidTaxId(taxId) {
+        const digits = String(taxId || '').replace(/\D/g, '');
+        if (digits.length !== 13) return false;
+        const sum = [...digits.slice(0, 12)].reduce((total, d, i) => total + Number(d) * (13 - i), 0);
+        return (11 - (sum % 11)) % 10 === Number(digits[12]);
+    }
+
+    static normalizeTaxId(taxId) {
+        return String(taxId || '').replace(/\D/g, '');
+    }
+
+    static ref(vendor) {
+        return vendor ? { id: vendor.id, name: vendor.name } : null;
+    }
+
+    // The directory as a list, oldest first
+    static list(directory) {
+        return Object.values(directory || {}).sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+    }
+
+    static find(vendors, id) {
+        return (vendors || []).find(v => v.id === id) || null;
+    }
+
+    // Problems with a vendor about to be saved, as messages for the user
+    static validate(vendor, vendors) {
+        const errors = [];
+        if (!vendor.name) errors.push('กรุณาระบุชื่อผู้ขาย/ผู้รับจ้าง');
+        if (vendor.taxId && !this.isValidTaxId(vendor.taxId)) {
+            errors.push('เลขประจำตัวผู้เสียภาษีไม่ถูกต้อง (13 หลัก ตรวจสอบหลักสุดท้ายไม่ผ่าน)');
+        }
+        if (vendor.taxId && vendors.some(v => v.id !== vendor.id && v.taxId === vendor.taxId)) {
+            errors.push('มีผู้ขายที่ใช้เลขประจำตัวผู้เสียภาษีนี้แล้ว');
+        }
+        return errors;
+    }
+
+    // Projects `vendorId` won, and the bids it made: [{ project, price, won }]
+    static history(vendorId, projects) {
+        const contracts = projects.filter(p => p.vendor && p.vendor.id === vendorId);
+        const bids = [];
+        projects.forEach(p => (p.bidders || []).forEach(b => {
+            if (b.vendor && b.vendor.id === vendorId) {
+                bids.push({ project: p, price: b.price, won: !!p.vendor && p.vendor.id === vendorId });
+            }
+        }));
+        const contractTotal = contracts.reduce((sum, p) => sum + (p.contractAmount || 0), 0);
+        return { contracts, bids, contractTotal };
+    }
+
+    static isReferenced(vendorId, projects) {
+        const { contracts, bids } = this.history(vendorId, projects);
+        return contracts.length > 0 || bids.length > 0;
+    }
+}
+
+// --- Contracts ---
+// A project's contract (`contract`, null until entered):
+//   { number, signedAt, penaltyRate, penaltyMinPerDay, warrantyMonths,
+//     guarantee: { type, amount, reference, expiresAt },
+//     installments: [{ id, title, amount, dueDate, deliveredAt, inspectedAt, inspectionDocument,
+//                      disbursedAt, disbursementDocument }] }
+// Dates are 'YYYY-MM-DD'. A late installment is fined `penaltyRate` percent
+// (at least `penaltyMinPerDay` baht) for every calendar day from its due date
+// to delivery, or to today while it is still undelivered. The rate applies to
+// the installment's amount when buying or renting, and to the whole contract
+// amount for hire and construction (Regulation 162). As that fine is on the
+// whole contract, a hire contract is fined once per late calendar day: a day
+// on which several installments are late counts toward the first of them.
+// Installments are inspected in the inspection step (ตรวจรับ, step 6 of the
+// general template) and paid in the disbursement step (เบิกจ่าย, step 7).
+
+const GUARANTEE_TYPE_LABELS = {
+    'bank': 'หนังสือค้ำประกันของธนาคาร',
+    'cash': 'เงินสด',
+    'cheque': 'เช็คที่ธนาคารสั่งจ่าย',
+    'bond': 'พันธบัตรรัฐบาลไทย',
+    'electronic': 'หนังสือค้ำประกันอิเล็กทรอนิกส์ (e-LG)'
+};
+
+class Contracts {
+    static empty() {
+        return {
+            number: '',
+            signedAt: null,
+            penaltyRate: 0.1,
+            penaltyMinPerDay: 0,
+            warrantyMonths: 0,
+            guarantee: { type: 'bank', amount: 0, reference: '', expiresAt: null },
+            installments: []
+        };
+    }
+
+    static installment(number) {
+        return {
+            id: `${Date.now()}-${number}`,
+            title: `งวดที่ ${number}`,
+            amount: 0,
+            dueDate: null,
+            deliveredAt: null,
+            inspectedAt: null,
+            inspectionDocument: '',
+            disbursedAt: null,
+            disbursementDocument: ''
+        };
+    }
+
+    // 'inspection', 'disbursement' or null for the step at `stepIndex`
+    static stepRole(project, stepIndex) {
+        const steps = project.steps || [];
+        const find = (word, fallback) => {
+            const i = steps.findIndex(s => (s.title || '').includes(word));
+            return i !== -1 ? i : fallback;
+        };
+        if (stepIndex === find('ตรวจรับ', 5)) return 'inspection';
+        if (stepIndex === find('เบิกจ่าย', 6)) return 'disbursement';
+        return null;
+    }
+
+    static lateDays(installment, today = new Date()) {
+        if (!installment.dueDate) return 0;
+        const due = ThaiDate.toDate(installment.dueDate);
+        const delivered = ThaiDate.toDate(installment.deliveredAt) || WorkingCalendar.startOfDay(today);
+        return Math.max(0, Math.round((delivered - due) / (1000 * 60 * 60 * 24)));
+    }
+
+    // First and last calendar day (as day numbers) the installment was late on
+    static lateRange(installment, today = new Date()) {
+        const days = this.lateDays(installment, today);
+        if (days === 0) return null;
+        const first = Math.round(ThaiDate.toDate(installment.dueDate).getTime() / (1000 * 60 * 60 * 24)) + 1;
+        return [first, first + days - 1];
+    }
+
+    // Late days the installment is fined for; on hire contracts, days an
+    // earlier installment was already late on are left out
+    static penaltyDays(contract, installment, project, today = new Date()) {
+        if (project.purchaseType !== 'hire') return this.lateDays(installment, today);
+        const range = this.lateRange(installment, today);
+        if (!range) return 0;
+        const earlier = contract.installments
+            .slice(0, Math.max(0, contract.installments.findIndex(i => i.id === installment.id)))
+            .map(i => this.lateRange(i, today))
+            .filter(Boolean);
+        let days = 0;
+        for (let day = range[0]; day <= range[1]; day++) {
+            if (!earlier.some(([first, last]) => day >= first && day <= last)) days++;
+        }
+        return days;
+    }
+
+    static penaltyBase(contract, installment, project) {
+        if (project.purchaseType !== 'hire') return installment.amount || 0;
+        return project.contractAmount || contract.installments.reduce((total, i) => total + (i.amount || 0), 0);
+    }
+
+    static penalty(contract, installment, project, today = new Date()) {
+        const days = this.penaltyDays(contract, installment, project, today);
+        if (days === 0) return 0;
+        const perDay = Math.max(this.penaltyBase(contract, installment, project) * (contract.penaltyRate || 0) / 100, contract.penaltyMinPerDay || 0);
+        return Math.round(days * perDay * 100) / 100;
+    }
+
+    // Warranty runs from the last installment's inspection
+    static warrantyEndsAt(contract) {
+        const inspected = contract.installments.map(i => i.inspectedAt).filter(Boolean).sort();
+        if (!contract.warrantyMonths || inspected.length === 0 || inspected.length < contract.installments.length) return null;
+        const end = ThaiDate.toDate(inspected[inspected.length - 1]);
+        end.setMonth(end.getMonth() + contract.warrantyMonths);
+        return ThaiDate.toDateString(end);
+    }
+
+    static summary(contract, project, today = new Date()) {
+        const installments = contract ? contract.installments : [];
+        const sum = (list, value) => list.reduce((total, i) => total + value(i), 0);
+        return {
+            count: installments.length,
+            amount: sum(installments, i => i.amount || 0),
+            inspected: installments.filter(i => i.inspectedAt).length,
+            disbursed: installments.filter(i => i.disbursedAt).length,
+            disbursedAmount: sum(installments.filter(i => i.disbursedAt), i => i.amount || 0),
+            penalty: sum(installments, i => this.penalty(contract, i, project, today))
+        };
+    }
+
+    // Problems with an edited contract, as messages for the user
+    static validate(contract) {
+        const errors = [];
+        if (!(contract.penaltyRate >= 0)) errors.push('อัตราค่าปรับไม่ถูกต้อง');
+        contract.installments.forEach((installment, i) => {
+            const label = installment.title || `งวดที่ ${i + 1}`;
+            if (!(installment.amount > 0)) errors.push(`${label}: กรุณาระบุจำนวนเงิน`);
+            if (!installment.dueDate) errors.push(`${label}: กรุณาระบุวันครบกำหนดส่งมอบ`);
+        });
+        return errors;
+    }
+}
+
+// --- Committees ---
+// Steps carried out by a formally appointed committee keep its roster in
+// `step.committee`:
+//   { type, orderNumber, orderDate ('YYYY-MM-DD'), members: [{ name, position, role }] }
+// The committee type of a step is guessed from its title (steps 2, 3, 5 and
+// 6 of the general template). Nobody may sit on two committees of a pair in
+// COMMITTEE_CONFLICTS within the same project, e.g. on both the procurement
+// and the inspection committee.
+
+const COMMITTEE_TYPES = {
+    'tor': { label: 'คณะกรรมการจัดทำร่างขอบเขตของงาน/รายละเอียดคุณลักษณะ', keywords: ['TOR', 'ขอบเขตงาน', 'รายละเอียดคุณลักษณะ', 'จัดทำรายละเอียด'] },
+    'median': { label: 'คณะกรรมการกำหนดราคากลาง', keywords: ['ราคากลาง'] },
+    'procurement': { label: 'คณะกรรมการซื้อหรือจ้าง/พิจารณาผล', keywords: ['ดำเนินการจัดซื้อ', 'พิจารณาผล', 'เจรจา', 'คัดเลือก'] },
+    'inspection': { label: 'คณะกรรมการตรวจรับพัสดุ', keywords: ['ตรวจรับ'] }
+};
+
+const COMMITTEE_ROLE_LABELS = {
+    'chair': 'ประธานกรรมการ',
+    'member': 'กรรมการ',
+    'secretary': 'กรรมการและเลขานุการ'
+};
+
+const COMMITTEE_CONFLICTS = [
+    ['procurement', 'inspection']
+];
+
+class Committees {
+    static typeFor(step) {
+        if (step.committee && step.committee.type) return step.committee.type;
+        const title = step.title || '';
+        const match = Object.entries(COMMITTEE_TYPES).find(([, t]) => t.keywords.some(k => title.includes(k)));
+        return match ? match[0] : null;
+    }
+
+    static empty(type) {
+        return { type, orderNumber: '', orderDate: null, members: [] };
+    }
+
+    // Names compared without titles and extra spaces
+    static personKey(name) {
+        return String(name || '')
+            .replace(/^(นาย|นางสาว|นาง|น\.ส\.|ดร\.|ผศ\.|รศ\.|ศ\.)\s*/, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toLowerCase();
+    }
+
+    // [{ name, types: [type, type] }] for people on conflicting committees;
+    // `committees` maps a step index to the committee to check instead of the stored one
+    static conflicts(project, committees = {}) {
+        const seats = {};
+        project.steps.forEach((step, i) => {
+            const committee = i in committees ? committees[i] : step.committee;
+            if (!committee) return;
+            committee.members.forEach(m => {
+                const key = this.personKey(m.name);
+                if (!key) return;
+                seats[key] = seats[key] || { name: m.name, types: new Set() };
+                seats[key].types.add(committee.type);
+            });
+        });
+        const found = [];
+        Object.values(seats).forEach(seat => {
+            COMMITTEE_CONFLICTS.forEach(pair => {
+                if (pair.every(type => seat.types.has(type))) found.push({ name: seat.name, types: pair });
+            });
+        });
+        return found;
+    }
+
+    static describeConflict(conflict) {
+        return `${conflict.name} อยู่ทั้งใน${conflict.types.map(t => COMMITTEE_TYPES[t].label).join(' และ')}`;
+    }
+}
+
+// --- Median Price Worksheet ---
+// The median price (ราคากลาง) step (step 3 of the general template) can
+// carry a worksheet, `step.priceWorksheet`:
+//   { method, sources: [{ id, type, name, reference }],
+//     items: [{ id, description, quantity, unit, prices: { [sourceId]: unitPrice } }] }
+// Each item's unit price comes from its source prices by `method`; the sum
+// of quantity x unit price is the project's median price (`medianPrice`),
+// compared with its budget and contract amount.
+
+const PRICE_SOURCE_LABELS = {
+    'quote': 'ใบเสนอราคา',
+    'previous': 'ราคาที่เคยซื้อหรือจ้าง',
+    'survey': 'ราคาสืบจากท้องตลาด',
+    'standard': 'ราคามาตรฐาน/บัญชีราคา',
+    'other': 'อื่นๆ'
+};
+
+const PRICE_METHOD_LABELS = {
+    'median': 'ค่ามัธยฐานของแหล่งราคา',
+    'average': 'ค่าเฉลี่ยของแหล่งราคา',
+    'lowest': 'ราคาต่ำสุดของแหล่งราคา'
+};
+
+class PriceWorksheet {
+    static empty() {
+        return { method: 'median', sources: [], items: [] };
+    }
+
+    static stepIndex(project) {
+        const i = project.steps.findIndex(s => (s.title || '').includes('ราคากลาง'));
+        return i !== -1 ? i : null;
+    }
+
+    static source(number) {
+        return { id: `${Date.now()}-${number}`, type: 'quote', name: '', reference: '' };
+    }
+
+    static item(number) {
+        return { id: `${Date.now()}-${number}`, description: '', quantity: 1, unit: '', prices: {} };
+    }
+
+    static validate(worksheet) {
+        const errors = [];
+        if (worksheet.sources.length === 0) errors.push('- ต้องมีแหล่งที่มาของราคาอย่างน้อย 1 แหล่ง');
+        if (worksheet.items.length === 0) errors.push('- ต้องมีรายการอย่างน้อย 1 รายการ');
+        worksheet.items.forEach((item, i) => {
+            const label = item.description || `รายการที่ ${i + 1}`;
+            if (!item.description) errors.push(`- รายการที่ ${i + 1}: กรุณาระบุชื่อรายการ`);
+            if (!(item.quantity > 0)) errors.push(`- ${label}: จำนวนต้องมากกว่า 0`);
+            if (this.unitPrice(worksheet, item) === null) errors.push(`- ${label}: ยังไม่มีราคาจากแหล่งใด`);
+        });
+        return errors;
+    }
+
+    static median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    static round(n) {
+        return Math.round(n * 100) / 100;
+    }
+
+    // The unit price used for an item, null until it has a source price
+    static unitPrice(worksheet, item) {
+        const prices = worksheet.sources
+            .map(s => item.prices[s.id])
+            .filter(p => typeof p === 'number' && p > 0);
+        if (prices.length === 0) return null;
+        if (worksheet.method === 'average') return this.round(prices.reduce((a, b) => a + b, 0) / prices.length);
+        if (worksheet.method === 'lowest') return Math.min(...prices);
+        return this.round(this.median(prices));
+    }
+
+    static itemTotal(worksheet, item) {
+        return this.round((item.quantity || 0) * (this.unitPrice(worksheet, item) || 0));
+    }
+
+    static total(worksheet) {
+        return this.round(worksheet.items.reduce((sum, item) => sum + this.itemTotal(worksheet, item), 0));
+    }
+
+    // Notes comparing the median price with the budget and contract amount
+    static compare(project) {
+        const notes = [];
+        const median = project.medianPrice;
+        if (!median) return notes;
+        const format = (n) => new Intl.NumberFormat('th-TH', { maximumFractionDigits: 2 }).format(n);
+        if (project.budget && median > project.budget) {
+            notes.push({ warning: true, text: `ราคากลางสูงกว่างบประมาณ ${format(median - project.budget)} บาท` });
+        } else if (project.budget) {
+            notes.push({ warning: false, text: `ต่ำกว่างบประมาณ ${format(project.budget - median)} บาท` });
+        }
+        if (project.contractAmount) {
+            const diff = project.contractAmount - median;
+            const percent = Math.abs(diff / median * 100).toFixed(2);
+            notes.push(diff > 0
+                ? { warning: true, text: `วงเงินสัญญาสูงกว่าราคากลาง ${format(diff)} บาท (${percent}%)` }
+                : { warning: false, text: `วงเงินสัญญาต่ำกว่าราคากลาง ${format(-diff)} บาท (${percent}%)` });
+        }
+        return notes;
+    }
+}
+
+// --- Line Items ---
+// A project's bill of quantities, `project.lineItems`:
+//   [{ id, description, specification, quantity, unit, estimatedUnitPrice, contractUnitPrice }]
+// Estimated totals reconcile against `budget`, contracted totals against
+// `contractAmount`. Lists can be imported from CSV or pasted from a
+// spreadsheet (tab separated).
+
+// Columns in the order used when an import has no header row, with the
+// header names recognised for each. A header matches when it starts with
+// one of them, tried in LINE_ITEM_HEADER_ORDER so the more specific price
+// columns win over "หน่วย".
+const LINE_ITEM_COLUMNS = [
+    { field: 'description', label: 'รายการ', aliases: ['รายการ', 'description', 'item', 'name'] },
+    { field: 'specification', label: 'คุณลักษณะ', aliases: ['คุณลักษณะ', 'รายละเอียด', 'spec'] },
+    { field: 'quantity', label: 'จำนวน', aliases: ['จำนวน', 'qty', 'quantity'] },
+    { field: 'unit', label: 'หน่วย', aliases: ['หน่วย', 'unit'] },
+    { field: 'estimatedUnitPrice', label: 'ราคาประมาณการต่อหน่วย', aliases: ['ราคาประมาณการ', 'ประมาณการ', 'ราคาต่อหน่วย', 'estimate', 'unit price'] },
+    { field: 'contractUnitPrice', label: 'ราคาตามสัญญาต่อหน่วย', aliases: ['ราคาตามสัญญา', 'ราคาที่ตกลง', 'สัญญา', 'ตกลง', 'contract'] }
+];
+const LINE_ITEM_HEADER_ORDER = ['contractUnitPrice', 'estimatedUnitPrice', 'quantity', 'specification', 'description', 'unit'];
+const LINE_ITEM_NUMERIC_FIELDS = ['quantity', 'estimatedUnitPrice', 'contractUnitPrice'];
+// Computed columns (amounts and totals) that are recognised as header
+// cells but not imported; checked before the aliases so "จำนวนเงิน" is
+// not taken for "จำนวน"
+const LINE_ITEM_IGNORED_HEADERS = ['จำนวนเงิน', 'รวม', 'ราคารวม', 'ยอดรวม', 'total', 'amount'];
+
+class LineItems {
+    static item(number) {
+        return {
+            id: `${Date.now()}-${number}`,
+            description: '',
+            specification: '',
+            quantity: 1,
+            unit: '',
+            estimatedUnitPrice: 0,
+            contractUnitPrice: 0
+        };
+    }
+
+    static round(n) {
+        return Math.round(n * 100) / 100;
+    }
+
+    static totals(items) {
+        return (items || []).reduce((t, item) => ({
+            count: t.count + 1,
+            estimated: this.round(t.estimated + (item.quantity || 0) * (item.estimatedUnitPrice || 0)),
+            contracted: this.round(t.contracted + (item.quantity || 0) * (item.contractUnitPrice || 0))
+        }), { count: 0, estimated: 0, contracted: 0 });
+    }
+
+    // Differences between the item totals and the project's budget and
+    // contract amount; `items` defaults to the project's own list
+    static reconcile(project, items = project.lineItems) {
+        const notes = [];
+        const totals = this.totals(items);
+        if (totals.count === 0) return notes;
+        const format = (n) => new Intl.NumberFormat('th-TH', { maximumFractionDigits: 2 }).format(n);
+        if (project.budget && totals.estimated > project.budget) {
+            notes.push({ warning: true, text: `ราคาประมาณการรวมสูงกว่างบประมาณ ${format(totals.estimated - project.budget)} บาท` });
+        }
+        if (project.contractAmount && totals.contracted && totals.contracted !== project.contractAmount) {
+            notes.push({ warning: true, text: `ราคาตามสัญญารวม ${format(totals.contracted)} บาท ไม่ตรงกับวงเงินสัญญา ${format(project.contractAmount)} บาท` });
+        }
+        return notes;
+    }
+
+    static validate(items) {
+        const errors = [];
+        items.forEach((item, i) => {
+            const label = item.description || `รายการที่ ${i + 1}`;
+            if (!item.description) errors.push(`- รายการที่ ${i + 1}: กรุณาระบุชื่อรายการ`);
+            if (!(item.quantity > 0)) errors.push(`- ${label}: จำนวนต้องมากกว่า 0`);
+            if (item.estimatedUnitPrice < 0 || item.contractUnitPrice < 0) errors.push(`- ${label}: ราคาต้องไม่ติดลบ`);
+        });
+        return errors;
+    }
+
+    // File contents as text: UTF-8, or Windows-874 (what Thai Excel saves as
+    // "CSV") when the bytes are not valid UTF-8
+    static decode(buffer) {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        } catch (error) {
+            return new TextDecoder('windows-874').decode(buffer);
+        }
+    }
+
+    // Tab when the first row has a tab outside quoted cells, otherwise comma
+    static delimiter(text) {
+        let quoted = false;
+        for (const ch of text) {
+            if (ch === '"') quoted = !quoted;
+            else if (quoted) continue;
+            else if (ch === '\t') return '\t';
+            else if (ch === '\n' || ch === '\r') break;
+        }
+        return ',';
+    }
+
+    // Splits CSV (or tab separated text pasted from a spreadsheet) into rows
+    // of cells, honouring quoted cells with commas, quotes and line breaks
+    static splitRows(text) {
+        text = text.replace(/^\uFEFF/, '');
+        const delimiter = this.delimiter(text);
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"' && cell === '') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        row.push(cell);
+        rows.push(row);
+        return rows.map(r => r.map(c => c.trim())).filter(r => r.some(c => c !== ''));
+    }
+
+    // Maps header cells to item fields, or null when the first row is data:
+    // a header has most of its cells recognised, and no number under a
+    // numeric column
+    static columnsFromHeader(cells) {
+        const names = cells.map(cell => cell.toLowerCase().replace(/\s+/g, ' '));
+        const matches = (name, aliases) => aliases.some(alias => name.startsWith(alias));
+        const ignored = names.map(name => matches(name, LINE_ITEM_IGNORED_HEADERS));
+        const columns = names.map((name, i) => ignored[i] ? null : LINE_ITEM_HEADER_ORDER.find(field => matches(name, LINE_ITEM_COLUMNS
+            .find(c => c.field === field).aliases)) || null);
+
+        const filled = names.filter(Boolean).length;
+        const recognised = names.filter((name, i) => name && (ignored[i] || columns[i])).length;
+        const hasNumbers = columns.some((field, i) => LINE_ITEM_NUMERIC_FIELDS.includes(field)
+            && cells[i] !== '' && !Number.isNaN(this.parseNumber(cells[i])));
+        return columns.some(Boolean) && recognised * 2 > filled && !hasNumbers ? columns : null;
+    }
+
+    static parseNumber(value) {
+        const cleaned = String(value).replace(/[,\s฿]/g, '').replace(/บาท$/, '');
+        if (cleaned === '') return 0;
+        const number = Number(cleaned);
+        return Number.isFinite(number) ? number : NaN;
+    }
+
+    // -> { items, errors }; rows without a description are skipped
+    static parse(text) {
+        const rows = this.splitRows(text || '');
+        const items = [];
+        const errors = [];
+        if (rows.length === 0) return { items, errors };
+
+        let columns = this.columnsFromHeader(rows[0]);
+        let start = 1;
+        if (!columns) {
+            columns = LINE_ITEM_COLUMNS.map(c => c.field);
+            start = 0;
+        }
+
+        rows.slice(start).forEach((cells, i) => {
+            const rowNumber = start + i + 1;
+            const item = this.item(items.length + 1);
+            columns.forEach((field, col) => {
+                if (!field || cells[col] === undefined) return;
+                item[field] = LINE_ITEM_NUMERIC_FIELDS.includes(field) ? this.parseNumber(cells[col]) : cells[col];
+            });
+            if (!item.description) return;
+            const invalid = LINE_ITEM_NUMERIC_FIELDS.filter(field => Number.isNaN(item[field]));
+            if (invalid.length > 0) {
+                const labels = invalid.map(field => LINE_ITEM_COLUMNS.find(c => c.field === field).label);
+                errors.push(`แถวที่ ${rowNumber}: ${labels.join(', ')} ไม่ใช่ตัวเลข`);
+                return;
+            }
+            items.push(item);
+        });
+        return { items, errors };
+    }
+}
+
+// --- IndexedDB Helpers ---
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// `upgrade(db, oldVersion)` creates what versions after `oldVersion` added
+function openIndexedDB(name, version, upgrade) {
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = (e) => upgrade(request.result, e.oldVersion);
+    return idbRequest(request);
+}
+
+// --- Storage Manager ---
+// The app talks to a storage backend through the StorageBackend interface
+// (project data) and the FileStorageBackend interface (attachments). The
+// backend is picked by `storageBackend` in app-config.js.
+
+import { APP_CONFIG } from './app-config.js';
+
+class StorageBackend {
+    // true when data lives on a server and writes may need the offline queue
+    static get isRemote() {
+        return false;
+    }
+
+    static get accessCode() {
+        return sessionStorage.getItem('protracker_access_code');
+    }
+
+    static setAccessCode(code) {
+        sessionStorage.setItem('protracker_access_code', code);
+    }
+
+    static clearAccessCode() {
+        sessionStorage.removeItem('protracker_access_code');
+    }
+
+    // Stored data must be plain objects, not class instances (like new Project())
+    static toPlain(data) {
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    static notImplemented(method) {
+        throw new Error(`${this.name}.${method}() is not implemented`);
+    }
+
+    static async init() { }
+    static async checkWorkspace(code) { this.notImplemented('checkWorkspace'); }
+    // Workspace-level fields (members, settings, ...) or null if there is no such workspace
+    static async getWorkspace(code) { this.notImplemented('getWorkspace'); }
+    // Replace whole top-level fields; unlike updateWorkspaceSettings, maps are not merged
+    // so keys removed from `members` or `invites` really go away
+    static async setWorkspaceFields(code, fields) { this.notImplemented('setWorkspaceFields'); }
+    // Workspaces `uid` is a member of: [{ code, role }]
+    static async listWorkspaces(uid) { this.notImplemented('listWorkspaces'); }
+    // Preferences of one user across their workspaces, e.g.
+    // { workspaceNames: { [code]: name } }; {} when nothing was saved.
+    // Updates replace whole top-level fields.
+    static async getUserSettings(uid) { this.notImplemented('getUserSettings'); }
+    static async updateUserSettings(uid, settings) { this.notImplemented('updateUserSettings'); }
+    static async saveWorkspace(data) { this.notImplemented('saveWorkspace'); }
+    static async saveProjects(projects, code) { this.notImplemented('saveProjects'); }
+    static async getWorkspaceData() { this.notImplemented('getWorkspaceData'); }
+    static async migrateWorkspace(code) { return false; }
+    static async upgradeSchema(code) { this.notImplemented('upgradeSchema'); }
+    // `onError` is told when the server stops serving us (e.g. removed from the workspace)
+    static subscribe(onWorkspace, onProjects, onError) { this.notImplemented('subscribe'); }
+    static async getProjects() { this.notImplemented('getProjects'); }
+    static async getProject(id) { this.notImplemented('getProject'); }
+    static async addProject(project) { this.notImplemented('addProject'); }
+    static async updateProject(project) { this.notImplemented('updateProject'); }
+    static async applyChanges(id, changes, audit) { this.notImplemented('applyChanges'); }
+    // Also removes the project's archived history
+    static async deleteProject(id) { this.notImplemented('deleteProject'); }
+    // History entries moved off a project (see AuditLog.overflow), oldest first
+    static async getArchivedHistory(id) { this.notImplemented('getArchivedHistory'); }
+    static async deleteArchivedHistory(id) { this.notImplemented('deleteArchivedHistory'); }
+    static async updateWorkspaceSettings(code, settings) { this.notImplemented('updateWorkspaceSettings'); }
+    // Drop top-level workspace fields altogether
+    static async removeWorkspaceFields(code, fields) { this.notImplemented('removeWorkspaceFields'); }
+    // One entry of the vendor directory (see Vendors), leaving the others as they are
+    static async saveVendor(code, vendor) { this.notImplemented('saveVendor'); }
+    static async deleteVendor(code, id) { this.notImplemented('deleteVendor'); }
+    // Published share links (see ShareLinks); getShare resolves null when
+    // the link doesn't exist, was revoked or has expired
+    static async saveShare(share) { this.notImplemented('saveShare'); }
+    static async getShare(token) { this.notImplemented('getShare'); }
+    static async revokeShare(token) { this.notImplemented('revokeShare'); }
+}
+
+class FileStorageBackend {
+    static validateFile(file) {
+        const maxSize = 5 * 1024 * 1024; // 5MB
+        const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
+
+        if (file.size > maxSize) {
+            throw new Error('ขนาดไฟล์ต้องไม่เกิน 5MB');
+        }
+        if (!allowedTypes.includes(file.type)) {
+            throw new Error('รองรับเฉพาะไฟล์รูปภาพและ PDF เท่านั้น');
+        }
+        return true;
+    }
+
+    // Add timestamp to filename to prevent duplicates
+    static buildPath(file, path) {
+        const safeName = file.name.replace(/[^a-zA-Z0-9.-]/g, '_');
+        return `${path}/${Date.now()}_${safeName}`;
+    }
+
+    static notImplemented(method) {
+        throw new Error(`${this.name}.${method}() is not implemented`);
+    }
+
+    static async init() { }
+    static async upload(file, path) { this.notImplemented('upload'); }
+    static async delete(fileInfo) { this.notImplemented('delete'); }
+    // Blob contents of a stored file (used by backups)
+    static async read(fileInfo) { this.notImplemented('read'); }
+    // Write a backed-up file back to its original path; returns the updated fileInfo
+    static async restore(fileInfo, blob) { this.notImplemented('restore'); }
+
+    // URL that can be put in <img src> or opened in a new tab
+    static async resolveUrl(fileInfo) {
+        return fileInfo.url;
+    }
+}
+
+// --- Firestore Manager (Replaces LocalStorage) ---
+// Layout: workspaces/{code} holds workspace-level fields (stepTemplates, settings),
+// each project lives in its own document under workspaces/{code}/projects/{id}.
+
+// Firebase SDK bindings. They are loaded on first use (see loadFirebase) so
+// the local backend works without any network access.
+let db, storage, auth;
+let doc, getDoc, setDoc, updateDoc, onSnapshot, collection, getDocs, deleteDoc, writeBatch, deleteField, runTransaction, query, where;
+let ref, uploadBytes, getDownloadURL, deleteObject, getBlob;
+let onAuthStateChanged, signInWithEmailAndPassword, createUserWithEmailAndPassword, firebaseSignOut, updateProfile, sendEmailVerification, reloadUser;
+let firebaseLoading = null;
+
+function loadFirebase() {
+    if (!firebaseLoading) {
+        firebaseLoading = Promise.all([
+            import('./firebase-config.js'),
+            import("https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js"),
+            import("https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js"),
+            import("https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js")
+        ]).then(([config, firestore, storageSdk, authSdk]) => {
+            ({ db, storage, auth } = config);
+            ({ doc, getDoc, setDoc, updateDoc, onSnapshot, collection, getDocs, deleteDoc, writeBatch, deleteField, runTransaction, query, where } = firestore);
+            ({ ref, uploadBytes, getDownloadURL, deleteObject, getBlob } = storageSdk);
+            ({ onAuthStateChanged, signInWithEmailAndPassword, createUserWithEmailAndPassword, signOut: firebaseSignOut, updateProfile, sendEmailVerification, reload: reloadUser } = authSdk);
+        });
+    }
+    return firebaseLoading;
+}
+
+// Firestore allows at most 500 writes per batch
+const FIRESTORE_BATCH_LIMIT = 500;
+
+class FirestoreManager extends StorageBackend {
+    static get isRemote() {
+        return true;
+    }
+
+    static async init() {
+        await loadFirebase();
+    }
+
+    static workspaceRef(code = this.accessCode) {
+        return doc(db, 'workspaces', code);
+    }
+
+    static projectsRef(code = this.accessCode) {
+        return collection(db, 'workspaces', code, 'projects');
+    }
+
+    static projectRef(id, code = this.accessCode) {
+        return doc(db, 'workspaces', code, 'projects', id);
+    }
+
+    // One document per archived history entry (see AuditLog.overflow)
+    static historyRef(id, code = this.accessCode) {
+        return collection(db, 'workspaces', code, 'projects', id, 'history');
+    }
+
+    // Check if workspace exists
+    static async checkWorkspace(code) {
+        try {
+            const docSnap = await getDoc(this.workspaceRef(code));
+            return docSnap.exists();
+        } catch (error) {
+            console.error("Error checking workspace:", error);
+            throw error;
+        }
+    }
+
+    // Throws a 'permission-denied' error for workspaces we are not a member of
+    static async getWorkspace(code) {
+        const docSnap = await getDoc(this.workspaceRef(code));
+        if (!docSnap.exists()) return null;
+        const workspace = docSnap.data();
+        SchemaMigrator.upgrade('workspace', workspace);
+        return workspace;
+    }
+
+    static async setWorkspaceFields(code, fields) {
+        await updateDoc(this.workspaceRef(code), this.toPlain(fields));
+    }
+
+    static async listWorkspaces(uid) {
+        const snap = await getDocs(query(collection(db, 'workspaces'), where('memberIds', 'array-contains', uid)));
+        return snap.docs.map(d => ({ code: d.id, role: Membership.roleOf(d.data(), uid) }));
+    }
+
+    // users/{uid}, readable and writable only by that user (see firestore.rules)
+    static async getUserSettings(uid) {
+        const docSnap = await getDoc(doc(db, 'users', uid));
+        return docSnap.exists() ? docSnap.data() : {};
+    }
+
+    static async updateUserSettings(uid, settings) {
+        await setDoc(doc(db, 'users', uid), this.toPlain(settings), { merge: true });
+    }
+
+    // Create new workspace or overwrite existing.
+    // A `projects` array, if given, is written as individual project documents.
+    static async saveWorkspace(data) {
+        const code = this.accessCode;
+        if (!code) throw new Error('No access code set');
+
+        try {
+            const { projects, ...workspaceFields } = this.toPlain(data);
+
+            await setDoc(this.workspaceRef(code), {
+                ...workspaceFields,
+                lastAccessedAt: new Date().toISOString()
+            }, { merge: true });
+
+            if (projects) {
+                await this.saveProjects(projects, code);
+            }
+        } catch (error) {
+            console.error("Error saving workspace:", error);
+            // Callers decide how to report it (and whether to queue it offline)
+            throw error;
+        }
+    }
+
+    // Write many projects at once, chunked to respect the batch limit
+    static async saveProjects(projects, code = this.accessCode) {
+        // Older entries go first, so a failed save never loses history
+        const archived = projects.flatMap(p => AuditLog.overflow(p).map(entry => [p.id, entry]));
+        for (let i = 0; i < archived.length; i += FIRESTORE_BATCH_LIMIT) {
+            const batch = writeBatch(db);
+            archived.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach(([id, entry]) => {
+                batch.set(doc(this.historyRef(id, code)), this.toPlain(entry));
+            });
+            await batch.commit();
+        }
+        for (let i = 0; i < projects.length; i += FIRESTORE_BATCH_LIMIT) {
+            const batch = writeBatch(db);
+            projects.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach(p => {
+                batch.set(this.projectRef(p.id, code), this.toPlain(p));
+            });
+            await batch.commit();
+        }
+    }
+
+    // Get full workspace data (workspace fields + all projects)
+    static async getWorkspaceData() {
+        const code = this.accessCode;
+        if (!code) return null;
+
+        try {
+            const docSnap = await getDoc(this.workspaceRef(code));
+            if (docSnap.exists()) {
+                const workspace = docSnap.data();
+                SchemaMigrator.upgrade('workspace', workspace);
+                return { ...workspace, projects: await this.getProjects() };
+            }
+            return null;
+        } catch (error) {
+            console.error("Error fetching workspace:", error);
+            return null;
+        }
+    }
+
+    // One-time migration: move the legacy `projects` array stored on the
+    // workspace document into per-project documents, then drop the array.
+    static async migrateWorkspace(code = this.accessCode) {
+        const docSnap = await getDoc(this.workspaceRef(code));
+        if (!docSnap.exists()) return false;
+
+        const legacyProjects = docSnap.data().projects;
+        if (!Array.isArray(legacyProjects)) return false;
+
+        await this.saveProjects(legacyProjects, code);
+        await setDoc(this.workspaceRef(code), {
+            projects: deleteField(),
+            projectsMigratedAt: new Date().toISOString()
+        }, { merge: true });
+        return true;
+    }
+
+    // Persist records still on an older schema (see SchemaMigrator).
+    // Each project is upgraded in its own transaction so a concurrent edit
+    // is never overwritten. Returns the number of records rewritten.
+    static async upgradeSchema(code = this.accessCode) {
+        let upgraded = 0;
+
+        const workspaceSnap = await getDoc(this.workspaceRef(code));
+        if (workspaceSnap.exists()) {
+            const workspace = workspaceSnap.data();
+            if (SchemaMigrator.upgrade('workspace', workspace)) {
+                await setDoc(this.workspaceRef(code), workspace, { merge: true });
+                upgraded++;
+            }
+        }
+
+        const snap = await getDocs(this.projectsRef(code));
+        const stale = snap.docs.filter(d => !SchemaMigrator.isCurrent('project', d.data()));
+        for (const d of stale) {
+            await runTransaction(db, async (transaction) => {
+                const docSnap = await transaction.get(d.ref);
+                if (!docSnap.exists()) return;
+                const project = docSnap.data();
+                if (SchemaMigrator.upgrade('project', project)) {
+                    transaction.set(d.ref, this.toPlain(project));
+                }
+            });
+            upgraded++;
+        }
+        return upgraded;
+    }
+
+    // Listen to workspace-level fields and the projects collection separately.
+    // Returns a function that removes both listeners.
+    static subscribe(onWorkspace, onProjects, onError = () => { }) {
+        const code = this.accessCode;
+        const unsubWorkspace = onSnapshot(this.workspaceRef(code), (docSnap) => {
+            if (docSnap.exists()) {
+                const workspace = docSnap.data();
+                SchemaMigrator.upgrade('workspace', workspace);
+                onWorkspace(workspace);
+            }
+        }, onError);
+        const unsubProjects = onSnapshot(this.projectsRef(code), async (snap) => {
+            onProjects(await SyncQueue.overlay(snap.docs.map(d => d.data())));
+        }, onError);
+        return () => {
+            unsubWorkspace();
+            unsubProjects();
+        };
+    }
+
+    // --- Legacy Adapter Methods (to match old usage) ---
+
+    static async getProjects() {
+        const code = this.accessCode;
+        if (!code) return [];
+
+        try {
+            // Served from the IndexedDB cache when offline, plus our queued writes
+            const snap = await getDocs(this.projectsRef(code));
+            const projects = await SyncQueue.overlay(snap.docs.map(d => d.data()));
+            // Keep the old "newest first" ordering of the single array
+            return projects.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        } catch (error) {
+            console.error("Error fetching projects:", error);
+            return [];
+        }
+    }
+
+    static async addProject(project) {
+        project.updatedAt = new Date().toISOString();
+        await this.saveProjects([project]);
+        return project;
+    }
+
+    static async updateProject(updatedProject) {
+        return this.addProject(updatedProject);
+    }
+
+    // Apply field-level changes (see ProjectPatch) to the latest stored copy
+    // inside a transaction, so concurrent edits to other fields are kept.
+    // Throws ProjectConflictError (and writes nothing) on a true conflict.
+    // `audit` ({ actor, at, summary }) goes into the project's history.
+    static async applyChanges(id, changes, audit) {
+        return runTransaction(db, async (transaction) => {
+            const ref = this.projectRef(id);
+            const docSnap = await transaction.get(ref);
+            if (!docSnap.exists()) throw new Error('ไม่พบโครงการนี้ (อาจถูกลบไปแล้ว)');
+
+            const project = docSnap.data();
+            SchemaMigrator.upgrade('project', project);
+            const before = ProjectPatch.clone(project);
+            const { applied, conflicts } = ProjectPatch.apply(project, changes);
+            if (conflicts.length > 0) throw new ProjectConflictError(conflicts, project);
+            AuditLog.record(project, before, applied, audit);
+            AuditLog.overflow(project).forEach(entry =>
+                transaction.set(doc(this.historyRef(id)), this.toPlain(entry)));
+
+            Project.updateProgress(project);
+            project.revision = (project.revision || 0) + 1;
+            project.updatedAt = new Date().toISOString();
+            transaction.set(ref, this.toPlain(project));
+            return project;
+        });
+    }
+
+    static async deleteProject(id) {
+        await this.deleteArchivedHistory(id);
+        await deleteDoc(this.projectRef(id));
+    }
+
+    static async getArchivedHistory(id) {
+        const snap = await getDocs(this.historyRef(id));
+        return snap.docs.map(d => d.data()).sort((a, b) => new Date(a.at) - new Date(b.at));
+    }
+
+    static async deleteArchivedHistory(id) {
+        const snap = await getDocs(this.historyRef(id));
+        for (let i = 0; i < snap.docs.length; i += FIRESTORE_BATCH_LIMIT) {
+            const batch = writeBatch(db);
+            snap.docs.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach(d => batch.delete(d.ref));
+            await batch.commit();
+        }
+    }
+
+    static async getProject(id) {
+        let stored = [];
+        try {
+            const docSnap = await getDoc(this.projectRef(id));
+            if (docSnap.exists()) stored = [docSnap.data()];
+        } catch (error) {
+            // Offline and not cached yet; it may still exist in the queue
+            console.error("Error fetching project:", error);
+        }
+        const projects = await SyncQueue.overlay(stored);
+        return projects.find(p => p.id === id);
+    }
+
+    static async updateWorkspaceSettings(code, settings) {
+        try {
+            await setDoc(this.workspaceRef(code), settings, { merge: true });
+        } catch (error) {
+            console.error("Error updating settings:", error);
+            throw error;
+        }
+    }
+
+    static async removeWorkspaceFields(code, fields) {
+        await updateDoc(this.workspaceRef(code), Object.fromEntries(fields.map(field => [field, deleteField()])));
+    }
+
+    // Field paths, so concurrent edits to other vendors are kept
+    static async saveVendor(code, vendor) {
+        try {
+            await updateDoc(this.workspaceRef(code), { [`vendors.${vendor.id}`]: this.toPlain(vendor) });
+        } catch (error) {
+            console.error("Error saving vendor:", error);
+            throw error;
+        }
+    }
+
+    static async deleteVendor(code, id) {
+        try {
+            await updateDoc(this.workspaceRef(code), { [`vendors.${id}`]: deleteField() });
+        } catch (error) {
+            console.error("Error deleting vendor:", error);
+            throw error;
+        }
+    }
+
+    // Shares live outside the workspace (shares/{token}) so people without
+    // an account can read them; firestore.rules checks the expiry, which
+    // has to be a Timestamp for that, and refuses writes to revoked records
+    static async saveShare(share) {
+        await runTransaction(db, async (transaction) => {
+            const projectSnap = await transaction.get(doc(db, 'workspaces', share.workspace, 'projects', share.projectId));
+            const link = projectSnap.exists() ? (projectSnap.data().shares || []).find(l => l.token === share.token) : null;
+            if (link && link.revokedAt) throw new Error('ลิงก์นี้ถูกยกเลิกแล้ว');
+            transaction.set(doc(db, 'shares', share.token), {
+                ...this.toPlain(share),
+                expiresAt: share.expiresAt ? new Date(share.expiresAt) : null
+            });
+        });
+    }
+
+    static async getShare(token) {
+        try {
+            const docSnap = await getDoc(doc(db, 'shares', token));
+            if (!docSnap.exists()) return null;
+            const share = docSnap.data();
+            if (share.expiresAt) share.expiresAt = share.expiresAt.toDate().toISOString();
+            return ShareLinks.isActive(share) ? share : null;
+        } catch (error) {
+            // Expired links are refused by the rules
+            if (error.code === 'permission-denied') return null;
+            throw error;
+        }
+    }
+
+    static async revokeShare(token) {
+        try {
+            await updateDoc(doc(db, 'shares', token), { revokedAt: new Date(), project: deleteField() });
+        } catch (error) {
+            // Never published, so there is nothing to revoke
+            if (error.code !== 'not-found') throw error;
+        }
+    }
+}
+
+// --- File Storage Manager ---
+
+class FileUploadManager extends FileStorageBackend {
+    static async init() {
+        await loadFirebase();
+    }
+
+    static async upload(file, path) {
+        this.validateFile(file);
+
+        const fullPath = this.buildPath(file, path);
+        const storageRef = ref(storage, fullPath);
+
+        const snapshot = await uploadBytes(storageRef, file);
+        const url = await getDownloadURL(snapshot.ref);
+
+        return {
+            name: file.name,
+            type: file.type,
+            url: url,
+            path: fullPath, // Store path for deletion
+            uploadedAt: new Date().toISOString()
+        };
+    }
+
+    static async delete(fileInfo) {
+        if (!fileInfo || !fileInfo.path) return;
+        try {
+            const fileRef = ref(storage, fileInfo.path);
+            await deleteObject(fileRef);
+        } catch (error) {
+            console.error("Error deleting file:", error);
+            // Ignore error if file not found
+        }
+    }
+
+    static async read(fileInfo) {
+        return getBlob(ref(storage, fileInfo.path));
+    }
+
+    static async restore(fileInfo, blob) {
+        const storageRef = ref(storage, fileInfo.path);
+        const snapshot = await uploadBytes(storageRef, blob, { contentType: fileInfo.type || blob.type });
+        return { ...fileInfo, url: await getDownloadURL(snapshot.ref) };
+    }
+}
+
+// --- Local IndexedDB Backend ---
+// Keeps everything in this browser only: for air-gapped offices and tests.
+// Stores: workspaces { code, data }, projects { workspace, id, project },
+// files { path, blob }, shares { token, ... } (see ShareLinks), users { uid, data },
+// history { seq, workspace, projectId, entry } (see AuditLog.overflow).
+
+class LocalDataStore extends StorageBackend {
+    static async db() {
+        if (!this._db) {
+            this._db = openIndexedDB('protracker-local', 4, (db, oldVersion) => {
+                if (oldVersion < 1) {
+                    db.createObjectStore('workspaces', { keyPath: 'code' });
+                    const projects = db.createObjectStore('projects', { keyPath: ['workspace', 'id'] });
+                    projects.createIndex('workspace', 'workspace');
+                    db.createObjectStore('files', { keyPath: 'path' });
+                }
+                if (oldVersion < 2) {
+                    db.createObjectStore('shares', { keyPath: 'token' });
+                }
+                if (oldVersion < 3) {
+                    db.createObjectStore('users', { keyPath: 'uid' });
+                }
+                if (oldVersion < 4) {
+                    const history = db.createObjectStore('history', { keyPath: 'seq', autoIncrement: true });
+                    history.createIndex('project', ['workspace', 'projectId']);
+                }
+            });
+        }
+        return this._db;
+    }
+
+    static async init() {
+        this.listeners = [];
+        // Other tabs announce their writes so subscribers stay in sync
+        this.channel = new BroadcastChannel('protracker-local');
+        this.channel.onmessage = (e) => {
+            if (e.data === this.accessCode) this.notify(false);
+        };
+        await this.db();
+    }
+
+    static async store(name, mode = 'readonly') {
+        const db = await this.db();
+        return db.transaction(name, mode).objectStore(name);
+    }
+
+    static async notify(broadcast = true) {
+        if (broadcast) this.channel.postMessage(this.accessCode);
+        if (this.listeners.length === 0) return;
+
+        const workspace = await this.getWorkspaceFields();
+        const projects = await this.getProjects();
+        this.listeners.forEach(({ onWorkspace, onProjects }) => {
+            if (workspace) onWorkspace(workspace);
+            onProjects(projects);
+        });
+    }
+
+    static async getWorkspaceFields(code = this.accessCode) {
+        const record = await idbRequest((await this.store('workspaces')).get(code));
+        if (!record) return null;
+        SchemaMigrator.upgrade('workspace', record.data);
+        return record.data;
+    }
+
+    static async checkWorkspace(code) {
+        return !!(await this.getWorkspaceFields(code));
+    }
+
+    static async getWorkspace(code) {
+        return this.getWorkspaceFields(code);
+    }
+
+    // Workspace fields are stored whole, so this is the same as a settings update
+    static async setWorkspaceFields(code, fields) {
+        await this.updateWorkspaceSettings(code, fields);
+    }
+
+    static async listWorkspaces(uid) {
+        const records = await idbRequest((await this.store('workspaces')).getAll());
+        return records
+            .filter(r => Membership.roleOf(r.data, uid))
+            .map(r => ({ code: r.code, role: Membership.roleOf(r.data, uid) }));
+    }
+
+    static async getUserSettings(uid) {
+        const record = await idbRequest((await this.store('users')).get(uid));
+        return record ? record.data : {};
+    }
+
+    static async updateUserSettings(uid, settings) {
+        const existing = await this.getUserSettings(uid);
+        await idbRequest((await this.store('users', 'readwrite')).put({ uid, data: { ...existing, ...this.toPlain(settings) } }));
+    }
+
+    static async saveWorkspace(data) {
+        const code = this.accessCode;
+        if (!code) throw new Error('No access code set');
+
+        const { projects, ...workspaceFields } = this.toPlain(data);
+        const existing = await this.getWorkspaceFields(code) || {};
+        const store = await this.store('workspaces', 'readwrite');
+        await idbRequest(store.put({
+            code,
+            data: { ...existing, ...workspaceFields, lastAccessedAt: new Date().toISOString() }
+        }));
+
+        if (projects) {
+            await this.saveProjects(projects, code);
+        } else {
+            this.notify();
+        }
+    }
+
+    static async saveProjects(projects, code = this.accessCode) {
+        const db = await this.db();
+        const tx = db.transaction(['projects', 'history'], 'readwrite');
+        projects.forEach(p => {
+            AuditLog.overflow(p).forEach(entry => {
+                tx.objectStore('history').add({ workspace: code, projectId: p.id, entry: this.toPlain(entry) });
+            });
+            tx.objectStore('projects').put({ workspace: code, id: p.id, project: this.toPlain(p) });
+        });
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+        this.notify();
+    }
+
+    static async getWorkspaceData() {
+        const workspace = await this.getWorkspaceFields();
+        if (!workspace) return null;
+        return { ...workspace, projects: await this.getProjects() };
+    }
+
+    static subscribe(onWorkspace, onProjects) {
+        const listener = { onWorkspace, onProjects };
+        this.listeners.push(listener);
+        this.notify(false);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    static async getProjects() {
+        const code = this.accessCode;
+        if (!code) return [];
+        const store = await this.store('projects');
+        const records = await idbRequest(store.index('workspace').getAll(code));
+        return SchemaMigrator.upgradeAll('project', records.map(r => r.project))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    static async getProject(id) {
+        const record = await idbRequest((await this.store('projects')).get([this.accessCode, id]));
+        if (!record) return undefined;
+        SchemaMigrator.upgrade('project', record.project);
+        return record.project;
+    }
+
+    // Same contract as FirestoreManager.upgradeSchema. One IndexedDB
+    // transaction covers all projects, so nothing can interleave.
+    static async upgradeSchema(code = this.accessCode) {
+        let upgraded = 0;
+
+        const workspaceStore = await this.store('workspaces', 'readwrite');
+        const workspaceRecord = await idbRequest(workspaceStore.get(code));
+        if (workspaceRecord && SchemaMigrator.upgrade('workspace', workspaceRecord.data)) {
+            await idbRequest(workspaceStore.put(workspaceRecord));
+            upgraded++;
+        }
+
+        const store = await this.store('projects', 'readwrite');
+        const records = await idbRequest(store.index('workspace').getAll(code));
+        records.forEach(record => {
+            if (SchemaMigrator.upgrade('project', record.project)) {
+                store.put(record);
+                upgraded++;
+            }
+        });
+        await new Promise((resolve, reject) => {
+            store.transaction.oncomplete = resolve;
+            store.transaction.onerror = () => reject(store.transaction.error);
+        });
+        if (upgraded > 0) this.notify();
+        return upgraded;
+    }
+
+    static async addProject(project) {
+        project.updatedAt = new Date().toISOString();
+        await this.saveProjects([project]);
+        return project;
+    }
+
+    static async updateProject(updatedProject) {
+        return this.addProject(updatedProject);
+    }
+
+    // Same contract as FirestoreManager.applyChanges; the read-modify-write
+    // runs in one IndexedDB transaction so other tabs can't interleave.
+    static async applyChanges(id, changes, audit) {
+        const code = this.accessCode;
+        const tx = (await this.db()).transaction(['projects', 'history'], 'readwrite');
+        const store = tx.objectStore('projects');
+        const record = await idbRequest(store.get([code, id]));
+        if (!record) throw new Error('ไม่พบโครงการนี้ (อาจถูกลบไปแล้ว)');
+
+        const project = record.project;
+        SchemaMigrator.upgrade('project', project);
+        const before = ProjectPatch.clone(project);
+        const { applied, conflicts } = ProjectPatch.apply(project, changes);
+        if (conflicts.length > 0) throw new ProjectConflictError(conflicts, project);
+        AuditLog.record(project, before, applied, audit);
+        AuditLog.overflow(project).forEach(entry => {
+            tx.objectStore('history').add({ workspace: code, projectId: id, entry: this.toPlain(entry) });
+        });
+
+        Project.updateProgress(project);
+        project.revision = (project.revision || 0) + 1;
+        project.updatedAt = new Date().toISOString();
+        await idbRequest(store.put({ workspace: code, id, project: this.toPlain(project) }));
+        this.notify();
+        return project;
+    }
+
+    static async deleteProject(id) {
+        await this.deleteArchivedHistory(id);
+        await idbRequest((await this.store('projects', 'readwrite')).delete([this.accessCode, id]));
+        this.notify();
+    }
+
+    static async getArchivedHistory(id) {
+        const store = await this.store('history');
+        const records = await idbRequest(store.index('project').getAll([this.accessCode, id]));
+        return records.map(r => r.entry);
+    }
+
+    static async deleteArchivedHistory(id) {
+        const store = await this.store('history', 'readwrite');
+        const keys = await idbRequest(store.index('project').getAllKeys([this.accessCode, id]));
+        await Promise.all(keys.map(key => idbRequest(store.delete(key))));
+    }
+
+    static async updateWorkspaceSettings(code, settings) {
+        const existing = await this.getWorkspaceFields(code) || {};
+        const store = await this.store('workspaces', 'readwrite');
+        await idbRequest(store.put({ code, data: { ...existing, ...this.toPlain(settings) } }));
+        this.notify();
+    }
+
+    static async removeWorkspaceFields(code, fields) {
+        const data = { ...await this.getWorkspaceFields(code) };
+        fields.forEach(field => delete data[field]);
+        await idbRequest((await this.store('workspaces', 'readwrite')).put({ code, data }));
+        this.notify();
+    }
+
+    static async saveVendor(code, vendor) {
+        const existing = await this.getWorkspaceFields(code) || {};
+        await this.updateWorkspaceSettings(code, { vendors: { ...existing.vendors, [vendor.id]: vendor } });
+    }
+
+    static async deleteVendor(code, id) {
+        const existing = await this.getWorkspaceFields(code) || {};
+        const { [id]: removed, ...vendors } = existing.vendors || {};
+        await this.updateWorkspaceSettings(code, { vendors });
+    }
+
+    // Links only open in this browser, since that is where the data is
+    static async saveShare(share) {
+        const existing = await idbRequest((await this.store('shares')).get(share.token));
+        const record = await idbRequest((await this.store('projects')).get([share.workspace, share.projectId]));
+        const link = record ? (record.project.shares || []).find(l => l.token === share.token) : null;
+        if ((existing && existing.revokedAt) || (link && link.revokedAt)) throw new Error('ลิงก์นี้ถูกยกเลิกแล้ว');
+        await idbRequest((await this.store('shares', 'readwrite')).put(this.toPlain(share)));
+    }
+
+    static async getShare(token) {
+        const share = await idbRequest((await this.store('shares')).get(token));
+        return share && ShareLinks.isActive(share) ? share : null;
+    }
+
+    static async revokeShare(token) {
+        const share = await idbRequest((await this.store('shares')).get(token));
+        if (!share) return;
+        delete share.project;
+        await idbRequest((await this.store('shares', 'readwrite')).put({ ...share, revokedAt: new Date().toISOString() }));
+    }
+}
+
+class LocalFileStore extends FileStorageBackend {
+    static async upload(file, path) {
+        this.validateFile(file);
+
+        const fullPath = this.buildPath(file, path);
+        const store = await LocalDataStore.store('files', 'readwrite');
+        await idbRequest(store.put({ path: fullPath, blob: file }));
+
+        return {
+            name: file.name,
+            type: file.type,
+            url: null, // Resolved to an object URL when displayed
+            path: fullPath,
+            uploadedAt: new Date().toISOString()
+        };
+    }
+
+    static async delete(fileInfo) {
+        if (!fileInfo || !fileInfo.path) return;
+        const store = await LocalDataStore.store('files', 'readwrite');
+        await idbRequest(store.delete(fileInfo.path));
+    }
+
+    static async read(fileInfo) {
+        const record = await idbRequest((await LocalDataStore.store('files')).get(fileInfo.path));
+        if (!record) throw new Error(`ไม่พบไฟล์ ${fileInfo.name || fileInfo.path}`);
+        return record.blob;
+    }
+
+    static async restore(fileInfo, blob) {
+        const store = await LocalDataStore.store('files', 'readwrite');
+        await idbRequest(store.put({ path: fileInfo.path, blob }));
+        if (this.urls && this.urls.has(fileInfo.path)) {
+            URL.revokeObjectURL(this.urls.get(fileInfo.path));
+            this.urls.delete(fileInfo.path);
+        }
+        return { ...fileInfo, url: null };
+    }
+
+    static async resolveUrl(fileInfo) {
+        if (!this.urls) this.urls = new Map();
+        if (!this.urls.has(fileInfo.path)) {
+            const record = await idbRequest((await LocalDataStore.store('files')).get(fileInfo.path));
+            if (!record) return '';
+            this.urls.set(fileInfo.path, URL.createObjectURL(record.blob));
+        }
+        return this.urls.get(fileInfo.path);
+    }
+}
+
+// --- Accounts ---
+// Who is using the app. A user is { uid, email, name }. The firestore
+// backend signs in with Firebase Auth; the local backend keeps accounts in
+// this browser, which only tells people sharing a computer apart (it is not
+// a security boundary: the data itself is readable by anyone at the keyboard).
+
+const AUTH_ERROR_MESSAGES = {
+    'auth/invalid-email': 'รูปแบบอีเมลไม่ถูกต้อง',
+    'auth/invalid-credential': 'อีเมลหรือรหัสผ่านไม่ถูกต้อง',
+    'auth/user-not-found': 'อีเมลหรือรหัสผ่านไม่ถูกต้อง',
+    'auth/wrong-password': 'อีเมลหรือรหัสผ่านไม่ถูกต้อง',
+    'auth/email-already-in-use': 'อีเมลนี้มีบัญชีอยู่แล้ว',
+    'auth/weak-password': 'รหัสผ่านต้องมีอย่างน้อย 6 ตัวอักษร',
+    'auth/too-many-requests': 'ลองเข้าสู่ระบบหลายครั้งเกินไป กรุณารอสักครู่',
+    'auth/network-request-failed': 'ไม่สามารถเชื่อมต่อเครือข่ายได้',
+    'auth/unverified-email': 'อีเมลของคุณยังไม่ได้ยืนยัน หากได้รับคำเชิญเข้าร่วม Workspace กรุณายืนยันอีเมลจากลิงก์ที่ส่งไปยังกล่องจดหมายก่อน แล้วลองอีกครั้ง'
+};
+
+class AuthError extends Error {
+    constructor(code) {
+        super(AUTH_ERROR_MESSAGES[code] || code);
+        this.name = 'AuthError';
+        this.code = code;
+    }
+}
+
+class AuthProvider {
+    static get currentUser() {
+        return this.user || null;
+    }
+
+    static notImplemented(method) {
+        throw new Error(`${this.name}.${method}() is not implemented`);
+    }
+
+    // Resolves once the user from an earlier session (if any) is known
+    static async init() { this.notImplemented('init'); }
+    static async signIn(email, password) { this.notImplemented('signIn'); }
+    static async signUp(email, password, name) { this.notImplemented('signUp'); }
+    static async signOut() { this.notImplemented('signOut'); }
+    static async updateName(name) { this.notImplemented('updateName'); }
+    // Invitations are only accepted for verified addresses (see firestore.rules);
+    // resolves with the current state, refreshed from the server
+    static async isEmailVerified() { this.notImplemented('isEmailVerified'); }
+    static async sendVerification() { this.notImplemented('sendVerification'); }
+}
+
+class FirebaseAuthProvider extends AuthProvider {
+    static toUser(firebaseUser) {
+        if (!firebaseUser) return null;
+        return { uid: firebaseUser.uid, email: firebaseUser.email, name: firebaseUser.displayName || '' };
+    }
+
+    static async init() {
+        await loadFirebase();
+        await new Promise(resolve => {
+            const unsubscribe = onAuthStateChanged(auth, (firebaseUser) => {
+                this.user = this.toUser(firebaseUser);
+                unsubscribe();
+                resolve();
+            });
+        });
+    }
+
+    // Firebase errors carry a code; show the Thai message instead
+    static async call(fn) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (error.code && error.code.startsWith('auth/')) throw new AuthError(error.code);
+            throw error;
+        }
+    }
+
+    static async signIn(email, password) {
+        const credential = await this.call(() => signInWithEmailAndPassword(auth, email, password));
+        this.user = this.toUser(credential.user);
+        return this.user;
+    }
+
+    static async signUp(email, password, name) {
+        const credential = await this.call(() => createUserWithEmailAndPassword(auth, email, password));
+        await updateProfile(credential.user, { displayName: name });
+        await this.call(() => sendEmailVerification(credential.user));
+        this.user = { ...this.toUser(credential.user), name };
+        return this.user;
+    }
+
+    static async signOut() {
+        await firebaseSignOut(auth);
+        this.user = null;
+    }
+
+    static async updateName(name) {
+        await updateProfile(auth.currentUser, { displayName: name });
+        this.user = { ...this.user, name };
+    }
+
+    static async isEmailVerified() {
+        await reloadUser(auth.currentUser);
+        // The rules read email_verified from the ID token, so refresh it too
+        if (auth.currentUser.emailVerified) await auth.currentUser.getIdToken(true);
+        return auth.currentUser.emailVerified;
+    }
+
+    static async sendVerification() {
+        await this.call(() => sendEmailVerification(auth.currentUser));
+    }
+}
+
+// Accounts: localStorage 'protracker_local_accounts' { [email]: { uid, email, name, salt, hash } },
+// signed-in uid in 'protracker_local_session'
+class LocalAuthProvider extends AuthProvider {
+    static get accounts() {
+        return JSON.parse(localStorage.getItem('protracker_local_accounts') || '{}');
+    }
+
+    static saveAccounts(accounts) {
+        localStorage.setItem('protracker_local_accounts', JSON.stringify(accounts));
+    }
+
+    static toUser(account) {
+        return { uid: account.uid, email: account.email, name: account.name };
+    }
+
+    static async hash(password, salt) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(salt + password));
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    static async init() {
+        const uid = localStorage.getItem('protracker_local_session');
+        const account = Object.values(this.accounts).find(a => a.uid === uid);
+        this.user = account ? this.toUser(account) : null;
+    }
+
+    static async signIn(email, password) {
+        const account = this.accounts[email.trim().toLowerCase()];
+        if (!account || account.hash !== await this.hash(password, account.salt)) {
+            throw new AuthError('auth/invalid-credential');
+        }
+        localStorage.setItem('protracker_local_session', account.uid);
+        this.user = this.toUser(account);
+        return this.user;
+    }
+
+    static async signUp(email, password, name) {
+        email = email.trim().toLowerCase();
+        if (!/^[^@\s]+@[^@\s]+$/.test(email)) throw new AuthError('auth/invalid-email');
+        if (password.length < 6) throw new AuthError('auth/weak-password');
+
+        const accounts = this.accounts;
+        if (accounts[email]) throw new AuthError('auth/email-already-in-use');
+
+        const salt = crypto.getRandomValues(new Uint32Array(4)).join('-');
+        accounts[email] = { uid: `local_${Date.now()}`, email, name, salt, hash: await this.hash(password, salt) };
+        this.saveAccounts(accounts);
+        return this.signIn(email, password);
+    }
+
+    static async signOut() {
+        localStorage.removeItem('protracker_local_session');
+        this.user = null;
+    }
+
+    static async updateName(name) {
+        const accounts = this.accounts;
+        accounts[this.user.email].name = name;
+        this.saveAccounts(accounts);
+        this.user = { ...this.user, name };
+    }
+
+    // Local accounts never leave this browser, so there is nothing to verify
+    static async isEmailVerified() {
+        return true;
+    }
+
+    static async sendVerification() { }
+}
+
+// --- Workspace Members ---
+// Workspace fields:
+//   members:   { [uid]: { role: 'owner' | 'editor' | 'viewer', email, name, joinedAt } }
+//   memberIds: [uid]  (so a user's workspaces can be queried)
+//   invites:   { [email]: { role, invitedBy, invitedAt } }  (lower-case email)
+// firestore.rules enforces the roles on the server; the UI only hides what a
+// role can't do. Workspaces from before accounts have no `members` and go to
+// whoever opens them first.
+
+const ROLE_LABELS = {
+    'owner': 'เจ้าของ',
+    'editor': 'ผู้แก้ไข',
+    'viewer': 'ผู้ดู'
+};
+
+const ROLE_PERMISSIONS = {
+    edit: ['owner', 'editor'], // change projects, complete steps
+    delete: ['owner', 'editor'], // move to the trash, restore, delete forever
+    settings: ['owner', 'editor'], // global step template, trash retention
+    share: ['owner', 'editor'], // create and revoke read-only project links
+    approvals: ['owner'], // choose which steps need approval, and the approver
+    members: ['owner'], // invite, change roles, remove
+    import: ['owner'] // restore a backup into the workspace
+};
+
+class Membership {
+    static roleOf(workspace, uid) {
+        const member = workspace && workspace.members && workspace.members[uid];
+        return member ? member.role : null;
+    }
+
+    static can(role, action) {
+        return (ROLE_PERMISSIONS[action] || []).includes(role);
+    }
+
+    static invitation(workspace, email) {
+        return (workspace.invites || {})[email.toLowerCase()] || null;
+    }
+
+    static owners(workspace) {
+        return Object.keys(workspace.members || {}).filter(uid => workspace.members[uid].role === 'owner');
+    }
+
+    static entry(user, role) {
+        return { role, email: user.email, name: user.name || '', joinedAt: new Date().toISOString() };
+    }
+
+    // The membership fields below are returned whole, for setWorkspaceFields
+
+    // A new (or legacy) workspace, owned by `user`
+    static ownerFields(user) {
+        return { members: { [user.uid]: this.entry(user, 'owner') }, memberIds: [user.uid], invites: {} };
+    }
+
+    static acceptFields(workspace, user) {
+        const invites = { ...workspace.invites };
+        const { role } = invites[user.email.toLowerCase()];
+        delete invites[user.email.toLowerCase()];
+        return this.withMembers(workspace, { ...workspace.members, [user.uid]: this.entry(user, role) }, invites);
+    }
+
+    static inviteFields(workspace, email, role) {
+        return {
+            invites: {
+                ...workspace.invites,
+                [email.toLowerCase()]: { role, invitedBy: AuditLog.actor, invitedAt: new Date().toISOString() }
+            }
+        };
+    }
+
+    static cancelInviteFields(workspace, email) {
+        const invites = { ...workspace.invites };
+        delete invites[email];
+        return { invites };
+    }
+
+    static roleFields(workspace, uid, role) {
+        return this.withMembers(workspace, { ...workspace.members, [uid]: { ...workspace.members[uid], role } });
+    }
+
+    static removeFields(workspace, uid) {
+        const members = { ...workspace.members };
+        delete members[uid];
+        return this.withMembers(workspace, members);
+    }
+
+    static withMembers(workspace, members, invites = workspace.invites || {}) {
+        return { members, memberIds: Object.keys(members), invites };
+    }
+
+    // Projects, steps and checklist items store their assignee as { uid, name }.
+    // The name is a copy, so work assigned to a former member still reads well.
+    static assignee(workspace, uid) {
+        const member = workspace && workspace.members && workspace.members[uid];
+        return member ? { uid, name: member.name || member.email } : null;
+    }
+
+    static assignees(workspace) {
+        return Object.keys((workspace && workspace.members) || {})
+            .map(uid => this.assignee(workspace, uid))
+            .sort((a, b) => a.name.localeCompare(b.name, 'th'));
+    }
+
+    // Members who can be designated to approve a step
+    static approvers(workspace) {
+        return this.assignees(workspace).filter(a => this.can(this.roleOf(workspace, a.uid), 'edit'));
+    }
+}
+
+// --- Backend Selection ---
+
+const STORAGE_BACKENDS = {
+    'firestore': { data: FirestoreManager, files: FileUploadManager, auth: FirebaseAuthProvider },
+    'local': { data: LocalDataStore, files: LocalFileStore, auth: LocalAuthProvider }
+};
+
+const { data: DataStore, files: FileStore, auth: Auth } = STORAGE_BACKENDS[APP_CONFIG.storageBackend] || STORAGE_BACKENDS['firestore'];
+
+// --- Offline Sync Queue ---
+// Writes made while offline are kept in IndexedDB and replayed in order once
+// the connection returns. Entries are plain objects:
+// { seq, workspace, kind: 'changes' | 'add' | 'delete', projectId, changes, audit, project, summary, createdAt }
+
+class SyncQueue {
+    static get isOnline() {
+        return navigator.onLine;
+    }
+
+    static async db() {
+        if (!this._db) {
+            this._db = openIndexedDB('protracker-offline', 1, (db) => {
+                const store = db.createObjectStore('queue', { keyPath: 'seq', autoIncrement: true });
+                store.createIndex('workspace', 'workspace');
+            });
+        }
+        return this._db;
+    }
+
+    // Firestore reports a lost connection as 'unavailable'
+    static isNetworkError(error) {
+        return !this.isOnline || (error && error.code === 'unavailable');
+    }
+
+    static async enqueue(entry) {
+        const db = await this.db();
+        const tx = db.transaction('queue', 'readwrite');
+        return idbRequest(tx.objectStore('queue').add({
+            ...StorageBackend.toPlain(entry),
+            workspace: StorageBackend.accessCode,
+            createdAt: new Date().toISOString()
+        }));
+    }
+
+    // Pending entries of the current workspace, oldest first
+    static async list() {
+        const code = StorageBackend.accessCode;
+        if (!code) return [];
+        const db = await this.db();
+        const tx = db.transaction('queue', 'readonly');
+        const entries = await idbRequest(tx.objectStore('queue').index('workspace').getAll(code));
+        return entries.sort((a, b) => a.seq - b.seq);
+    }
+
+    static async remove(seq) {
+        const db = await this.db();
+        const tx = db.transaction('queue', 'readwrite');
+        return idbRequest(tx.objectStore('queue').delete(seq));
+    }
+
+    // Show queued writes on top of what was read from the server/cache
+    // Stored copies are brought up to the current schema first, so queued
+    // changes and the UI always see the latest shape.
+    static async overlay(projects) {
+        SchemaMigrator.upgradeAll('project', projects);
+        const entries = await this.list();
+        if (entries.length === 0) return projects;
+
+        let result = [...projects];
+        entries.forEach(entry => {
+            if (entry.kind === 'add' && !result.some(p => p.id === entry.project.id)) {
+                SchemaMigrator.upgrade('project', entry.project);
+                result.unshift(entry.project);
+            } else if (entry.kind === 'delete') {
+                result = result.filter(p => p.id !== entry.projectId);
+            } else if (entry.kind === 'changes') {
+                const project = result.find(p => p.id === entry.projectId);
+                if (project) {
+                    const before = ProjectPatch.clone(project);
+                    const { applied } = ProjectPatch.apply(project, entry.changes, { force: true });
+                    AuditLog.record(project, before, applied, entry.audit);
+                    Project.updateProgress(project);
+                }
+            }
+        });
+        return result;
+    }
+
+    // Replay entries in order through `apply`. Stops at the first network
+    // failure so later writes never overtake earlier ones. Other failures
+    // can never succeed, so the entry is dropped and reported via `onDrop`.
+    static async replay(apply, onDrop) {
+        const entries = await this.list();
+        for (const entry of entries) {
+            try {
+                await apply(entry);
+            } catch (error) {
+                if (this.isNetworkError(error)) return false;
+                console.error("Dropping queued change:", error);
+                if (onDrop) onDrop(entry, error);
+            }
+            await this.remove(entry.seq);
+        }
+        return true;
+    }
+}
+
+// --- Workspace Backup ---
+// A backup is a single JSON file:
+// { format, version, exportedAt, accessCode, workspace, projects, files, missingFiles }
+// `workspace` holds the workspace-level fields (stepTemplates, settings,
+// schemaVersion). `files` maps an attachment path to { type, data } with
+// the contents as a data: URL; it is empty unless attachments were included.
+
+const BACKUP_FORMAT = 'protracker-backup';
+const BACKUP_VERSION = 1;
+
+// Bookkeeping fields that describe the workspace rather than its content.
+// Membership stays with the workspace a backup is restored into, and so does
+// the shared `name` from before display names were per user (see
+// App.adoptWorkspaceName).
+const WORKSPACE_META_FIELDS = ['lastAccessedAt', 'projectsMigratedAt', 'name', 'members', 'memberIds', 'invites'];
+
+function readAsDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+class WorkspaceArchive {
+    // Every attachment object referenced by a project, including its trash
+    static attachments(project) {
+        const lists = [];
+        project.steps.forEach(step => {
+            step.timeline.forEach(n => lists.push(n.attachments));
+            step.postits.forEach(n => lists.push(n.attachments));
+            step.checklist.forEach(item => item.notes.forEach(n => lists.push(n.attachments)));
+        });
+        project.trash.forEach(entry => lists.push(Trash.files(entry)));
+        return lists.flatMap(list => list || []);
+    }
+
+    static async create(store, fileStore, { includeFiles = false } = {}) {
+        const data = await store.getWorkspaceData();
+        if (!data) throw new Error('ไม่พบข้อมูล Workspace');
+
+        const { projects, ...workspace } = StorageBackend.toPlain(data);
+        WORKSPACE_META_FIELDS.forEach(field => delete workspace[field]);
+
+        // A backup carries each project's whole history; saving it on
+        // restore moves the older entries out again
+        for (const project of projects.filter(p => p.archivedHistory)) {
+            project.history = [...await store.getArchivedHistory(project.id), ...project.history];
+            delete project.archivedHistory;
+        }
+
+        const files = {};
+        const missingFiles = [];
+        if (includeFiles) {
+            for (const file of projects.flatMap(p => this.attachments(p))) {
+                if (!file.path || files[file.path]) continue;
+                try {
+                    const blob = await fileStore.read(file);
+                    files[file.path] = { type: file.type || blob.type, data: await readAsDataUrl(blob) };
+                } catch (error) {
+                    console.error("Error reading attachment for backup:", error);
+                    missingFiles.push(file.path);
+                }
+            }
+        }
+
+        return {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            exportedAt: new Date().toISOString(),
+            accessCode: store.accessCode,
+            workspace,
+            projects,
+            files,
+            missingFiles
+        };
+    }
+
+    // Returns a list of problems (in Thai, for the user); empty when valid
+    static validate(archive) {
+        if (!archive || typeof archive !== 'object' || archive.format !== BACKUP_FORMAT) {
+            return ['ไม่ใช่ไฟล์สำรองข้อมูลของ ProTracker'];
+        }
+
+        const errors = [];
+        if (!(archive.version <= BACKUP_VERSION)) {
+            errors.push('ไฟล์สำรองนี้สร้างจากระบบรุ่นที่ใหม่กว่า กรุณาอัปเดตระบบก่อนนำเข้า');
+        }
+
+        const workspace = archive.workspace;
+        if (!workspace || typeof workspace !== 'object') {
+            errors.push('ไม่มีข้อมูล Workspace');
+        } else {
+            if ((workspace.schemaVersion || 0) > SchemaMigrator.latest('workspace')) {
+                errors.push('รูปแบบข้อมูล Workspace ใหม่กว่าระบบนี้');
+            }
+            if (workspace.customSteps !== undefined &&
+                !(Array.isArray(workspace.customSteps) && workspace.customSteps.every(t => t && typeof t.title === 'string'))) {
+                errors.push('ขั้นตอนที่ตั้งค่าไว้ (customSteps) ไม่ถูกต้อง');
+            }
+            if (workspace.stepTemplates !== undefined &&
+                !(Array.isArray(workspace.stepTemplates) && workspace.stepTemplates.every(t =>
+                    t && typeof t.name === 'string' && Array.isArray(t.steps) && t.steps.every(step => step && typeof step.title === 'string')))) {
+                errors.push('คลังแม่แบบขั้นตอน (stepTemplates) ไม่ถูกต้อง');
+            }
+        }
+
+        if (!Array.isArray(archive.projects)) {
+            errors.push('ไม่มีรายการโครงการ');
+        } else {
+            const ids = new Set();
+            archive.projects.forEach((p, i) => {
+                const label = `โครงการที่ ${i + 1}${p && typeof p.name === 'string' ? ` "${p.name}"` : ''}`;
+                if (!p || typeof p !== 'object') {
+                    errors.push(`${label}: ข้อมูลไม่ถูกต้อง`);
+                    return;
+                }
+                if (typeof p.id !== 'string' || !p.id) {
+                    errors.push(`${label}: ไม่มีรหัสโครงการ (id)`);
+                } else if (ids.has(p.id)) {
+                    errors.push(`${label}: รหัสโครงการซ้ำ (${p.id})`);
+                }
+                ids.add(p.id);
+                if (typeof p.name !== 'string') errors.push(`${label}: ไม่มีชื่อโครงการ`);
+                if ((p.schemaVersion || 0) > SchemaMigrator.latest('project')) {
+                    errors.push(`${label}: รูปแบบข้อมูลใหม่กว่าระบบนี้`);
+                }
+                const stepsValid = Array.isArray(p.steps) && p.steps.every(s =>
+                    s && s.id !== undefined && typeof s.title === 'string' &&
+                    (s.checklist === undefined || Array.isArray(s.checklist)));
+                if (!stepsValid) errors.push(`${label}: ขั้นตอน (steps) ไม่ถูกต้อง`);
+            });
+        }
+
+        const files = archive.files;
+        if (files !== undefined && (typeof files !== 'object' || files === null ||
+            Object.values(files).some(f => !f || typeof f.data !== 'string' || !f.data.startsWith('data:')))) {
+            errors.push('ไฟล์แนบในไฟล์สำรองไม่ถูกต้อง');
+        }
+        return errors;
+    }
+
+    // Import a validated archive into the store's current workspace.
+    // 'merge' adds new projects and overwrites only those the archive has a
+    // newer copy of; workspace fields are filled in only where missing.
+    // 'replace' makes the workspace match the archive exactly: projects,
+    // workspace fields and attachments it doesn't have are deleted.
+    static async restore(archive, store, fileStore, { mode = 'merge' } = {}) {
+        const projects = SchemaMigrator.upgradeAll('project', StorageBackend.toPlain(archive.projects));
+        const workspace = StorageBackend.toPlain(archive.workspace);
+        WORKSPACE_META_FIELDS.forEach(field => delete workspace[field]);
+        SchemaMigrator.upgrade('workspace', workspace);
+
+        const current = await store.getWorkspaceData() || { projects: [] };
+        const existing = new Map(current.projects.map(p => [p.id, p]));
+        const timeOf = (p) => new Date(p.updatedAt || p.createdAt || 0).getTime();
+
+        const toSave = mode === 'replace'
+            ? projects
+            : projects.filter(p => !existing.has(p.id) || timeOf(p) > timeOf(existing.get(p.id)));
+
+        // Put files back first so the saved projects point at working URLs.
+        // Files under the backed-up workspace's folder move to this one's.
+        const files = archive.files || {};
+        const restoredFiles = new Map();
+        const fromPrefix = `workspaces/${archive.accessCode}/`;
+        for (const file of toSave.flatMap(p => this.attachments(p))) {
+            const entry = files[file.path];
+            if (!entry) continue;
+            if (!restoredFiles.has(file.path)) {
+                let path = file.path;
+                if (path.startsWith(fromPrefix)) path = `workspaces/${store.accessCode}/${path.slice(fromPrefix.length)}`;
+                else if (LegacyFiles.isLegacy(file)) path = LegacyFiles.targetPath(store.accessCode, path);
+                const blob = await (await fetch(entry.data)).blob();
+                restoredFiles.set(file.path, await fileStore.restore({ ...file, path, type: entry.type }, blob));
+            }
+            const restored = restoredFiles.get(file.path);
+            file.url = restored.url;
+            file.path = restored.path;
+        }
+
+        let removed = 0;
+        if (mode === 'replace') {
+            const keep = new Set(projects.map(p => p.id));
+            for (const id of existing.keys()) {
+                if (!keep.has(id)) {
+                    await store.deleteProject(id);
+                    removed++;
+                }
+            }
+            // Without a library the workspace falls back to the default templates
+            await store.updateWorkspaceSettings(store.accessCode, {
+                ...workspace,
+                stepTemplates: workspace.stepTemplates || DEFAULT_STEP_TEMPLATES
+            });
+        } else {
+            const missingFields = Object.keys(workspace).filter(k => current[k] === undefined);
+            if (missingFields.length > 0) {
+                await store.updateWorkspaceSettings(store.accessCode,
+                    Object.fromEntries(missingFields.map(k => [k, workspace[k]])));
+            }
+        }
+
+        // The restored copies carry their whole history (see create)
+        for (const p of toSave.filter(p => existing.get(p.id)?.archivedHistory)) {
+            await store.deleteArchivedHistory(p.id);
+        }
+        if (toSave.length > 0) await store.saveProjects(toSave);
+
+        // Only once the archive's copies are saved, so a failed restore
+        // leaves the current files in place
+        if (mode === 'replace') {
+            const keptFiles = new Set(projects.flatMap(p => this.attachments(p)).map(f => f.path));
+            const orphaned = new Map(current.projects.flatMap(p => this.attachments(p))
+                .filter(f => f.path && !keptFiles.has(f.path))
+                .map(f => [f.path, f]));
+            for (const file of orphaned.values()) await fileStore.delete(file);
+
+            const written = new Set(['projects', 'stepTemplates', ...WORKSPACE_META_FIELDS, ...Object.keys(workspace)]);
+            const leftover = Object.keys(current).filter(k => !written.has(k));
+            if (leftover.length > 0) await store.removeWorkspaceFields(store.accessCode, leftover);
+        }
+
+        return {
+            added: toSave.filter(p => !existing.has(p.id)).length,
+            updated: toSave.filter(p => existing.has(p.id)).length,
+            removed,
+            files: restoredFiles.size
+        };
+    }
+}
+
+// --- Legacy Attachments ---
+// Files uploaded before accounts existed live under projects/{id}/...,
+// outside any workspace, so storage.rules grants no access to them. Their
+// download URLs still work, and an editor opening the workspace copies
+// them under workspaces/{code}/ and repoints the attachments.
+
+const LEGACY_FILE_PREFIX = 'projects/';
+
+class LegacyFiles {
+    static isLegacy(file) {
+        return !!file && typeof file.path === 'string' && file.path.startsWith(LEGACY_FILE_PREFIX);
+    }
+
+    static targetPath(code, path) {
+        return `workspaces/${code}/${path}`;
+    }
+
+    // [{ path, file }] for each legacy attachment in `project`, with the
+    // ProjectPatch path of the attachment object
+    static find(node, path = [], found = []) {
+        if (Array.isArray(node)) {
+            node.forEach(el => {
+                const key = ProjectPatch.keyOf(el);
+                if (key) this.find(el, [...path, key], found);
+            });
+        } else if (node && typeof node === 'object') {
+            if (this.isLegacy(node) && node.url) {
+                found.push({ path, file: node });
+            } else {
+                Object.entries(node).forEach(([key, value]) => this.find(value, [...path, key], found));
+            }
+        }
+        return found;
+    }
+}
+
+// --- UI Logic ---
+
+// Undo steps kept for the active project
+const UNDO_LIMIT = 50;
+
+class App {
+    constructor() {
+        this.currentView = 'dashboard';
+        this.activeProject = null;
+        this.stepTemplates = DEFAULT_STEP_TEMPLATES; // Library, see StepTemplates
+        this.noteViewMode = localStorage.getItem('protracker_note_view') || 'timeline';
+        this.activeWorkflowStepIndex = 0;
+        this.pendingCount = 0; // Writes waiting in the offline queue
+        this.isSyncing = false;
+        this.undoStack = []; // { projectId, changes, inverse, label } for the active project
+        this.redoStack = [];
+        this.trashRetentionDays = TRASH_RETENTION_DAYS;
+        this.methodRules = DEFAULT_METHOD_RULES; // see MethodRules
+        this.vendors = []; // see Vendors
+        this.workspace = null; // Workspace fields, kept current by the listener
+        this.userSettings = {}; // see StorageBackend.getUserSettings
+        this.role = null; // Signed-in user's role in it (see ROLE_PERMISSIONS)
+        this.workspaces = []; // [{ code, name, role }] the user belongs to, for the switcher
+        this.unsubscribe = null; // Stops the current workspace's listeners
+        this.loginMode = 'signin';
+
+        this.initElements();
+        this.initEventListeners();
+        this.initSettings(); // New
+        this.renderCurrentDate();
+
+        this.initAccessCodeSystem();
+
+        // Preload celebration sound
+        this.celebrationSound = new Audio('https://assets.mixkit.co/active_storage/sfx/1435/1435-preview.mp3');
+        this.celebrationSound.load();
+    }
+
+    initElements() {
+        this.navItems = document.querySelectorAll('.nav-item');
+        this.views = document.querySelectorAll('.view-section');
+        this.pageTitle = document.getElementById('page-header-title');
+
+        this.modalCreate = document.getElementById('modal-create');
+        this.btnCreateProject = document.getElementById('btn-create-project');
+        this.btnCloseModal = document.querySelectorAll('.close-modal');
+        this.btnAddProject = document.getElementById('btn-add-project');
+        this.formCreateProject = document.getElementById('form-create-project');
+        this.inpProjectName = document.getElementById('inp-project-name');
+        this.inpProjectDesc = document.getElementById('inp-project-desc');
+        this.inpProjectBudget = document.getElementById('inp-project-budget');
+        this.inpProjectContract = document.getElementById('inp-project-contract');
+        this.inpProjectFiscalYear = document.getElementById('inp-project-fiscal-year');
+        this.inpProjectBudgetSource = document.getElementById('inp-project-budget-source');
+        this.inpProjectDeadline = document.getElementById('inp-project-deadline');
+        this.inpProjectPriority = document.getElementById('inp-project-priority');
+        this.inpProjectMethod = document.getElementById('inp-project-method');
+        this.inpProjectAssignee = document.getElementById('inp-project-assignee');
+        this.inpProjectTemplate = document.getElementById('inp-project-template');
+
+        // Edit Project Info Modal Elements
+        this.modalEditProject = document.getElementById('modal-edit-project');
+        this.formEditProject = document.getElementById('form-edit-project');
+        this.btnEditProjectInfo = document.getElementById('btn-edit-project-info');
+        this.editProjectId = document.getElementById('edit-project-id');
         this.editProjectName = document.getElementById('edit-project-name');
         this.editProjectDesc = document.getElementById('edit-project-desc');
         this.editProjectBudget = document.getElementById('edit-project-budget');
         this.editProjectContract = document.getElementById('edit-project-contract');
+        this.editProjectFiscalYear = document.getElementById('edit-project-fiscal-year');
+        this.editProjectBudgetSource = document.getElementById('edit-project-budget-source');
         this.editProjectPriority = document.getElementById('edit-project-priority');
         this.editProjectDeadline = document.getElementById('edit-project-deadline');
         this.editProjectMethod = document.getElementById('edit-project-method');
+        this.editProjectAssignee = document.getElementById('edit-project-assignee');
+
+        // Access Code Modal
+        this.modalAccessCode = document.getElementById('modal-access-code');
+        this.formAccessCode = document.getElementById('form-access-code');
+        this.inpAccessCode = document.getElementById('inp-access-code');
+        this.accessSignedInAs = document.getElementById('access-signed-in-as');
+        this.accessWorkspaceList = document.getElementById('access-workspace-list');
+        this.btnAccessSignOut = document.getElementById('btn-access-sign-out');
+        this.migrationOption = document.getElementById('migration-option');
+        this.btnMigrate = document.getElementById('btn-migrate');
+
+        this.projectsGrid = document.getElementById('projects-grid');
+        this.searchInput = document.getElementById('search-input');
+        this.filterStatus = document.getElementById('filter-status');
+
+        this.btnBack = document.getElementById('btn-back-projects');
+        this.btnDeleteProject = document.getElementById('btn-delete-project');
+        this.btnExportPdf = document.getElementById('btn-export-pdf');
+        this.detailTitle = document.getElementById('detail-title');
+        this.detailStatus = document.getElementById('detail-status');
+        this.detailDesc = document.getElementById('detail-desc');
+        this.detailStartDate = document.getElementById('detail-start-date');
+        this.detailDeadline = document.getElementById('detail-deadline');
+        this.detailBudget = document.getElementById('detail-budget');
+        this.detailContractAmount = document.getElementById('detail-contract-amount');
+        this.detailFiscalYear = document.getElementById('detail-fiscal-year');
+        this.detailVendor = document.getElementById('detail-vendor');
+        this.detailContract = document.getElementById('detail-contract');
+        this.modalContract = document.getElementById('modal-contract');
+        this.contractForm = document.getElementById('contract-form');
+        this.contractInstallments = document.getElementById('contract-installments');
+        this.contractSummary = document.getElementById('contract-summary');
+        this.modalCommittee = document.getElementById('modal-committee');
+        this.committeeForm = document.getElementById('committee-form');
+        this.committeeMembers = document.getElementById('committee-members');
+        this.committeeConflicts = document.getElementById('committee-conflicts');
+        this.modalPriceWorksheet = document.getElementById('modal-price-worksheet');
+        this.priceWorksheetForm = document.getElementById('price-worksheet-form');
+        this.priceWorksheetSources = document.getElementById('price-worksheet-sources');
+        this.priceWorksheetItems = document.getElementById('price-worksheet-items');
+        this.priceWorksheetSummary = document.getElementById('price-worksheet-summary');
+        this.detailMedianPrice = document.getElementById('detail-median-price');
+        this.projectItemsList = document.getElementById('project-items-list');
+        this.modalProjectItems = document.getElementById('modal-project-items');
+        this.projectItemsTable = document.getElementById('project-items-table');
+        this.projectItemsSummary = document.getElementById('project-items-summary');
+        this.projectItemsPaste = document.getElementById('project-items-paste');
+        this.projectItemsFile = document.getElementById('project-items-file');
+        this.vendorList = document.getElementById('vendor-list');
+        this.vendorSearch = document.getElementById('vendor-search');
+        this.modalVendor = document.getElementById('modal-vendor');
+        this.formVendor = document.getElementById('form-vendor');
+        this.modalVendorDetail = document.getElementById('modal-vendor-detail');
+        this.modalProjectBidders = document.getElementById('modal-project-bidders');
+        this.projectBiddersList = document.getElementById('project-bidders-list');
+        this.detailPriority = document.getElementById('detail-priority'); // Add this to HTML later or use a span
+        this.detailPurchaseType = document.getElementById('detail-purchase-type');
+        this.detailProcurementMethod = document.getElementById('detail-procurement-method');
+        this.detailAssignee = document.getElementById('detail-assignee');
+        this.detailMethodOverride = document.getElementById('detail-method-override');
+        this.navMethodRules = document.getElementById('nav-method-rules');
+        this.modalMethodRules = document.getElementById('modal-method-rules');
+        this.methodRulesList = document.getElementById('method-rules-list');
+        this.btnAddMethodRule = document.getElementById('btn-add-method-rule');
+        this.btnResetMethodRules = document.getElementById('btn-reset-method-rules');
+        this.btnSaveMethodRules = document.getElementById('btn-save-method-rules');
+        this.navCalendar = document.getElementById('nav-calendar');
+        this.modalCalendar = document.getElementById('modal-calendar');
+        this.calendarWeekends = document.getElementById('calendar-weekends');
+        this.calendarCountdown = document.getElementById('calendar-countdown');
+        this.calendarYear = document.getElementById('calendar-year');
+        this.calendarHolidays = document.getElementById('calendar-holidays');
+        this.calendarIcsFile = document.getElementById('calendar-ics-file');
+        this.calendarNewDate = document.getElementById('calendar-new-date');
+        this.calendarNewName = document.getElementById('calendar-new-name');
+        this.detailOverallProgress = document.getElementById('detail-overall-progress');
+        this.detailProgressPercent = document.getElementById('detail-progress-percent');
+
+        this.workflowTabs = document.getElementById('workflow-tabs');
+        this.btnEditProjectWorkflow = document.getElementById('btn-edit-project-workflow');
+        this.stepTitle = document.getElementById('step-title');
+        this.stepInfoContainer = document.getElementById('step-info-container');
+        this.selStepAssignee = document.getElementById('sel-step-assignee');
+        this.inpStepDue = document.getElementById('inp-step-due');
+        this.myWorkList = document.getElementById('my-work-list');
+        this.checklistItems = document.getElementById('checklist-items');
+        this.inpChecklist = document.getElementById('new-checklist-input');
+        this.inpChecklistDeadline = document.getElementById('new-checklist-deadline');
+        this.btnAddChecklist = document.getElementById('btn-add-checklist');
+        this.inpTimeline = document.getElementById('timeline-input');
+        this.btnAddTimeline = document.getElementById('btn-add-timeline');
+        this.inpTimelineFile = document.getElementById('inp-timeline-file');
+        this.btnAttachTimeline = document.getElementById('btn-attach-timeline');
+        this.timelineFileName = document.getElementById('timeline-file-name');
+
+        this.timelineList = document.getElementById('timeline-list');
+
+        this.inpPostit = document.getElementById('postit-input');
+        this.btnAddPostit = document.getElementById('btn-add-postit');
+        this.inpPostitFile = document.getElementById('inp-postit-file');
+        this.btnAttachPostit = document.getElementById('btn-attach-postit');
+        this.postitFileName = document.getElementById('postit-file-name');
+
+        this.postitsList = document.getElementById('postits-list');
+
+        // Lightbox
+        this.lightboxOverlay = document.getElementById('lightbox-overlay');
+        this.lightboxImg = document.getElementById('lightbox-img');
+        this.lightboxCaption = document.getElementById('lightbox-caption');
+        this.lightboxClose = document.getElementById('lightbox-close');
+
+        if (this.lightboxClose) {
+            this.lightboxClose.addEventListener('click', () => {
+                this.lightboxOverlay.style.display = 'none';
+            });
+            this.lightboxOverlay.addEventListener('click', (e) => {
+                if (e.target === this.lightboxOverlay) this.lightboxOverlay.style.display = 'none';
+            });
+        }
+
+        // Collapsible headers & sections
+        this.headerTimeline = document.getElementById('header-timeline');
+        this.headerPostits = document.getElementById('header-postits');
+        this.sectionTimeline = document.getElementById('section-timeline');
+        this.sectionPostits = document.getElementById('section-postits');
+        this.headerHistory = document.getElementById('header-history');
+        this.sectionHistory = document.getElementById('section-history');
+        this.historyList = document.getElementById('history-list');
+        this.historyActorName = document.getElementById('history-actor-name');
+        this.btnChangeActor = document.getElementById('btn-change-actor');
+
+        this.statTotal = document.getElementById('stat-total');
+        this.statProgress = document.getElementById('stat-progress');
+        this.statCompleted = document.getElementById('stat-completed');
+        this.statUrgent = document.getElementById('stat-urgent');
+        this.statOverdue = document.getElementById('stat-overdue');
+        this.budgetFiscalYear = document.getElementById('budget-fiscal-year');
+        this.budgetSourceFilter = document.getElementById('budget-source-filter');
+        this.budgetTotals = document.getElementById('budget-totals');
+        this.budgetByMethod = document.getElementById('budget-by-method');
+        this.budgetByType = document.getElementById('budget-by-type');
+        this.activityList = document.getElementById('activity-list');
+
+        // Offline sync
+        this.syncStatus = document.getElementById('sync-status');
+        this.modalSyncQueue = document.getElementById('modal-sync-queue');
+        this.syncQueueList = document.getElementById('sync-queue-list');
+        this.btnSyncNow = document.getElementById('btn-sync-now');
+
+        // Backup & restore
+        this.navBackup = document.getElementById('nav-backup');
+        this.modalBackup = document.getElementById('modal-backup');
+        this.chkBackupFiles = document.getElementById('chk-backup-files');
+        this.btnExportBackup = document.getElementById('btn-export-backup');
+        this.inpBackupFile = document.getElementById('inp-backup-file');
+        this.inpBackupTarget = document.getElementById('inp-backup-target');
+        this.inpBackupMode = document.getElementById('inp-backup-mode');
+        this.btnImportBackup = document.getElementById('btn-import-backup');
+
+        // Trash
+        this.trashList = document.getElementById('trash-list');
+        this.inpTrashRetention = document.getElementById('inp-trash-retention');
+
+        // Accounts & members
+        this.modalLogin = document.getElementById('modal-login');
+        this.formLogin = document.getElementById('form-login');
+        this.loginTitle = document.getElementById('login-title');
+        this.inpLoginEmail = document.getElementById('inp-login-email');
+        this.inpLoginPassword = document.getElementById('inp-login-password');
+        this.inpLoginName = document.getElementById('inp-login-name');
+        this.loginNameGroup = document.getElementById('login-name-group');
+        this.loginError = document.getElementById('login-error');
+        this.btnLoginSubmit = document.getElementById('btn-login-submit');
+        this.btnLoginToggle = document.getElementById('btn-login-toggle');
+        this.userDisplayName = document.getElementById('user-display-name');
+        this.userRoleBadge = document.getElementById('user-role-badge');
+        this.btnSignOut = document.getElementById('btn-sign-out');
+        this.navMembers = document.getElementById('nav-members');
+        this.modalMembers = document.getElementById('modal-members');
+        this.membersList = document.getElementById('members-list');
+        this.inpInviteEmail = document.getElementById('inp-invite-email');
+        this.inpInviteRole = document.getElementById('inp-invite-role');
+        this.btnInviteMember = document.getElementById('btn-invite-member');
+
+        // Share links
+        this.btnShareProject = document.getElementById('btn-share-project');
+        this.modalShare = document.getElementById('modal-share');
+        this.shareLinksList = document.getElementById('share-links-list');
+        this.inpShareExpiry = document.getElementById('inp-share-expiry');
+        this.chkShareNotes = document.getElementById('chk-share-notes');
+        this.btnCreateShare = document.getElementById('btn-create-share');
+
+        // Workspace switcher
+        this.selWorkspace = document.getElementById('sel-workspace');
+        this.btnAddWorkspace = document.getElementById('btn-add-workspace');
+        this.btnRenameWorkspace = document.getElementById('btn-rename-workspace');
+    }
+
+    initEventListeners() {
+        // Date inputs that are part of the page from the start
+        this.attachDatePickers(document);
+
+        // Access Code Handlers
+        this.formAccessCode.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleAccessCodeSubmit();
+        });
+
+        this.btnMigrate.addEventListener('click', () => {
+            this.handleMigration();
+        });
+
+        // Account Handlers
+        this.formLogin.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleLogin();
+        });
+        this.btnLoginToggle.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.setLoginMode(this.loginMode === 'signin' ? 'signup' : 'signin');
+        });
+        [this.btnSignOut, this.btnAccessSignOut].forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.signOut();
+            });
+        });
+        this.navMembers.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.openMembersModal();
+        });
+        this.btnInviteMember.addEventListener('click', () => this.inviteMember());
+
+        // Workspace Switcher Handlers
+        this.selWorkspace.addEventListener('change', () => this.switchWorkspace(this.selWorkspace.value));
+        this.btnAddWorkspace.addEventListener('click', () => this.addWorkspace());
+        this.btnRenameWorkspace.addEventListener('click', () => this.renameWorkspace());
+        this.inpInviteEmail.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.inviteMember();
+        });
+
+        // Offline Sync Handlers
+        window.addEventListener('online', () => {
+            this.showToast('กลับมาออนไลน์แล้ว กำลังซิงค์ข้อมูล...', 'info');
+            this.syncPendingChanges();
+        });
+        window.addEventListener('offline', () => {
+            this.showToast('ออฟไลน์อยู่ การแก้ไขจะถูกเก็บไว้และซิงค์เมื่อกลับมาออนไลน์', 'warning');
+            this.updateSyncStatus();
+        });
+        this.syncStatus.addEventListener('click', () => this.openSyncQueueModal());
+        this.btnSyncNow.addEventListener('click', async () => {
+            await this.syncPendingChanges();
+            this.renderSyncQueue();
+        });
+
+        // Backup & Restore Handlers
+        this.navBackup.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.inpBackupFile.value = '';
+            this.inpBackupTarget.value = '';
+            this.modalBackup.classList.add('open');
+        });
+        this.btnExportBackup.addEventListener('click', () => this.exportWorkspace());
+        this.btnImportBackup.addEventListener('click', () => this.importWorkspace());
+
+        // Trash Handlers
+        this.inpTrashRetention.addEventListener('change', async () => {
+            const days = parseInt(this.inpTrashRetention.value);
+            if (!(days >= 1) || !this.requirePermission('settings')) {
+                this.inpTrashRetention.value = this.trashRetentionDays;
+                return;
+            }
+            try {
+                await DataStore.updateWorkspaceSettings(DataStore.accessCode, { trashRetentionDays: days });
+                this.trashRetentionDays = days;
+                this.showToast(`เก็บรายการในถังขยะไว้ ${days} วัน`, 'success');
+                this.renderTrash();
+            } catch (error) {
+                console.error(error);
+                this.showToast('บันทึกไม่สำเร็จ: ' + error.message, 'error');
+            }
+        });
+
+        this.navItems.forEach(item => {
+            item.addEventListener('click', (e) => {
+                e.preventDefault();
+                const viewTarget = item.dataset.view;
+                if (!viewTarget) return; // Ignore if no view target (like Settings)
+
+                this.loadView(viewTarget);
+                this.navItems.forEach(nav => nav.classList.remove('active'));
+                item.classList.add('active');
+            });
+        });
+
+        this.btnCreateProject.addEventListener('click', () => {
+            if (!this.requirePermission('edit')) return;
+            this.inpProjectAssignee.innerHTML = this.assigneeOptions(Membership.assignee(this.workspace, Auth.currentUser.uid));
+            this.methodRuleForm('create').justification.value = '';
+            this.checkProjectMethod('create');
+            this.inpProjectTemplate.innerHTML = this.stepTemplates.map(t => `<option value="${t.id}">${this.escapeHtml(t.name)}</option>`).join('');
+            this.inpProjectTemplate.dataset.picked = '';
+            this.suggestProjectTemplate();
+            this.inpProjectFiscalYear.value = FiscalYear.of();
+            this.modalCreate.classList.add('open');
+        });
+
+        this.btnCloseModal.forEach(btn => {
+            btn.addEventListener('click', () => {
+                const modal = btn.closest('.modal');
+                if (modal) modal.classList.remove('open');
+            });
+        });
+
+        const formatCurrency = (e) => {
+            const val = e.target.value.replace(/,/g, '');
+            if (!isNaN(val) && val !== '') {
+                e.target.value = new Intl.NumberFormat('th-TH', { maximumFractionDigits: 2 }).format(val);
+            }
+        };
+        const unformatCurrency = (e) => {
+            const val = e.target.value.replace(/,/g, '');
+            if (!isNaN(val) && val !== '') {
+                e.target.value = val;
+            }
+        };
+
+        const budgetInputs = ['inp-project-budget', 'inp-project-contract', 'edit-project-budget', 'edit-project-contract'];
+        budgetInputs.forEach(id => {
+            const el = document.getElementById(id);
+            if (el) {
+                el.addEventListener('blur', formatCurrency);
+                el.addEventListener('focus', unformatCurrency);
+            }
+        });
+
+        this.formCreateProject.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleCreateProject();
+        });
+
+        // Step template follows the method and type until the user picks one
+        this.inpProjectTemplate.addEventListener('change', () => { this.inpProjectTemplate.dataset.picked = '1'; });
+        this.inpProjectMethod.addEventListener('change', () => this.suggestProjectTemplate());
+        document.getElementById('inp-project-type').addEventListener('change', () => this.suggestProjectTemplate());
+
+        // Procurement method rules
+        ['create', 'edit'].forEach(form => {
+            const f = this.methodRuleForm(form);
+            f.budget.addEventListener('input', () => this.checkProjectMethod(form));
+            f.type.addEventListener('change', () => this.checkProjectMethod(form));
+            f.method.addEventListener('change', () => this.checkProjectMethod(form));
+        });
+        this.navMethodRules.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.openMethodRulesModal();
+        });
+        this.btnAddMethodRule.addEventListener('click', () => {
+            this.tempMethodRules = this.readMethodRules();
+            const last = this.tempMethodRules[this.tempMethodRules.length - 1];
+            this.tempMethodRules.push({ min: last && last.max !== null ? last.max : 0, max: null, purchaseTypes: ['buy', 'hire', 'rent'], methods: ['e-bidding'], note: '' });
+            this.renderMethodRules();
+        });
+        this.btnResetMethodRules.addEventListener('click', () => {
+            if (!confirm('คืนค่าเกณฑ์วิธีการจัดหาเป็นค่าเริ่มต้น?')) return;
+            this.tempMethodRules = JSON.parse(JSON.stringify(DEFAULT_METHOD_RULES));
+            this.renderMethodRules();
+        });
+        this.btnSaveMethodRules.addEventListener('click', () => this.saveMethodRules());
+
+        // Vendors
+        this.vendorSearch.addEventListener('input', () => this.renderVendors());
+        document.getElementById('btn-add-vendor').addEventListener('click', () => this.openVendorForm());
+        this.formVendor.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveVendor();
+        });
+        document.getElementById('btn-edit-vendor').addEventListener('click', () => this.openVendorForm(this.activeVendorId));
+        document.getElementById('btn-delete-vendor').addEventListener('click', () => this.deleteVendor(this.activeVendorId));
+        document.getElementById('btn-project-bidders').addEventListener('click', () => this.openProjectBidders());
+        document.getElementById('btn-add-bidder').addEventListener('click', () => {
+            this.tempBidders = this.readProjectBidders();
+            this.tempBidders.push({ vendor: null, price: 0 });
+            this.renderProjectBidders();
+        });
+        document.getElementById('btn-save-bidders').addEventListener('click', () => this.saveProjectBidders());
+
+        // Contracts
+        document.getElementById('contract-guarantee-type').innerHTML = Object.entries(GUARANTEE_TYPE_LABELS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        document.getElementById('btn-project-contract').addEventListener('click', () => this.openContractModal());
+        document.getElementById('btn-add-installment').addEventListener('click', () => {
+            this.tempContract = this.readContract();
+            this.tempContract.installments.push(Contracts.installment(this.tempContract.installments.length + 1));
+            this.renderContractInstallments();
+        });
+        this.contractForm.addEventListener('change', () => {
+            this.tempContract = this.readContract();
+            this.renderContractSummary();
+        });
+        document.getElementById('btn-save-contract').addEventListener('click', () => this.saveContract());
+
+        // Committees
+        document.getElementById('committee-type').innerHTML = Object.entries(COMMITTEE_TYPES)
+            .map(([value, t]) => `<option value="${value}">${t.label}</option>`).join('');
+        document.getElementById('btn-add-committee-member').addEventListener('click', () => {
+            this.tempCommittee = this.readCommittee();
+            this.tempCommittee.members.push({ name: '', position: '', role: 'member' });
+            this.renderCommitteeMembers();
+        });
+        this.committeeForm.addEventListener('change', () => {
+            this.tempCommittee = this.readCommittee();
+            this.renderCommitteeConflicts();
+        });
+        document.getElementById('btn-save-committee').addEventListener('click', () => this.saveCommittee());
+        document.getElementById('btn-remove-committee').addEventListener('click', () => this.saveCommittee(true));
+
+        // Line items
+        document.getElementById('btn-project-items').addEventListener('click', () => this.openProjectItemsModal());
+        document.getElementById('btn-add-project-item').addEventListener('click', () => {
+            this.tempProjectItems = this.readProjectItems();
+            this.tempProjectItems.push(LineItems.item(this.tempProjectItems.length + 1));
+            this.renderProjectItemsTable();
+        });
+        this.projectItemsTable.addEventListener('input', () => this.renderProjectItemsSummary());
+        document.getElementById('btn-project-items-paste').addEventListener('click', () => this.importProjectItems(this.projectItemsPaste.value));
+        document.getElementById('btn-project-items-file').addEventListener('click', () => this.projectItemsFile.click());
+        this.projectItemsFile.addEventListener('change', () => this.importProjectItemsFile());
+        document.getElementById('btn-save-project-items').addEventListener('click', () => this.saveProjectItems());
+
+        // Median price worksheet
+        document.getElementById('price-worksheet-method').innerHTML = Object.entries(PRICE_METHOD_LABELS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        document.getElementById('btn-add-price-source').addEventListener('click', () => {
+            this.tempPriceWorksheet = this.readPriceWorksheet();
+            this.tempPriceWorksheet.sources.push(PriceWorksheet.source(this.tempPriceWorksheet.sources.length + 1));
+            this.renderPriceWorksheet();
+        });
+        document.getElementById('btn-add-price-item').addEventListener('click', () => {
+            this.tempPriceWorksheet = this.readPriceWorksheet();
+            this.tempPriceWorksheet.items.push(PriceWorksheet.item(this.tempPriceWorksheet.items.length + 1));
+            this.renderPriceWorksheet();
+        });
+        // Source names head the price columns, so renaming one redraws the table
+        this.priceWorksheetSources.addEventListener('change', () => {
+            this.tempPriceWorksheet = this.readPriceWorksheet();
+            this.renderPriceWorksheet();
+        });
+        this.priceWorksheetForm.addEventListener('input', () => this.renderPriceWorksheetTotals());
+        document.getElementById('price-worksheet-method').addEventListener('change', () => this.renderPriceWorksheetTotals());
+        document.getElementById('btn-save-price-worksheet').addEventListener('click', () => this.savePriceWorksheet());
+        document.getElementById('btn-remove-price-worksheet').addEventListener('click', () => this.savePriceWorksheet(true));
+
+        // Fiscal year budget
+        const sourceOptions = Object.entries(BUDGET_SOURCE_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        document.querySelectorAll('.budget-source-select').forEach(select => {
+            select.innerHTML = '<option value="">ไม่ระบุ</option>' + sourceOptions;
+        });
+        this.budgetSourceFilter.innerHTML = '<option value="">ทุกแหล่งเงิน</option>' + sourceOptions;
+        this.budgetFiscalYear.addEventListener('change', () => this.renderDashboard());
+        this.budgetSourceFilter.addEventListener('change', () => this.renderDashboard());
+
+        // Working calendar
+        this.navCalendar.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.openCalendarModal();
+        });
+        this.calendarYear.addEventListener('change', () => this.renderCalendarHolidays());
+        document.getElementById('btn-calendar-fixed').addEventListener('click', () => {
+            const year = this.calendarYear.value;
+            this.addCalendarHolidays(WorkingCalendar.fixedHolidays(year));
+        });
+        document.getElementById('btn-calendar-import').addEventListener('click', () => this.calendarIcsFile.click());
+        this.calendarIcsFile.addEventListener('change', () => this.importCalendarICS());
+        document.getElementById('btn-calendar-add').addEventListener('click', () => {
+            const date = this.readDateInput(this.calendarNewDate);
+            const name = this.calendarNewName.value.trim();
+            if (!date || !name) {
+                this.showToast('กรุณาระบุวันที่และชื่อวันหยุด', 'warning');
+                return;
+            }
+            this.addCalendarHolidays([{ date, name }]);
+            this.setDateInput(this.calendarNewDate, null);
+            this.calendarNewName.value = '';
+        });
+        document.getElementById('btn-save-calendar').addEventListener('click', () => this.saveCalendar());
+
+        const statCards = document.querySelectorAll('.stat-card');
+        if (statCards.length >= 4) {
+            statCards[0].style.cursor = 'pointer';
+            statCards[0].addEventListener('click', () => {
+                this.filterStatus.value = 'all';
+                this.loadView('projects');
+            });
+            statCards[1].style.cursor = 'pointer';
+            statCards[1].addEventListener('click', () => {
+                this.filterStatus.value = 'active';
+                this.loadView('projects');
+            });
+            statCards[2].style.cursor = 'pointer';
+            statCards[2].addEventListener('click', () => {
+                this.filterStatus.value = 'completed';
+                this.loadView('projects');
+            });
+            statCards[3].style.cursor = 'pointer';
+            statCards[3].addEventListener('click', () => {
+                this.filterStatus.value = 'urgent';
+                this.loadView('projects');
+            });
+        }
+        if (statCards.length >= 5) {
+            statCards[4].style.cursor = 'pointer';
+            statCards[4].addEventListener('click', () => {
+                this.filterStatus.value = 'overdue';
+                this.loadView('projects');
+            });
+        }
+
+        this.searchInput.addEventListener('input', () => this.renderProjectsList());
+        this.filterStatus.addEventListener('change', () => this.renderProjectsList());
+
+        this.btnBack.addEventListener('click', () => {
+            this.loadView('projects');
+            this.activeProject = null;
+        });
+
+        // Sidebar Toggle Logic
+        const sidebarToggle = document.getElementById('sidebar-toggle');
+        const sidebar = document.querySelector('.sidebar');
+        if (sidebarToggle && sidebar) {
+            sidebarToggle.addEventListener('click', () => {
+                sidebar.classList.toggle('collapsed');
+            });
+
+            // Auto-collapse on mobile initially
+            if (window.innerWidth <= 1024) {
+                sidebar.classList.add('collapsed');
+            }
+        }
+
+        this.btnDeleteProject.addEventListener('click', async () => {
+            if (!this.requirePermission('delete')) return;
+            if (confirm('ย้ายโครงการนี้ไปถังขยะ? (กู้คืนได้จากเมนูถังขยะ)')) {
+                const project = this.activeProject;
+                await this.trashProject(project);
+                this.showToast('ย้ายโครงการไปถังขยะแล้ว', 'success', {
+                    label: 'เลิกทำ',
+                    onClick: async () => {
+                        await this.restoreProject(project);
+                        this.openProjectDetail(project.id);
+                    }
+                });
+                this.loadView('projects');
+            }
+        });
+
+        if (this.btnExportPdf) {
+            this.btnExportPdf.addEventListener('click', () => this.exportToPDF());
+        }
+
+        this.btnShareProject.addEventListener('click', () => this.openShareModal());
+        this.btnCreateShare.addEventListener('click', () => this.createShareLink());
+
+        if (this.btnEditProjectInfo) {
+            this.btnEditProjectInfo.addEventListener('click', () => {
+                if (!this.activeProject || !this.requirePermission('edit')) return;
+                const p = this.activeProject;
+                this.editProjectId.value = p.id;
+                this.editProjectName.value = p.name;
+                this.editProjectDesc.value = p.description || '';
+                this.editProjectBudget.value = p.budget ? new Intl.NumberFormat('th-TH').format(p.budget) : '';
+                this.editProjectContract.value = p.contractAmount ? new Intl.NumberFormat('th-TH').format(p.contractAmount) : '';
+                this.editProjectPriority.value = p.priority || 'normal';
+
+                // Populate Purchase Type
+                if (document.getElementById('edit-project-type')) {
+                    document.getElementById('edit-project-type').value = p.purchaseType || 'buy';
+                }
+
+                // Populate Procurement Method
+                if (this.editProjectMethod) {
+                    this.editProjectMethod.value = p.procurementMethod || 'e-bidding';
+                }
+
+                this.setDateInput(this.editProjectDeadline, p.deadline);
+                this.editProjectFiscalYear.value = p.fiscalYear || FiscalYear.of(p.createdAt);
+                this.editProjectBudgetSource.value = p.budgetSource || '';
+                this.editProjectAssignee.innerHTML = this.assigneeOptions(p.assignee);
+                this.methodRuleForm('edit').justification.value = p.methodOverride ? p.methodOverride.justification : '';
+                this.checkProjectMethod('edit');
+                // Snapshot of what the form started from, for conflict detection on save
+                this.editProjectBase = JSON.parse(JSON.stringify(p));
+                this.modalEditProject.classList.add('open');
+            });
+        }
+
+        if (this.formEditProject) {
+            this.formEditProject.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                if (!this.activeProject) return;
+
+                const methodOverride = this.methodOverrideFrom('edit', this.activeProject.methodOverride);
+                if (methodOverride === undefined) return;
+
+                const updatedData = {
+                    name: this.editProjectName.value.trim(),
+                    description: this.editProjectDesc.value.trim(),
+                    budget: parseFloat(this.editProjectBudget.value.replace(/,/g, '')) || 0,
+                    contractAmount: parseFloat(this.editProjectContract.value.replace(/,/g, '')) || 0,
+                    priority: this.editProjectPriority.value,
+                    purchaseType: document.getElementById('edit-project-type').value,
+                    procurementMethod: this.editProjectMethod.value,
+                    deadline: this.readDateInput(this.editProjectDeadline),
+                    fiscalYear: parseInt(this.editProjectFiscalYear.value) || this.activeProject.fiscalYear,
+                    budgetSource: this.editProjectBudgetSource.value || null,
+                    assignee: this.assigneeFromValue(this.editProjectAssignee.value, this.activeProject.assignee),
+                    methodOverride
+                };
+
+                // Only send fields the user actually changed, compared to when the form opened
+                const base = this.editProjectBase || this.activeProject;
+                const changes = Object.entries(updatedData)
+                    .filter(([key, value]) => !ProjectPatch.same(base[key], value))
+                    .map(([key, value]) => ProjectPatch.set([key], value, base[key]));
+
+                this.modalEditProject.classList.remove('open');
+                await this.commitChanges(changes);
+                this.openProjectDetail(this.activeProject.id); // Refresh detail view
+                this.showToast('แก้ไขข้อมูลโครงการเรียบร้อยแล้ว', 'success');
+            });
+        }
+
+        this.selStepAssignee.addEventListener('change', async () => {
+            const step = this.activeProject.steps[this.activeWorkflowStepIndex];
+            await this.commitChanges([
+                ProjectPatch.set([...this._stepPath(), 'assignee'], this.assigneeFromValue(this.selStepAssignee.value, step.assignee), step.assignee)
+            ]);
+            this.renderWorkflowTabs();
+            this.loadWorkflowStep(this.activeWorkflowStepIndex);
+        });
+
+        this.inpStepDue.addEventListener('change', async () => {
+            const step = this.activeProject.steps[this.activeWorkflowStepIndex];
+            await this.commitChanges([
+                ProjectPatch.set([...this._stepPath(), 'dueDate'], this.readDateInput(this.inpStepDue), step.dueDate)
+            ]);
+            this.renderWorkflowTabs();
+            this.loadWorkflowStep(this.activeWorkflowStepIndex);
+        });
+
+        this.btnAddChecklist.addEventListener('click', () => this.addChecklistItem());
+        this.inpChecklist.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.addChecklistItem();
+        });
+
+        this.btnAddTimeline.addEventListener('click', () => this.addTimelineEntry());
+        this.inpTimeline.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.addTimelineEntry();
+            }
+        });
+
+        // Attachment Buttons Logic
+        if (this.btnAttachTimeline && this.inpTimelineFile) {
+            this.btnAttachTimeline.addEventListener('click', () => this.inpTimelineFile.click());
+            this.inpTimelineFile.addEventListener('change', () => {
+                if (this.inpTimelineFile.files[0]) {
+                    this.timelineFileName.textContent = this.inpTimelineFile.files[0].name;
+                    this.btnAttachTimeline.classList.remove('btn-outline');
+                    this.btnAttachTimeline.classList.add('btn-primary');
+                } else {
+                    this.timelineFileName.textContent = '';
+                    this.btnAttachTimeline.classList.add('btn-outline');
+                    this.btnAttachTimeline.classList.remove('btn-primary');
+                }
+            });
+        }
+
+        if (this.btnAttachPostit && this.inpPostitFile) {
+            this.btnAttachPostit.addEventListener('click', () => this.inpPostitFile.click());
+            this.inpPostitFile.addEventListener('change', () => {
+                if (this.inpPostitFile.files[0]) {
+                    this.postitFileName.textContent = this.inpPostitFile.files[0].name;
+                    this.btnAttachPostit.classList.remove('btn-outline');
+                    this.btnAttachPostit.classList.add('btn-primary');
+                } else {
+                    this.postitFileName.textContent = '';
+                    this.btnAttachPostit.classList.add('btn-outline');
+                    this.btnAttachPostit.classList.remove('btn-primary');
+                }
+            });
+        }
+
+        this.btnAddPostit.addEventListener('click', () => this.addPostit());
+        this.inpPostit.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.addPostit();
+            }
+        });
+
+
+
+        // Undo / Redo (text fields keep their own native undo)
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+            if (this.currentView !== 'detail' || e.target.closest('input, textarea, select, [contenteditable]')) return;
+            e.preventDefault();
+            if (e.shiftKey) this.redo();
+            else this.undo();
+        });
+
+        // Collapsible Sections
+        if (this.headerTimeline) {
+            this.headerTimeline.addEventListener('click', () => {
+                this.sectionTimeline.classList.toggle('active');
+            });
+        }
+        if (this.headerPostits) {
+            this.headerPostits.addEventListener('click', () => {
+                this.sectionPostits.classList.toggle('active');
+            });
+        }
+        if (this.headerHistory) {
+            this.headerHistory.addEventListener('click', () => {
+                this.sectionHistory.classList.toggle('active');
+            });
+        }
+        if (this.btnChangeActor) {
+            this.btnChangeActor.addEventListener('click', async () => {
+                const name = prompt('ชื่อที่ใช้บันทึกประวัติการแก้ไข:', AuditLog.actor);
+                if (!name || !name.trim()) return;
+                try {
+                    await Auth.updateName(name.trim());
+                    this.renderHistory();
+                    this.renderUserProfile();
+                } catch (error) {
+                    console.error(error);
+                    this.showToast('เปลี่ยนชื่อไม่สำเร็จ: ' + error.message, 'error');
+                }
+            });
+        }
+
+        // --- Document Number Search ---
+        const inpDocSearch = document.getElementById('inp-doc-search');
+        const docSearchResults = document.getElementById('doc-search-results');
+        let searchTimeout = null;
+
+        inpDocSearch.addEventListener('input', () => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => this.searchDocumentNumber(inpDocSearch.value.trim()), 300);
+        });
+
+        // Close results when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.doc-search-box')) {
+                docSearchResults.style.display = 'none';
+            }
+        });
+
+        // Re-show results on focus if there's a query
+        inpDocSearch.addEventListener('focus', () => {
+            if (inpDocSearch.value.trim() && docSearchResults.children.length > 0) {
+                docSearchResults.style.display = 'block';
+            }
+        });
+
+        inpDocSearch.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                // Perform search immediately
+                clearTimeout(searchTimeout);
+                this.searchDocumentNumber(inpDocSearch.value.trim()).then(() => {
+                    // If exactly one result or we want to pick the first one automatically?
+                    // Let's just focus the first result if available or click it if it's the only one
+                    const firstItem = docSearchResults.querySelector('.doc-search-item');
+                    if (firstItem) {
+                        firstItem.click();
+                    }
+                });
+            }
+        });
+    }
+
+    async initAccessCodeSystem() {
+        // Runs again on every sign-in and workspace switch; the previous
+        // workspace's listeners must not keep firing alongside the new ones
+        this.stopListening();
+
+        if (!Auth.currentUser) {
+            this.modalAccessCode.classList.remove('open');
+            this.modalLogin.classList.add('open');
+            return;
+        }
+        this.modalLogin.classList.remove('open');
+        this.renderUserProfile();
+
+        const code = DataStore.accessCode;
+
+        const oldData = localStorage.getItem('protracker_projects');
+        if (oldData && JSON.parse(oldData).length > 0) {
+            this.migrationOption.style.display = 'block';
+        }
+
+        if (code) {
+            this.modalAccessCode.classList.remove('open');
+
+            // The role decides what we may write, so settle it first
+            try {
+                const role = await this.joinWorkspace(code);
+                if (!role) {
+                    this.leaveWorkspace(`คุณไม่ได้เป็นสมาชิกของ Workspace "${code}"`);
+                    return;
+                }
+                this.setRole(role);
+            } catch (e) {
+                if (e.code === 'auth/unverified-email') {
+                    this.leaveWorkspace(e.message);
+                    return;
+                }
+                // Offline without a cached copy; the listener below fills it in
+                console.error("Error checking membership:", e);
+            }
+
+            try {
+                await this.adoptWorkspaceName(code);
+            } catch (e) {
+                console.error("Error adopting workspace name:", e);
+            }
+
+            if (this.can('edit')) {
+                // Move projects out of the legacy single workspace document (runs once)
+                try {
+                    if (await DataStore.migrateWorkspace(code)) {
+                        this.showToast('ย้ายข้อมูลโครงการไปยังโครงสร้างใหม่เรียบร้อยแล้ว', 'success');
+                    }
+                } catch (e) {
+                    console.error("Error migrating workspace:", e);
+                }
+                if (DataStore.isRemote && SyncQueue.isOnline) {
+                    try {
+                        await this.moveLegacyFiles(code);
+                    } catch (e) {
+                        console.error("Error moving legacy attachments:", e);
+                    }
+                }
+
+                // Persist records still on an older schema. Reads upgrade them in
+                // memory anyway, so offline this can wait for a later session.
+                if (!DataStore.isRemote || SyncQueue.isOnline) {
+                    try {
+                        await DataStore.upgradeSchema(code);
+                    } catch (e) {
+                        console.error("Error upgrading schema:", e);
+                    }
+                }
+            }
+
+            this.unsubscribe = DataStore.subscribe((data) => {
+                this.workspace = data;
+                const role = Membership.roleOf(data, Auth.currentUser.uid);
+                if (!role) {
+                    this.leaveWorkspace('คุณถูกนำออกจาก Workspace นี้แล้ว');
+                    return;
+                }
+                if (role !== this.role) this.setRole(role);
+                if (this.modalMembers.classList.contains('open')) this.renderMembers();
+                this.renderWorkspaceSwitcher();
+
+                this.stepTemplates = data.stepTemplates || DEFAULT_STEP_TEMPLATES;
+                this.trashRetentionDays = data.trashRetentionDays || TRASH_RETENTION_DAYS;
+                this.methodRules = data.methodRules || DEFAULT_METHOD_RULES;
+                WorkingCalendar.configure(data.workingCalendar);
+                this.vendors = Vendors.list(data.vendors);
+                if (this.currentView === 'vendors') this.renderVendors();
+            }, (projects) => {
+                if (this.currentView === 'dashboard') this.renderDashboard();
+                if (this.currentView === 'projects') this.renderProjectsList();
+                if (this.currentView === 'trash') this.renderTrash();
+                if (this.currentView === 'mywork') this.renderMyWork();
+                if (this.currentView === 'vendors') this.renderVendors();
+                if (this.currentView === 'detail' && this.activeProject) {
+                    const updatedProject = projects.find(p => p.id === this.activeProject.id);
+                    if (updatedProject && Project.isTrashed(updatedProject)) {
+                        // Moved to the trash by someone else
+                        this.showToast(`โครงการ "${this.escapeHtml(updatedProject.name)}" ถูกย้ายไปถังขยะแล้ว`, 'warning');
+                        this.loadView('projects');
+                    } else if (updatedProject) {
+                        this.activeProject = updatedProject;
+                        // Pass the currently viewed step index to prevent jumping back to step 1
+                        this.openProjectDetail(this.activeProject.id, this.activeWorkflowStepIndex);
+                    }
+                }
+            }, (error) => {
+                console.error("Error listening to workspace:", error);
+                if (error.code === 'permission-denied') this.leaveWorkspace('คุณถูกนำออกจาก Workspace นี้แล้ว');
+            });
+            this.loadView('dashboard');
+            this.loadWorkspaces();
+
+            // Push anything edited while offline in an earlier session
+            await this.updateSyncStatus();
+            this.syncPendingChanges();
+
+            // Purging deletes files in storage, so it needs a connection
+            if (this.can('delete') && (!DataStore.isRemote || SyncQueue.isOnline)) this.purgeExpiredTrash();
+        } else {
+            this.accessSignedInAs.textContent = AuditLog.actor;
+            this.modalAccessCode.classList.add('open');
+            this.renderAccessWorkspaceList();
+        }
+    }
+
+    // Make the signed-in user a member of `code` where they may become one:
+    // a new code creates the workspace, and a pending invitation is accepted
+    // (also how the owner of a workspace from before accounts gets in, see
+    // README). Returns their role, or null if they have no access.
+    // DataStore.accessCode must already be `code`.
+    async joinWorkspace(code) {
+        const user = Auth.currentUser;
+        let workspace;
+        try {
+            workspace = await DataStore.getWorkspace(code);
+        } catch (error) {
+            if (error.code !== 'permission-denied') throw error;
+            // Invited addresses can only read the workspace once verified
+            if (!(await Auth.isEmailVerified())) throw new AuthError('auth/unverified-email');
+            return null;
+        }
+
+        if (!workspace) {
+            await DataStore.saveWorkspace({
+                projects: [],
+                schemaVersion: SchemaMigrator.latest('workspace'),
+                ...Membership.ownerFields(user)
+            });
+            this.showToast(`สร้าง Workspace ใหม่สำหรับรหัส "${code}" เรียบร้อยแล้ว (คุณเป็นเจ้าของ)`, 'success');
+            return 'owner';
+        }
+
+        const role = Membership.roleOf(workspace, user.uid);
+        if (role) return role;
+
+        const invite = Membership.invitation(workspace, user.email);
+        if (invite) {
+            if (!(await Auth.isEmailVerified())) throw new AuthError('auth/unverified-email');
+            await DataStore.setWorkspaceFields(code, Membership.acceptFields(workspace, user));
+            this.showToast(`เข้าร่วม Workspace "${code}" ในฐานะ${ROLE_LABELS[invite.role]}แล้ว`, 'success');
+            return invite.role;
+        }
+        return null;
+    }
+
+    // Copy attachments from before accounts existed under the workspace's
+    // folder (see LegacyFiles). The old copies can no longer be deleted
+    // from the app; remove the projects/ folder from the bucket afterwards.
+    async moveLegacyFiles(code) {
+        let moved = 0;
+        for (const project of await DataStore.getProjects()) {
+            const changes = [];
+            for (const { path, file } of LegacyFiles.find(project)) {
+                try {
+                    const blob = await (await fetch(file.url)).blob();
+                    const restored = await FileStore.restore({ ...file, path: LegacyFiles.targetPath(code, file.path) }, blob);
+                    changes.push(ProjectPatch.set(path, restored, file));
+                } catch (error) {
+                    console.error("Error moving attachment:", file.path, error);
+                }
+            }
+            if (changes.length === 0) continue;
+            await this.saveChanges(project, changes, AuditLog.meta('ย้ายไฟล์แนบเดิมไปยังพื้นที่ของ Workspace'));
+            moved += changes.length;
+        }
+        if (moved > 0) this.showToast(`ย้ายไฟล์แนบเดิม ${moved} ไฟล์ไปยังพื้นที่ของ Workspace แล้ว`, 'success');
+    }
+
+    stopListening() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+
+    // Back to the access code prompt, e.g. after being removed from the workspace
+    leaveWorkspace(message) {
+        if (this.isLeaving) return;
+        this.isLeaving = true;
+        this.stopListening();
+        DataStore.clearAccessCode();
+        alert(message);
+        location.reload();
+    }
+
+    async handleAccessCodeSubmit() {
+        const code = this.inpAccessCode.value.trim();
+        if (!code) return;
+
+        DataStore.setAccessCode(code);
+
+        try {
+            if (!(await this.joinWorkspace(code))) {
+                DataStore.clearAccessCode();
+                alert(`คุณไม่ได้เป็นสมาชิกของ Workspace "${code}" กรุณาขอคำเชิญจากเจ้าของ Workspace`);
+                return;
+            }
+            this.showToast(`เข้าสู่ระบบด้วยรหัส "${code}" เรียบร้อย`, 'success');
+            this.initAccessCodeSystem();
+        } catch (e) {
+            console.error(e);
+            DataStore.clearAccessCode();
+            if (e.code === 'auth/unverified-email') {
+                if (confirm(`${e.message}\n\nส่งลิงก์ยืนยันไปที่ ${Auth.currentUser.email} อีกครั้งหรือไม่?`)) {
+                    Auth.sendVerification()
+                        .then(() => this.showToast('ส่งลิงก์ยืนยันอีเมลแล้ว', 'success'))
+                        .catch(error => this.showToast(error.message, 'error'));
+                }
+                return;
+            }
+            alert("เกิดข้อผิดพลาดในการเชื่อมต่อ Firebase: " + e.message);
+        }
+    }
+
+    async handleMigration() {
+        const code = this.inpAccessCode.value.trim();
+        if (!code) {
+            alert("กรุณากรอกรหัส Access Code ก่อนกดปุ่มย้ายข้อมูล");
+            return;
+        }
+
+        if (!confirm(`ยืนยันการย้ายข้อมูลไปยังรหัส "${code}"? ข้อมูลเก่าในเครื่องจะถูกลบหลังจากย้ายสำเร็จ`)) return;
+
+        try {
+            const oldData = localStorage.getItem('protracker_projects');
+            const projects = JSON.parse(oldData);
+
+            DataStore.setAccessCode(code);
+            if (!Membership.can(await this.joinWorkspace(code), 'edit')) {
+                DataStore.clearAccessCode();
+                alert(`คุณไม่มีสิทธิ์แก้ไขข้อมูลใน Workspace "${code}"`);
+                return;
+            }
+            await DataStore.saveWorkspace({ projects });
+
+            localStorage.removeItem('protracker_projects');
+            this.migrationOption.style.display = 'none';
+
+            alert("ย้ายข้อมูลสำเร็จ!");
+            this.initAccessCodeSystem();
+
+        } catch (e) {
+            console.error(e);
+            alert("เกิดข้อผิดพลาดในการย้ายข้อมูล: " + e.message);
+        }
+    }
+
+    // --- Accounts & Members ---
+
+    setLoginMode(mode) {
+        this.loginMode = mode;
+        const signUp = mode === 'signup';
+        this.loginNameGroup.style.display = signUp ? 'block' : 'none';
+        this.loginTitle.textContent = signUp ? 'สร้างบัญชีผู้ใช้' : 'เข้าสู่ระบบ';
+        this.btnLoginSubmit.textContent = signUp ? 'สร้างบัญชี' : 'เข้าสู่ระบบ';
+        this.btnLoginToggle.textContent = signUp ? 'มีบัญชีอยู่แล้ว? เข้าสู่ระบบ' : 'ยังไม่มีบัญชี? สร้างบัญชีใหม่';
+        this.loginError.textContent = '';
+    }
+
+    async handleLogin() {
+        const email = this.inpLoginEmail.value.trim();
+        const password = this.inpLoginPassword.value;
+        const name = this.inpLoginName.value.trim();
+        if (this.loginMode === 'signup' && !name) {
+            this.loginError.textContent = 'กรุณากรอกชื่อที่จะแสดงในประวัติการแก้ไข';
+            return;
+        }
+
+        this.btnLoginSubmit.disabled = true;
+        this.loginError.textContent = '';
+        try {
+            if (this.loginMode === 'signup') await Auth.signUp(email, password, name);
+            else await Auth.signIn(email, password);
+            this.inpLoginPassword.value = '';
+            this.initAccessCodeSystem();
+        } catch (error) {
+            console.error(error);
+            this.loginError.textContent = error.message;
+        } finally {
+            this.btnLoginSubmit.disabled = false;
+        }
+    }
+
+    async signOut() {
+        if (this.pendingCount > 0 &&
+            !confirm(`ยังมี ${this.pendingCount} รายการที่รอซิงค์ ออกจากระบบตอนนี้? (รายการจะซิงค์เมื่อเข้าใช้งานครั้งถัดไป)`)) return;
+        try {
+            await Auth.signOut();
+        } catch (error) {
+            console.error(error);
+            this.showToast('ออกจากระบบไม่สำเร็จ: ' + error.message, 'error');
+            return;
+        }
+        DataStore.clearAccessCode();
+        location.reload();
+    }
+
+    setRole(role) {
+        this.role = role;
+        // style.css hides editing controls per role, and the settings
+        // entries per permission so they follow ROLE_PERMISSIONS
+        document.body.dataset.role = role || '';
+        document.body.dataset.can = Object.keys(ROLE_PERMISSIONS).filter(action => Membership.can(role, action)).join(' ');
+        this.renderUserProfile();
+    }
+
+    can(action) {
+        return Membership.can(this.role, action);
+    }
+
+    // Guard for actions the UI may still expose (shortcuts, stale views)
+    requirePermission(action) {
+        if (this.can(action)) return true;
+        this.showToast(`บทบาท "${ROLE_LABELS[this.role] || 'ไม่ระบุ'}" ไม่มีสิทธิ์ทำรายการนี้`, 'warning');
+        return false;
+    }
+
+    renderUserProfile() {
+        const user = Auth.currentUser;
+        this.userDisplayName.textContent = user ? (user.name || user.email) : '';
+        this.userDisplayName.title = user ? user.email : '';
+        this.userRoleBadge.textContent = this.role ? ROLE_LABELS[this.role] : '';
+        this.userRoleBadge.className = `role-badge role-${this.role}`;
+        this.userRoleBadge.style.display = this.role ? '' : 'none';
+    }
+
+    openMembersModal() {
+        if (!this.workspace) return;
+        this.inpInviteEmail.value = '';
+        this.renderMembers();
+        this.modalMembers.classList.add('open');
+    }
+
+    renderMembers() {
+        const workspace = this.workspace;
+        const isOwner = this.can('members');
+        const myUid = Auth.currentUser.uid;
+        const roleOrder = Object.keys(ROLE_LABELS);
+        const roleOptions = (selected) => roleOrder
+            .map(role => `<option value="${role}" ${role === selected ? 'selected' : ''}>${ROLE_LABELS[role]}</option>`)
+            .join('');
+
+        const members = Object.entries(workspace.members || {})
+            .sort(([, a], [, b]) => roleOrder.indexOf(a.role) - roleOrder.indexOf(b.role) || (a.name || a.email).localeCompare(b.name || b.email, 'th'));
+        const invites = Object.entries(workspace.invites || {});
+
+        this.membersList.innerHTML = members.map(([uid, member]) => `
+            <div class="member-item">
+                <div class="avatar member-avatar">${this.escapeHtml((member.name || member.email || '?').charAt(0).toUpperCase())}</div>
+                <div class="member-info">
+                    <div class="member-name">${this.escapeHtml(member.name || member.email)}${uid === myUid ? ' (คุณ)' : ''}</div>
+                    <div class="member-email">${this.escapeHtml(member.email || '')}</div>
+                </div>
+                ${isOwner ? `
+                    <select class="member-role-select" data-uid="${uid}">${roleOptions(member.role)}</select>
+                    <button class="btn-icon member-remove" data-uid="${uid}" title="นำออกจาก Workspace"><i class="fa-solid fa-user-minus"></i></button>
+                ` : `<span class="role-badge role-${member.role}">${ROLE_LABELS[member.role]}</span>`}
+            </div>
+        `).join('') + invites.map(([email, invite]) => `
+            <div class="member-item member-invite">
+                <div class="avatar member-avatar"><i class="fa-solid fa-envelope"></i></div>
+                <div class="member-info">
+                    <div class="member-name">${this.escapeHtml(email)}</div>
+                    <div class="member-email">รอตอบรับคำเชิญ · เชิญโดย ${this.escapeHtml(invite.invitedBy || '-')}</div>
+                </div>
+                <span class="role-badge role-${invite.role}">${ROLE_LABELS[invite.role]}</span>
+                ${isOwner ? `<button class="btn-icon member-cancel-invite" data-email="${this.escapeHtml(email)}" title="ยกเลิกคำเชิญ"><i class="fa-solid fa-xmark"></i></button>` : ''}
+            </div>
+        `).join('');
+
+        // A workspace must always keep an owner
+        const isLastOwner = (uid) => workspace.members[uid].role === 'owner' && Membership.owners(workspace).length === 1;
+
+        this.membersList.querySelectorAll('.member-role-select').forEach(select => {
+            select.addEventListener('change', () => {
+                const uid = select.dataset.uid;
+                if (isLastOwner(uid)) {
+                    alert('Workspace ต้องมีเจ้าของอย่างน้อย 1 คน');
+                    select.value = 'owner';
+                    return;
+                }
+                const member = workspace.members[uid];
+                this.updateMembers(Membership.roleFields(workspace, uid, select.value),
+                    `เปลี่ยนบทบาทของ ${member.name || member.email} เป็น${ROLE_LABELS[select.value]}แล้ว`);
+            });
+        });
+        this.membersList.querySelectorAll('.member-remove').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const uid = btn.dataset.uid;
+                const member = workspace.members[uid];
+                if (isLastOwner(uid)) {
+                    alert('Workspace ต้องมีเจ้าของอย่างน้อย 1 คน');
+                    return;
+                }
+                if (!confirm(`นำ ${member.name || member.email} ออกจาก Workspace นี้?`)) return;
+                this.updateMembers(Membership.removeFields(workspace, uid), `นำ ${member.name || member.email} ออกแล้ว`);
+            });
+        });
+        this.membersList.querySelectorAll('.member-cancel-invite').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.updateMembers(Membership.cancelInviteFields(workspace, btn.dataset.email), `ยกเลิกคำเชิญ ${btn.dataset.email} แล้ว`);
+            });
+        });
+    }
+
+    async inviteMember() {
+        if (!this.requirePermission('members')) return;
+        const email = this.inpInviteEmail.value.trim().toLowerCase();
+        if (!/^[^@\s]+@[^@\s]+$/.test(email)) {
+            this.showToast('กรุณากรอกอีเมลให้ถูกต้อง', 'warning');
+            return;
+        }
+        if (Object.values(this.workspace.members || {}).some(m => (m.email || '').toLowerCase() === email)) {
+            this.showToast(`${email} เป็นสมาชิกอยู่แล้ว`, 'warning');
+            return;
+        }
+
+        const role = this.inpInviteRole.value;
+        await this.updateMembers(Membership.inviteFields(this.workspace, email, role),
+            `เชิญ ${email} เป็น${ROLE_LABELS[role]}แล้ว ผู้ได้รับเชิญเข้าสู่ระบบด้วยอีเมลนี้แล้วกรอกรหัส "${DataStore.accessCode}"`);
+        this.inpInviteEmail.value = '';
+    }
+
+    // Membership changes come back through the workspace listener, which re-renders the list
+    async updateMembers(fields, message) {
+        try {
+            await DataStore.setWorkspaceFields(DataStore.accessCode, fields);
+            this.showToast(message, 'success');
+        } catch (error) {
+            console.error(error);
+            this.showToast('บันทึกไม่สำเร็จ: ' + error.message, 'error');
+            this.renderMembers();
+        }
+    }
+
+    // --- Workspaces ---
+
+    async loadWorkspaces() {
+        try {
+            [this.workspaces, this.userSettings] = await Promise.all([
+                DataStore.listWorkspaces(Auth.currentUser.uid),
+                DataStore.getUserSettings(Auth.currentUser.uid)
+            ]);
+        } catch (error) {
+            // Offline: keep the list from earlier
+            console.error("Error listing workspaces:", error);
+        }
+        this.renderWorkspaceSwitcher();
+    }
+
+    // Display names are each user's own (see renameWorkspace)
+    workspaceName(code) {
+        return (this.userSettings.workspaceNames || {})[code] || '';
+    }
+
+    workspaceLabel(workspace) {
+        const name = this.workspaceName(workspace.code);
+        return name ? `${name} (${workspace.code})` : workspace.code;
+    }
+
+    renderWorkspaceSwitcher() {
+        const code = DataStore.accessCode;
+        const list = this.workspaces.filter(w => w.code !== code);
+        if (code) list.push({ code, role: this.role });
+        const sortKey = (w) => this.workspaceName(w.code) || w.code;
+        list.sort((a, b) => sortKey(a).localeCompare(sortKey(b), 'th'));
+
+        this.selWorkspace.innerHTML = list.map(w => `
+            <option value="${this.escapeHtml(w.code)}" ${w.code === code ? 'selected' : ''}>${this.escapeHtml(this.workspaceLabel(w))}</option>
+        `).join('');
+    }
+
+    // Shortcuts in the access code prompt to workspaces the user already belongs to
+    async renderAccessWorkspaceList() {
+        try {
+            [this.workspaces, this.userSettings] = await Promise.all([
+                DataStore.listWorkspaces(Auth.currentUser.uid),
+                DataStore.getUserSettings(Auth.currentUser.uid)
+            ]);
+        } catch (error) {
+            console.error("Error listing workspaces:", error);
+        }
+        this.accessWorkspaceList.innerHTML = this.workspaces.length === 0 ? '' : `
+            <p style="font-size: 0.85rem; color: var(--text-muted); margin-bottom: 0.5rem;">Workspace ของคุณ</p>
+            ${this.workspaces.map(w => `
+                <button type="button" class="btn btn-outline btn-sm full-width" data-code="${this.escapeHtml(w.code)}" style="margin-bottom: 0.35rem;">
+                    ${this.escapeHtml(this.workspaceLabel(w))} · ${ROLE_LABELS[w.role]}
+                </button>
+            `).join('')}
+        `;
+        this.accessWorkspaceList.querySelectorAll('[data-code]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.inpAccessCode.value = btn.dataset.code;
+                this.handleAccessCodeSubmit();
+            });
+        });
+    }
+
+    async switchWorkspace(code) {
+        if (code === DataStore.accessCode) return;
+        if (this.isSyncing) {
+            // Queued writes go to the open workspace
+            this.showToast('กำลังซิงค์ข้อมูล กรุณารอสักครู่แล้วลองใหม่', 'warning');
+            this.renderWorkspaceSwitcher();
+            return;
+        }
+
+        this.stopListening();
+        this.activeProject = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.workspace = null;
+        this.stepTemplates = DEFAULT_STEP_TEMPLATES;
+        this.trashRetentionDays = TRASH_RETENTION_DAYS;
+        this.methodRules = DEFAULT_METHOD_RULES;
+        WorkingCalendar.configure(null);
+        this.vendors = [];
+        this.setRole(null);
+        this.navItems.forEach(nav => nav.classList.toggle('active', nav.dataset.view === 'dashboard'));
+
+        DataStore.setAccessCode(code);
+        await this.initAccessCodeSystem();
+        const current = this.workspaces.find(w => w.code === code);
+        this.showToast(`เปลี่ยนไปยัง Workspace "${this.escapeHtml(current ? this.workspaceLabel(current) : code)}"`, 'success');
+    }
+
+    // Join or create another workspace by its access code, then open it
+    async addWorkspace() {
+        const code = (prompt('Access Code ของ Workspace ที่ต้องการเข้าร่วม (หรือรหัสใหม่เพื่อสร้าง Workspace):') || '').trim();
+        if (!code) return;
+        if (code === DataStore.accessCode) return;
+
+        if (!this.workspaces.some(w => w.code === code)) {
+            const previous = DataStore.accessCode;
+            DataStore.setAccessCode(code);
+            try {
+                const role = await this.joinWorkspace(code);
+                if (!role) {
+                    alert(`คุณไม่ได้เป็นสมาชิกของ Workspace "${code}" กรุณาขอคำเชิญจากเจ้าของ Workspace`);
+                    return;
+                }
+                this.workspaces.push({ code, role });
+            } catch (error) {
+                console.error(error);
+                alert('เข้าร่วม Workspace ไม่สำเร็จ: ' + error.message);
+                return;
+            } finally {
+                DataStore.setAccessCode(previous);
+            }
+        }
+        await this.switchWorkspace(code);
+    }
+
+    // Workspaces used to carry one `name` for everybody. Members who haven't
+    // named the workspace themselves keep seeing that name, as their own.
+    async adoptWorkspaceName(code) {
+        const workspace = await DataStore.getWorkspace(code);
+        if (!workspace || !workspace.name) return;
+        const uid = Auth.currentUser.uid;
+        const settings = await DataStore.getUserSettings(uid);
+        if ((settings.workspaceNames || {})[code] !== undefined) return;
+        const workspaceNames = { ...settings.workspaceNames, [code]: workspace.name };
+        await DataStore.updateUserSettings(uid, { workspaceNames });
+        this.userSettings = { ...this.userSettings, workspaceNames };
+    }
+
+    // The name is a preference of the signed-in user, so renaming does not
+    // change what other members see
+    async renameWorkspace() {
+        const code = DataStore.accessCode;
+        if (!code) return;
+        const name = prompt('ชื่อที่แสดงของ Workspace นี้สำหรับคุณ (เว้นว่าง = แสดงเป็นรหัส):', this.workspaceName(code));
+        if (name === null) return;
+        const workspaceNames = { ...this.userSettings.workspaceNames, [code]: name.trim() };
+        try {
+            await DataStore.updateUserSettings(Auth.currentUser.uid, { workspaceNames });
+            this.userSettings = { ...this.userSettings, workspaceNames };
+            this.renderWorkspaceSwitcher();
+            this.showToast('เปลี่ยนชื่อ Workspace แล้ว', 'success');
+        } catch (error) {
+            console.error(error);
+            this.showToast('เปลี่ยนชื่อไม่สำเร็จ: ' + error.message, 'error');
+        }
+    }
+
+    // Run a write now, or queue it when offline. While earlier writes are
+    // still queued, new ones are queued behind them to keep their order.
+    // `project` (default: the active one) names the write in the queue list.
+    async runOrQueue(entry, write, project) {
+        // Local backends never go offline
+        if (!DataStore.isRemote) return write();
+
+        if (SyncQueue.isOnline && this.pendingCount === 0) {
+            try {
+                return await write();
+            } catch (error) {
+                if (!SyncQueue.isNetworkError(error)) throw error;
+            }
+        }
+        await this.queueWrite(entry, project);
+        return null;
+    }
+
+    async queueWrite(entry, project = entry.project || this.activeProject) {
+        let summary = '';
+        if (entry.kind === 'add') summary = 'สร้างโครงการ';
+        else if (entry.kind === 'delete') summary = 'ลบโครงการ';
+        else summary = entry.changes.map(c => ProjectPatch.describe(project, c.path)).join(', ');
+
+        await SyncQueue.enqueue({ ...entry, summary: `${project ? project.name : ''}: ${summary}` });
+        await this.updateSyncStatus();
+        if (SyncQueue.isOnline) this.syncPendingChanges();
+    }
+
+    async updateSyncStatus() {
+        if (!this.syncStatus) return;
+        this.pendingCount = (await SyncQueue.list()).length;
+
+        let state = 'synced';
+        let icon = 'fa-solid fa-cloud';
+        let text = 'ซิงค์แล้ว';
+        if (!DataStore.isRemote) {
+            state = 'local';
+            icon = 'fa-solid fa-hard-drive';
+            text = 'เก็บข้อมูลในเครื่อง';
+        } else if (!SyncQueue.isOnline) {
+            state = 'offline';
+            icon = 'fa-solid fa-plug-circle-xmark';
+            text = this.pendingCount > 0 ? `ออฟไลน์ (รอซิงค์ ${this.pendingCount})` : 'ออฟไลน์';
+        } else if (this.pendingCount > 0) {
+            state = 'pending';
+            icon = 'fa-solid fa-cloud-arrow-up';
+            text = `รอซิงค์ ${this.pendingCount} รายการ`;
+        }
+
+        this.syncStatus.className = `sync-status sync-${state}`;
+        this.syncStatus.innerHTML = `<i class="${icon}"></i> <span>${text}</span>`;
+    }
+
+    // Replay queued writes in order; conflicts go through the merge dialog
+    async syncPendingChanges() {
+        if (!DataStore.isRemote || this.isSyncing || !SyncQueue.isOnline || !DataStore.accessCode) return;
+        this.isSyncing = true;
+
+        try {
+            if ((await SyncQueue.list()).length === 0) return;
+
+            const completed = await SyncQueue.replay(async (entry) => {
+                if (entry.kind === 'add') await DataStore.addProject(entry.project);
+                else if (entry.kind === 'delete') await DataStore.deleteProject(entry.projectId);
+                else await this.applyChangesWithMerge(entry.projectId, entry.changes, entry.audit);
+            }, (entry, error) => {
+                this.showToast(`ซิงค์ไม่สำเร็จ (${entry.summary}): ${error.message}`, 'error');
+            });
+
+            if (completed) {
+                this.showToast('ซิงค์ข้อมูลเรียบร้อยแล้ว', 'success');
+                if (this.currentView === 'detail' && this.activeProject) {
+                    this.openProjectDetail(this.activeProject.id, this.activeWorkflowStepIndex);
+                }
+            }
+        } finally {
+            this.isSyncing = false;
+            await this.updateSyncStatus();
+        }
+    }
+
+    openSyncQueueModal() {
+        this.renderSyncQueue();
+        this.modalSyncQueue.classList.add('open');
+    }
+
+    async renderSyncQueue() {
+        const entries = await SyncQueue.list();
+        const kindIcons = {
+            'add': 'fa-solid fa-plus',
+            'delete': 'fa-solid fa-trash',
+            'changes': 'fa-solid fa-pen'
+        };
+
+        if (entries.length === 0) {
+            this.syncQueueList.innerHTML = '<div class="empty-state-small">ไม่มีรายการที่รอซิงค์</div>';
+            return;
+        }
 
-        // Access Code Modal
-        this.modalAccessCode = document.getElementById('modal-access-code');
-        this.formAccessCode = document.getElementById('form-access-code');
-        this.inpAccessCode = document.getElementById('inp-access-code');
-        this.migrationOption = document.getElementById('migration-option');
-        this.btnMigrate = document.getElementById('btn-migrate');
+        this.syncQueueList.innerHTML = entries.map(entry => `
+            <div class="sync-queue-item">
+                <i class="${kindIcons[entry.kind] || kindIcons['changes']}"></i>
+                <div style="flex: 1;">
+                    <div>${this.escapeHtml(entry.summary)}</div>
+                    <div style="font-size: 0.75rem; color: var(--text-muted);">
+                        ${ThaiDate.format(entry.createdAt, true)}
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
 
-        this.projectsGrid = document.getElementById('projects-grid');
-        this.searchInput = document.getElementById('search-input');
-        this.filterStatus = document.getElementById('filter-status');
+    async exportWorkspace() {
+        const code = DataStore.accessCode;
+        if (!code) return;
 
-        this.btnBack = document.getElementById('btn-back-projects');
-        this.btnDeleteProject = document.getElementById('btn-delete-project');
-        this.btnExportPdf = document.getElementById('btn-export-pdf');
-        this.detailTitle = document.getElementById('detail-title');
-        this.detailStatus = document.getElementById('detail-status');
-        this.detailDesc = document.getElementById('detail-desc');
-        this.detailStartDate = document.getElementById('detail-start-date');
-        this.detailDeadline = document.getElementById('detail-deadline');
-        this.detailBudget = document.getElementById('detail-budget');
-        this.detailContractAmount = document.getElementById('detail-contract-amount');
-        this.detailPriority = document.getElementById('detail-priority'); // Add this to HTML later or use a span
-        this.detailPurchaseType = document.getElementById('detail-purchase-type');
-        this.detailProcurementMethod = document.getElementById('detail-procurement-method');
-        this.detailOverallProgress = document.getElementById('detail-overall-progress');
-        this.detailProgressPercent = document.getElementById('detail-progress-percent');
+        this.btnExportBackup.disabled = true;
+        try {
+            const archive = await WorkspaceArchive.create(DataStore, FileStore, {
+                includeFiles: this.chkBackupFiles.checked
+            });
 
-        this.workflowTabs = document.getElementById('workflow-tabs');
-        this.btnEditProjectWorkflow = document.getElementById('btn-edit-project-workflow');
-        this.stepTitle = document.getElementById('step-title');
-        this.stepInfoContainer = document.getElementById('step-info-container');
-        this.checklistItems = document.getElementById('checklist-items');
-        this.inpChecklist = document.getElementById('new-checklist-input');
-        this.inpChecklistDeadline = document.getElementById('new-checklist-deadline');
-        this.btnAddChecklist = document.getElementById('btn-add-checklist');
-        this.inpTimeline = document.getElementById('timeline-input');
-        this.btnAddTimeline = document.getElementById('btn-add-timeline');
-        this.inpTimelineFile = document.getElementById('inp-timeline-file');
-        this.btnAttachTimeline = document.getElementById('btn-attach-timeline');
-        this.timelineFileName = document.getElementById('timeline-file-name');
+            const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `protracker-backup-${code.replace(/[^a-zA-Z0-9_-]/g, '_')}-${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+
+            this.showToast(`สำรองข้อมูล ${archive.projects.length} โครงการเรียบร้อยแล้ว`, 'success');
+            if (archive.missingFiles.length > 0) {
+                this.showToast(`ไม่สามารถอ่านไฟล์แนบ ${archive.missingFiles.length} ไฟล์ ไฟล์สำรองจะไม่มีไฟล์เหล่านี้`, 'warning');
+            }
+        } catch (error) {
+            console.error(error);
+            this.showToast('สำรองข้อมูลไม่สำเร็จ: ' + error.message, 'error');
+        } finally {
+            this.btnExportBackup.disabled = false;
+        }
+    }
 
-        this.timelineList = document.getElementById('timeline-list');
+    async importWorkspace() {
+        if (!this.requirePermission('import')) return;
+        const file = this.inpBackupFile.files[0];
+        if (!file) {
+            this.showToast('กรุณาเลือกไฟล์สำรองข้อมูล', 'warning');
+            return;
+        }
+        if (DataStore.isRemote && !SyncQueue.isOnline) {
+            this.showToast('ต้องเชื่อมต่ออินเทอร์เน็ตเพื่อนำเข้าข้อมูล', 'warning');
+            return;
+        }
 
-        this.inpPostit = document.getElementById('postit-input');
-        this.btnAddPostit = document.getElementById('btn-add-postit');
-        this.inpPostitFile = document.getElementById('inp-postit-file');
-        this.btnAttachPostit = document.getElementById('btn-attach-postit');
-        this.postitFileName = document.getElementById('postit-file-name');
+        let archive;
+        try {
+            archive = JSON.parse(await file.text());
+        } catch (error) {
+            alert('ไฟล์นี้ไม่ใช่ไฟล์ JSON ที่ถูกต้อง');
+            return;
+        }
 
-        this.postitsList = document.getElementById('postits-list');
+        const errors = WorkspaceArchive.validate(archive);
+        if (errors.length > 0) {
+            const more = errors.length > 10 ? `\n...และอีก ${errors.length - 10} รายการ` : '';
+            alert('ไฟล์สำรองข้อมูลไม่ถูกต้อง:\n- ' + errors.slice(0, 10).join('\n- ') + more);
+            return;
+        }
 
-        // Lightbox
-        this.lightboxOverlay = document.getElementById('lightbox-overlay');
-        this.lightboxImg = document.getElementById('lightbox-img');
-        this.lightboxCaption = document.getElementById('lightbox-caption');
-        this.lightboxClose = document.getElementById('lightbox-close');
+        const currentCode = DataStore.accessCode;
+        const targetCode = this.inpBackupTarget.value.trim() || currentCode;
+        const mode = this.inpBackupMode.value;
+        const modeText = mode === 'replace'
+            ? 'แทนที่ทั้งหมด (โครงการ ไฟล์แนบ และการตั้งค่าเดิมที่ไม่มีในไฟล์จะถูกลบ)'
+            : 'รวมกับข้อมูลเดิม';
+        if (!confirm(`นำเข้า ${archive.projects.length} โครงการไปยังรหัส "${targetCode}" แบบ${modeText}?`)) return;
 
-        if (this.lightboxClose) {
-            this.lightboxClose.addEventListener('click', () => {
-                this.lightboxOverlay.style.display = 'none';
+        this.btnImportBackup.disabled = true;
+        try {
+            if (targetCode !== currentCode) {
+                DataStore.setAccessCode(targetCode);
+                if (!Membership.can(await this.joinWorkspace(targetCode), 'import')) {
+                    throw new Error(`ต้องเป็นเจ้าของ Workspace "${targetCode}" จึงจะนำเข้าข้อมูลได้`);
+                }
+            }
+
+            const result = await WorkspaceArchive.restore(archive, DataStore, FileStore, { mode });
+            const summary = `นำเข้าข้อมูลเรียบร้อย: เพิ่ม ${result.added}, อัปเดต ${result.updated}` +
+                (result.removed ? `, ลบ ${result.removed}` : '') + ` โครงการ` +
+                (result.files ? `, ไฟล์แนบ ${result.files} ไฟล์` : '');
+
+            if (targetCode !== currentCode) {
+                // Start over in the target workspace so every listener points at it
+                alert(`${summary}\nระบบจะเปิด Workspace "${targetCode}"`);
+                location.reload();
+                return;
+            }
+
+            this.showToast(summary, 'success');
+            this.modalBackup.classList.remove('open');
+        } catch (error) {
+            console.error(error);
+            DataStore.setAccessCode(currentCode);
+            alert('นำเข้าข้อมูลไม่สำเร็จ: ' + error.message);
+        } finally {
+            this.btnImportBackup.disabled = false;
+        }
+    }
+
+    // --- Procurement Method Rules ---
+
+    // The create and edit project forms share the method check
+    methodRuleForm(form) {
+        const prefix = form === 'create' ? 'inp-project' : 'edit-project';
+        return {
+            budget: document.getElementById(`${prefix}-budget`),
+            type: document.getElementById(`${prefix}-type`),
+            method: document.getElementById(`${prefix}-method`),
+            warning: document.getElementById(`${prefix}-method-warning`),
+            justification: document.getElementById(`${prefix}-method-justification`)
+        };
+    }
+
+    // Show or hide the form's warning; returns the MethodRules.check result
+    checkProjectMethod(form) {
+        const f = this.methodRuleForm(form);
+        const result = MethodRules.check(this.methodRules, {
+            budget: parseFloat(f.budget.value.replace(/,/g, '')) || 0,
+            purchaseType: f.type.value,
+            procurementMethod: f.method.value
+        });
+
+        f.warning.style.display = result.ok ? 'none' : 'block';
+        if (!result.ok) {
+            const { rule } = result;
+            f.warning.querySelector('.method-rule-message').innerHTML = `
+                <i class="fa-solid fa-triangle-exclamation"></i>
+                วงเงิน${MethodRules.describeRange(rule)} (${rule.purchaseTypes.map(t => PURCHASE_TYPE_LABELS[t]).join('/')})
+                ใช้วิธี <strong>${rule.methods.map(m => PROCUREMENT_METHOD_LABELS[m]).join(', ')}</strong>
+                ${rule.note ? `<div class="method-rule-note">${this.escapeHtml(rule.note)}</div>` : ''}
+            `;
+        }
+        return result;
+    }
+
+    // The methodOverride to save from `form`: null when the method is allowed,
+    // undefined (and a warning) when the required justification is missing
+    methodOverrideFrom(form, current = null) {
+        if (this.checkProjectMethod(form).ok) return null;
+
+        const f = this.methodRuleForm(form);
+        const justification = f.justification.value.trim();
+        if (!justification) {
+            this.showToast('วิธีการจัดหาไม่เป็นไปตามเกณฑ์วงเงิน กรุณาระบุเหตุผล', 'warning');
+            f.justification.focus();
+            return undefined;
+        }
+        if (current && current.method === f.method.value && current.justification === justification) return current;
+        return { method: f.method.value, justification, by: AuditLog.actor, at: new Date().toISOString() };
+    }
+
+    openMethodRulesModal() {
+        if (!this.requirePermission('settings')) return;
+        this.tempMethodRules = JSON.parse(JSON.stringify(this.methodRules));
+        this.renderMethodRules();
+        this.modalMethodRules.classList.add('open');
+    }
+
+    renderMethodRules() {
+        const checkboxes = (field, labels, selected) => Object.entries(labels).map(([value, label]) => `
+            <label class="method-rule-check">
+                <input type="checkbox" data-field="${field}" value="${value}" ${selected.includes(value) ? 'checked' : ''}> ${label}
+            </label>
+        `).join('');
+
+        this.methodRulesList.innerHTML = this.tempMethodRules.length === 0
+            ? '<div class="empty-state-small">ไม่มีกฎ ทุกวงเงินใช้วิธีใดก็ได้</div>'
+            : this.tempMethodRules.map((rule, i) => `
+                <div class="method-rule-row" data-i="${i}">
+                    <div class="method-rule-range">
+                        <span>ข้อ ${i + 1}: เกิน</span>
+                        <input type="number" data-field="min" min="0" value="${rule.min}">
+                        <span>ถึง</span>
+                        <input type="number" data-field="max" min="0" value="${rule.max === null ? '' : rule.max}" placeholder="ไม่จำกัด">
+                        <span>บาท</span>
+                        <button type="button" class="btn-icon btn-remove-method-rule" title="ลบกฎ" style="margin-left: auto; color: var(--danger);"><i class="fa-solid fa-trash"></i></button>
+                    </div>
+                    <div class="method-rule-options"><span>ประเภท:</span> ${checkboxes('purchaseTypes', PURCHASE_TYPE_LABELS, rule.purchaseTypes)}</div>
+                    <div class="method-rule-options"><span>วิธีที่ใช้ได้:</span> ${checkboxes('methods', PROCUREMENT_METHOD_LABELS, rule.methods)}</div>
+                    <input type="text" data-field="note" value="${this.escapeHtml(rule.note || '')}" placeholder="หมายเหตุ/อ้างอิงระเบียบ">
+                </div>
+            `).join('');
+
+        this.methodRulesList.querySelectorAll('.btn-remove-method-rule').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.tempMethodRules = this.readMethodRules();
+                this.tempMethodRules.splice(parseInt(btn.closest('.method-rule-row').dataset.i), 1);
+                this.renderMethodRules();
             });
-            this.lightboxOverlay.addEventListener('click', (e) => {
-                if (e.target === this.lightboxOverlay) this.lightboxOverlay.style.display = 'none';
+        });
+    }
+
+    readMethodRules() {
+        return [...this.methodRulesList.querySelectorAll('.method-rule-row')].map(row => {
+            const value = (field) => row.querySelector(`[data-field="${field}"]`).value.trim();
+            const checked = (field) => [...row.querySelectorAll(`[data-field="${field}"]:checked`)].map(c => c.value);
+            return {
+                min: parseFloat(value('min')),
+                max: value('max') === '' ? null : parseFloat(value('max')),
+                purchaseTypes: checked('purchaseTypes'),
+                methods: checked('methods'),
+                note: value('note')
+            };
+        });
+    }
+
+    async saveMethodRules() {
+        if (!this.requirePermission('settings')) return;
+        const rules = this.readMethodRules();
+        const errors = MethodRules.validate(rules);
+        if (errors.length > 0) {
+            alert('กรุณาแก้ไขกฎต่อไปนี้:\n' + errors.join('\n'));
+            return;
+        }
+
+        try {
+            await DataStore.updateWorkspaceSettings(DataStore.accessCode, { methodRules: rules });
+            this.methodRules = rules;
+            this.modalMethodRules.classList.remove('open');
+            this.showToast('บันทึกเกณฑ์วิธีการจัดหาแล้ว', 'success');
+        } catch (error) {
+            console.error(error);
+            this.showToast('บันทึกไม่สำเร็จ: ' + error.message, 'error');
+        }
+    }
+
+    // --- Working Calendar ---
+
+    openCalendarModal() {
+        if (!this.requirePermission('settings')) return;
+        this.tempCalendar = JSON.parse(JSON.stringify(WorkingCalendar.config));
+        const dayNames = ['อาทิตย์', 'จันทร์', 'อังคาร', 'พุธ', 'พฤหัสบดี', 'ศุกร์', 'เสาร์'];
+        this.calendarWeekends.innerHTML = dayNames.map((name, day) => `
+            <label class="method-rule-check">
+                <input type="checkbox" value="${day}" ${this.tempCalendar.weekends.includes(day) ? 'checked' : ''}> ${name}
+            </label>
+        `).join('');
+        this.calendarCountdown.value = this.tempCalendar.countdown;
+        this.renderCalendarYears(String(new Date().getFullYear()));
+        this.modalCalendar.classList.add('open');
+    }
+
+    // Years with holidays, plus this year and next, newest first
+    renderCalendarYears(selected) {
+        const thisYear = new Date().getFullYear();
+        const years = new Set([...Object.keys(this.tempCalendar.holidays), String(thisYear), String(thisYear + 1), selected]);
+        this.calendarYear.innerHTML = [...years].sort().reverse()
+            .map(y => `<option value="${y}" ${y === selected ? 'selected' : ''}>${y} (พ.ศ. ${parseInt(y) + 543})</option>`)
+            .join('');
+        this.renderCalendarHolidays();
+    }
+
+    renderCalendarHolidays() {
+        const year = this.calendarYear.value;
+        const holidays = this.tempCalendar.holidays[year] || [];
+        this.calendarHolidays.innerHTML = holidays.length === 0
+            ? '<div class="empty-state-small">ยังไม่มีวันหยุดในปีนี้</div>'
+            : holidays.map((h, i) => `
+                <div class="calendar-holiday-row">
+                    <span class="calendar-holiday-date">${new Date(`${h.date}T00:00:00`).toLocaleDateString('th-TH', { weekday: 'short', day: 'numeric', month: 'short' })}</span>
+                    <span class="calendar-holiday-name">${this.escapeHtml(h.name)}</span>
+                    <button type="button" class="btn-icon btn-remove-holiday" data-i="${i}" title="ลบ" style="color: var(--danger);"><i class="fa-solid fa-trash"></i></button>
+                </div>
+            `).join('');
+
+        this.calendarHolidays.querySelectorAll('.btn-remove-holiday').forEach(btn => {
+            btn.addEventListener('click', () => {
+                holidays.splice(parseInt(btn.dataset.i), 1);
+                if (holidays.length === 0) delete this.tempCalendar.holidays[year];
+                this.renderCalendarHolidays();
+            });
+        });
+    }
+
+    addCalendarHolidays(holidays) {
+        this.tempCalendar.holidays = WorkingCalendar.mergeHolidays(this.tempCalendar.holidays, holidays);
+        const years = [...new Set(holidays.map(h => h.date.slice(0, 4)))];
+        this.renderCalendarYears(years.includes(this.calendarYear.value) ? this.calendarYear.value : years[0]);
+    }
+
+    async importCalendarICS() {
+        const file = this.calendarIcsFile.files[0];
+        this.calendarIcsFile.value = '';
+        if (!file) return;
+
+        try {
+            const holidays = WorkingCalendar.parseICS(await file.text());
+            if (holidays.length === 0) {
+                this.showToast('ไม่พบวันหยุดในไฟล์ ICS', 'warning');
+                return;
+            }
+            this.addCalendarHolidays(holidays);
+            this.showToast(`นำเข้าวันหยุด ${holidays.length} วัน (กดบันทึกเพื่อใช้งาน)`, 'success');
+        } catch (error) {
+            console.error(error);
+            this.showToast('อ่านไฟล์ ICS ไม่สำเร็จ: ' + error.message, 'error');
+        }
+    }
+
+    async saveCalendar() {
+        if (!this.requirePermission('settings')) return;
+        const weekends = [...this.calendarWeekends.querySelectorAll('input:checked')].map(c => parseInt(c.value));
+        if (weekends.length === 7) {
+            alert('ต้องมีวันทำการอย่างน้อย 1 วันต่อสัปดาห์');
+            return;
+        }
+        const calendar = { ...this.tempCalendar, weekends, countdown: this.calendarCountdown.value };
+
+        try {
+            await DataStore.updateWorkspaceSettings(DataStore.accessCode, { workingCalendar: calendar });
+            WorkingCalendar.configure(calendar);
+            this.modalCalendar.classList.remove('open');
+            this.showToast('บันทึกปฏิทินวันทำการแล้ว', 'success');
+            if (this.currentView === 'dashboard') this.renderDashboard();
+            if (this.currentView === 'projects') this.renderProjectsList();
+        } catch (error) {
+            console.error(error);
+            this.showToast('บันทึกไม่สำเร็จ: ' + error.message, 'error');
+        }
+    }
+
+    // --- Vendors ---
+
+    async renderVendors() {
+        const projects = (await DataStore.getProjects()).filter(p => !Project.isTrashed(p));
+        const query = this.vendorSearch.value.trim().toLowerCase();
+        const digits = Vendors.normalizeTaxId(query);
+        const vendors = this.vendors
+            .filter(v => !query || v.name.toLowerCase().includes(query) || (digits && (v.taxId || '').includes(digits)))
+            .sort((a, b) => a.name.localeCompare(b.name, 'th'));
+
+        if (vendors.length === 0) {
+            this.vendorList.innerHTML = `<div class="empty-state-small">${this.vendors.length === 0 ? 'ยังไม่มีผู้ขายในทะเบียน' : 'ไม่พบผู้ขาย'}</div>`;
+            return;
+        }
+
+        const money = (n) => new Intl.NumberFormat('th-TH').format(n);
+        this.vendorList.innerHTML = vendors.map(v => {
+            const { contracts, bids, contractTotal } = Vendors.history(v.id, projects);
+            return `
+                <div class="vendor-item" data-id="${v.id}">
+                    <i class="fa-solid fa-building vendor-icon"></i>
+                    <div class="vendor-info">
+                        <div class="vendor-name">${this.escapeHtml(v.name)}</div>
+                        <div class="vendor-meta">${v.taxId ? `เลขผู้เสียภาษี ${this.escapeHtml(v.taxId)}` : 'ไม่ระบุเลขผู้เสียภาษี'}${v.phone ? ` · ${this.escapeHtml(v.phone)}` : ''}</div>
+                    </div>
+                    <div class="vendor-stats">
+                        <strong>${money(contractTotal)} บาท</strong>
+                        <small>ชนะ ${contracts.length} สัญญา · เสนอราคา ${bids.length} ครั้ง</small>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        this.vendorList.querySelectorAll('.vendor-item').forEach(el => {
+            el.addEventListener('click', () => this.openVendorDetail(el.dataset.id));
+        });
+    }
+
+    vendorFormField(name) {
+        return document.getElementById(`vendor-${name}`);
+    }
+
+    openVendorForm(id = null) {
+        if (!this.requirePermission('edit')) return;
+        const vendor = Vendors.find(this.vendors, id) || {};
+        document.getElementById('vendor-form-title').textContent = id ? 'แก้ไขผู้ขาย/ผู้รับจ้าง' : 'เพิ่มผู้ขาย/ผู้รับจ้าง';
+        this.vendorFormField('id').value = id || '';
+        [['name', 'name'], ['tax-id', 'taxId'], ['address', 'address'], ['contact-name', 'contactName'], ['phone', 'phone'],
+            ['email', 'email'], ['bank-name', 'bankName'], ['bank-account', 'bankAccount'], ['bank-account-name', 'bankAccountName']]
+            .forEach(([field, key]) => { this.vendorFormField(field).value = vendor[key] || ''; });
+        this.modalVendor.classList.add('open');
+        this.vendorFormField('name').focus();
+    }
+
+    async saveVendor() {
+        if (!this.requirePermission('edit')) return;
+        const id = this.vendorFormField('id').value;
+        const value = (field) => this.vendorFormField(field).value.trim();
+        const existing = Vendors.find(this.vendors, id);
+        const vendor = {
+            id: id || Date.now().toString(),
+            name: value('name'),
+            taxId: Vendors.normalizeTaxId(value('tax-id')),
+            address: value('address'),
+            contactName: value('contact-name'),
+            phone: value('phone'),
+            email: value('email'),
+            bankName: value('bank-name'),
+            bankAccount: value('bank-account'),
+            bankAccountName: value('bank-account-name'),
+            createdAt: existing ? existing.createdAt : new Date().toISOString()
+        };
+        const errors = Vendors.validate(vendor, this.vendors);
+        if (errors.length > 0) {
+            alert(errors.join('\n'));
+            return;
+        }
+
+        try {
+            await DataStore.saveVendor(DataStore.accessCode, vendor);
+            this.vendors = existing ? this.vendors.map(v => v.id === id ? vendor : v) : [...this.vendors, vendor];
+            this.modalVendor.classList.remove('open');
+            this.showToast(existing ? 'บันทึกข้อมูลผู้ขายแล้ว' : 'เพิ่มผู้ขายแล้ว', 'success');
+            if (this.currentView === 'vendors') this.renderVendors();
+            if (this.modalVendorDetail.classList.contains('open')) this.openVendorDetail(vendor.id);
+            if (this.modalProjectBidders.classList.contains('open')) {
+                this.tempBidders = this.readProjectBidders();
+                this.renderProjectBidders();
+            }
+        } catch (error) {
+            console.error(error);
+            this.showToast('บันทึกไม่สำเร็จ: ' + error.message, 'error');
+        }
+    }
+
+    async openVendorDetail(id) {
+        const vendor = Vendors.find(this.vendors, id);
+        if (!vendor) return;
+        this.activeVendorId = id;
+
+        const projects = (await DataStore.getProjects()).filter(p => !Project.isTrashed(p));
+        const { contracts, bids, contractTotal } = Vendors.history(id, projects);
+        const money = (n) => new Intl.NumberFormat('th-TH').format(n || 0);
+        const row = (label, value) => value ? `<div><span class="text-muted">${label}:</span> ${this.escapeHtml(value)}</div>` : '';
+        const projectLink = (p) => `<a href="#" class="vendor-project-link" data-id="${p.id}">${this.escapeHtml(p.name)}</a>`;
+
+        document.getElementById('vendor-detail-title').textContent = vendor.name;
+        document.getElementById('vendor-detail-body').innerHTML = `
+            <div class="vendor-detail-grid">
+                <div>
+                    ${row('เลขประจำตัวผู้เสียภาษี', vendor.taxId)}
+                    ${row('ที่อยู่', vendor.address)}
+                    ${row('ผู้ติดต่อ', vendor.contactName)}
+                    ${row('โทรศัพท์', vendor.phone)}
+                    ${row('อีเมล', vendor.email)}
+                </div>
+                <div>
+                    ${row('ธนาคาร', vendor.bankName)}
+                    ${row('เลขที่บัญชี', vendor.bankAccount)}
+                    ${row('ชื่อบัญชี', vendor.bankAccountName)}
+                </div>
+            </div>
+            <div class="vendor-totals">
+                <div><strong>${contracts.length}</strong><small>สัญญา</small></div>
+                <div><strong>${money(contractTotal)}</strong><small>มูลค่าสัญญารวม (บาท)</small></div>
+                <div><strong>${bids.length}</strong><small>ครั้งที่เสนอราคา</small></div>
+                <div><strong>${bids.length ? Math.round(bids.filter(b => b.won).length / bids.length * 100) : 0}%</strong><small>อัตราการชนะ</small></div>
+            </div>
+            <h3 style="margin: 1.25rem 0 0.5rem;">ประวัติสัญญา</h3>
+            ${contracts.length === 0 ? '<div class="empty-state-small">ยังไม่มีสัญญา</div>' : `
+                <table class="budget-table">
+                    <thead><tr><th>โครงการ</th><th>ปีงบประมาณ</th><th>วงเงินสัญญา</th><th>สถานะ</th></tr></thead>
+                    <tbody>${contracts.map(p => `
+                        <tr>
+                            <td>${projectLink(p)}</td>
+                            <td>${p.fiscalYear || '-'}</td>
+                            <td>${money(p.contractAmount)}</td>
+                            <td>${p.status === 'completed' ? 'เสร็จสิ้น' : 'กำลังดำเนินการ'}</td>
+                        </tr>
+                    `).join('')}</tbody>
+                </table>
+            `}
+            <h3 style="margin: 1.25rem 0 0.5rem;">การเสนอราคา</h3>
+            ${bids.length === 0 ? '<div class="empty-state-small">ยังไม่เคยเสนอราคา</div>' : `
+                <table class="budget-table">
+                    <thead><tr><th>โครงการ</th><th>ราคาที่เสนอ</th><th>ผล</th></tr></thead>
+                    <tbody>${bids.map(b => `
+                        <tr>
+                            <td>${projectLink(b.project)}</td>
+                            <td>${money(b.price)}</td>
+                            <td>${b.won ? '<i class="fa-solid fa-trophy" style="color: #f59e0b;"></i> ชนะ' : '-'}</td>
+                        </tr>
+                    `).join('')}</tbody>
+                </table>
+            `}
+        `;
+
+        document.querySelectorAll('.vendor-project-link').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.modalVendorDetail.classList.remove('open');
+                this.openProjectDetail(link.dataset.id);
+            });
+        });
+        this.modalVendorDetail.classList.add('open');
+    }
+
+    async deleteVendor(id) {
+        if (!this.requirePermission('edit')) return;
+        const vendor = Vendors.find(this.vendors, id);
+        if (!vendor) return;
+        const projects = await DataStore.getProjects();
+        if (Vendors.isReferenced(id, projects)) {
+            alert(`ลบ "${vendor.name}" ไม่ได้ เพราะยังถูกอ้างถึงเป็นผู้ชนะหรือผู้เสนอราคาในโครงการ (รวมโครงการในถังขยะ)`);
+            return;
+        }
+        if (!confirm(`ลบ "${vendor.name}" ออกจากทะเบียนผู้ขาย?`)) return;
+
+        try {
+            await DataStore.deleteVendor(DataStore.accessCode, id);
+            this.vendors = this.vendors.filter(v => v.id !== id);
+            this.modalVendorDetail.classList.remove('open');
+            this.showToast('ลบผู้ขายแล้ว', 'success');
+            this.renderVendors();
+        } catch (error) {
+            console.error(error);
+            this.showToast('ลบไม่สำเร็จ: ' + error.message, 'error');
+        }
+    }
+
+    openProjectBidders() {
+        if (!this.activeProject) return;
+        this.tempBidders = JSON.parse(JSON.stringify(this.activeProject.bidders || []));
+        this.tempWinnerId = this.activeProject.vendor ? this.activeProject.vendor.id : null;
+        this.renderProjectBidders();
+        this.modalProjectBidders.classList.add('open');
+    }
+
+    renderProjectBidders() {
+        const disabled = this.can('edit') ? '' : 'disabled';
+        const vendorOptions = (current) => {
+            const vendors = [...this.vendors];
+            // A vendor removed from the registry stays selectable while referenced
+            if (current && !Vendors.find(vendors, current.id)) vendors.push({ ...current, name: `${current.name} (ไม่อยู่ในทะเบียนแล้ว)` });
+            return '<option value="">เลือกผู้ขาย...</option>' + vendors
+                .map(v => `<option value="${v.id}" ${current && current.id === v.id ? 'selected' : ''}>${this.escapeHtml(v.name)}</option>`)
+                .join('');
+        };
+
+        this.projectBiddersList.innerHTML = this.tempBidders.length === 0
+            ? '<div class="empty-state-small">ยังไม่มีผู้เสนอราคา</div>'
+            : this.tempBidders.map((b, i) => `
+                <div class="bidder-row" data-i="${i}">
+                    <label class="bidder-winner" title="ผู้ชนะ">
+                        <input type="radio" name="bidder-winner" ${b.vendor && b.vendor.id === this.tempWinnerId ? 'checked' : ''} ${disabled}>
+                        <i class="fa-solid fa-trophy"></i>
+                    </label>
+                    <select data-field="vendor" ${disabled}>${vendorOptions(b.vendor)}</select>
+                    <input type="number" data-field="price" min="0" step="0.01" value="${b.price || ''}" placeholder="ราคาที่เสนอ (บาท)" ${disabled}>
+                    <button type="button" class="btn-icon btn-remove-bidder requires-edit" title="ลบ" style="color: var(--danger);"><i class="fa-solid fa-trash"></i></button>
+                </div>
+            `).join('');
+
+        this.projectBiddersList.querySelectorAll('.btn-remove-bidder').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.tempBidders = this.readProjectBidders();
+                this.tempBidders.splice(parseInt(btn.closest('.bidder-row').dataset.i), 1);
+                this.renderProjectBidders();
+            });
+        });
+    }
+
+    // Bidders as edited in the modal; also picks up the winner choice
+    readProjectBidders() {
+        this.tempWinnerId = null;
+        return [...this.projectBiddersList.querySelectorAll('.bidder-row')].map(row => {
+            const id = row.querySelector('[data-field="vendor"]').value;
+            const previous = this.tempBidders[parseInt(row.dataset.i)];
+            const vendor = Vendors.ref(Vendors.find(this.vendors, id))
+                || (previous.vendor && previous.vendor.id === id ? previous.vendor : null);
+            if (vendor && row.querySelector('[name="bidder-winner"]').checked) this.tempWinnerId = vendor.id;
+            return { vendor, price: parseFloat(row.querySelector('[data-field="price"]').value) || 0 };
+        });
+    }
+
+    async saveProjectBidders() {
+        if (!this.activeProject || !this.requirePermission('edit')) return;
+        const bidders = this.readProjectBidders().filter(b => b.vendor);
+        const ids = bidders.map(b => b.vendor.id);
+        if (new Set(ids).size !== ids.length) {
+            alert('มีผู้ขายซ้ำในรายการผู้เสนอราคา');
+            return;
+        }
+        const winner = bidders.find(b => b.vendor.id === this.tempWinnerId);
+        const project = this.activeProject;
+        const vendor = winner ? winner.vendor : null;
+
+        const changes = [];
+        if (!ProjectPatch.same(project.bidders, bidders)) changes.push(ProjectPatch.set(['bidders'], bidders, project.bidders));
+        if (!ProjectPatch.same(project.vendor, vendor)) changes.push(ProjectPatch.set(['vendor'], vendor, project.vendor));
+        // The winning price is the contract amount unless one was entered already
+        if (winner && winner.price && !project.contractAmount) {
+            changes.push(ProjectPatch.set(['contractAmount'], winner.price, project.contractAmount));
+        }
+
+        this.modalProjectBidders.classList.remove('open');
+        if (changes.length === 0) return;
+        await this.commitChanges(changes);
+        this.openProjectDetail(project.id, this.activeWorkflowStepIndex);
+        this.showToast('บันทึกผู้เสนอราคาแล้ว', 'success');
+    }
+
+    // --- Contracts ---
+
+    openContractModal() {
+        if (!this.activeProject) return;
+        this.tempContract = JSON.parse(JSON.stringify(this.activeProject.contract || Contracts.empty()));
+        const c = this.tempContract;
+        const field = (name) => this.contractForm.querySelector(`[data-field="${name}"]`);
+        field('number').value = c.number || '';
+        field('warrantyMonths').value = c.warrantyMonths || '';
+        field('penaltyRate').value = c.penaltyRate;
+        field('penaltyMinPerDay').value = c.penaltyMinPerDay || '';
+        field('guarantee.type').value = c.guarantee.type;
+        field('guarantee.amount').value = c.guarantee.amount || '';
+        field('guarantee.reference').value = c.guarantee.reference || '';
+        this.contractForm.querySelectorAll(':scope > .form-row input, :scope > .form-row select').forEach(input => {
+            input.disabled = !this.can('edit');
+        });
+        this.attachDatePickers(this.contractForm);
+        this.setDateInput(field('signedAt'), c.signedAt);
+        this.setDateInput(field('guarantee.expiresAt'), c.guarantee.expiresAt);
+        this.renderContractInstallments();
+        this.modalContract.classList.add('open');
+    }
+
+    renderContractInstallments() {
+        const disabled = this.can('edit') ? '' : 'disabled';
+        const installments = this.tempContract.installments;
+        this.contractInstallments.innerHTML = installments.length === 0
+            ? '<div class="empty-state-small">ยังไม่มีงวดงาน (สัญญาที่จ่ายครั้งเดียวให้เพิ่ม 1 งวด)</div>'
+            : installments.map((inst, i) => `
+                <div class="installment-row" data-i="${i}">
+                    <input type="text" data-field="title" value="${this.escapeHtml(inst.title)}" placeholder="ชื่องวด" ${disabled}>
+                    <input type="number" data-field="amount" min="0" step="0.01" value="${inst.amount || ''}" placeholder="จำนวนเงิน (บาท)" ${disabled}>
+                    ${this.dateInput('dueDate', inst.dueDate, `placeholder="กำหนดส่งมอบ" ${disabled}`)}
+                    <span class="installment-status">
+                        ${inst.inspectedAt ? '<i class="fa-solid fa-clipboard-check" title="ตรวจรับแล้ว"></i>' : ''}
+                        ${inst.disbursedAt ? '<i class="fa-solid fa-money-bill-transfer" title="เบิกจ่ายแล้ว"></i>' : ''}
+                    </span>
+                    <button type="button" class="btn-icon btn-remove-installment requires-edit" title="ลบงวด" style="color: var(--danger);"><i class="fa-solid fa-trash"></i></button>
+                </div>
+            `).join('');
+        this.attachDatePickers(this.contractInstallments);
+
+        this.contractInstallments.querySelectorAll('.btn-remove-installment').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const i = parseInt(btn.closest('.installment-row').dataset.i);
+                if (installments[i].inspectedAt && !confirm(`${installments[i].title} ตรวจรับแล้ว ต้องการลบหรือไม่?`)) return;
+                this.tempContract = this.readContract();
+                this.tempContract.installments.splice(i, 1);
+                this.renderContractInstallments();
+            });
+        });
+        this.renderContractSummary();
+    }
+
+    // The contract as edited in the modal; delivery, inspection and
+    // disbursement are recorded from the steps and carried over as they were
+    readContract() {
+        const value = (name) => this.contractForm.querySelector(`[data-field="${name}"]`).value.trim();
+        const number = (name) => parseFloat(value(name)) || 0;
+        const date = (name) => this.readDateInput(this.contractForm.querySelector(`[data-field="${name}"]`));
+        return {
+            ...this.tempContract,
+            number: value('number'),
+            signedAt: date('signedAt'),
+            warrantyMonths: parseInt(value('warrantyMonths')) || 0,
+            penaltyRate: number('penaltyRate'),
+            penaltyMinPerDay: number('penaltyMinPerDay'),
+            guarantee: {
+                type: value('guarantee.type'),
+                amount: number('guarantee.amount'),
+                reference: value('guarantee.reference'),
+                expiresAt: date('guarantee.expiresAt')
+            },
+            installments: [...this.contractInstallments.querySelectorAll('.installment-row')].map(row => {
+                const field = (name) => row.querySelector(`[data-field="${name}"]`);
+                return {
+                    ...this.tempContract.installments[parseInt(row.dataset.i)],
+                    title: field('title').value.trim(),
+                    amount: parseFloat(field('amount').value) || 0,
+                    dueDate: this.readDateInput(field('dueDate'))
+                };
+            })
+        };
+    }
+
+    renderContractSummary() {
+        const c = this.tempContract;
+        const summary = Contracts.summary(c, this.activeProject);
+        const money = (n) => new Intl.NumberFormat('th-TH', { maximumFractionDigits: 2 }).format(n);
+        const contractAmount = this.activeProject.contractAmount || 0;
+        const warrantyEndsAt = Contracts.warrantyEndsAt(c);
+        // Guarantees run to a calendar date, whatever the workspace counts deadlines in
+        const expiresIn = c.guarantee.expiresAt
+            ? Math.round((ThaiDate.toDate(c.guarantee.expiresAt) - WorkingCalendar.startOfDay(new Date())) / (1000 * 60 * 60 * 24))
+            : null;
+
+        this.contractSummary.innerHTML = `
+            <div>รวม ${summary.count} งวด: <strong>${money(summary.amount)}</strong> บาท
+                ${contractAmount && summary.amount !== contractAmount ? `<span class="contract-warning">(ไม่ตรงกับวงเงินตามสัญญา ${money(contractAmount)} บาท)</span>` : ''}</div>
+            <div>ตรวจรับแล้ว ${summary.inspected}/${summary.count} งวด · เบิกจ่ายแล้ว ${summary.disbursed}/${summary.count} งวด (${money(summary.disbursedAmount)} บาท)</div>
+            ${summary.penalty ? `<div class="contract-warning">ค่าปรับส่งมอบล่าช้ารวม ${money(summary.penalty)} บาท</div>` : ''}
+            ${warrantyEndsAt ? `<div>รับประกันถึง ${ThaiDate.format(warrantyEndsAt)}</div>` : ''}
+            ${expiresIn !== null && expiresIn <= 30 ? `<div class="contract-warning">หลักประกันสัญญา${expiresIn < 0 ? 'หมดอายุแล้ว' : `จะหมดอายุใน ${expiresIn} วัน`}</div>` : ''}
+        `;
+    }
+
+    async saveContract() {
+        if (!this.activeProject || !this.requirePermission('edit')) return;
+        const contract = this.readContract();
+        const errors = Contracts.validate(contract);
+        if (errors.length > 0) {
+            alert('กรุณาแก้ไขข้อมูลต่อไปนี้:\n' + errors.join('\n'));
+            return;
+        }
+
+        const project = this.activeProject;
+        const changes = [];
+        if (!ProjectPatch.same(project.contract, contract)) changes.push(ProjectPatch.set(['contract'], contract, project.contract));
+        // The installment total is the contract amount unless one was entered already
+        const total = Contracts.summary(contract, project).amount;
+        if (total && !project.contractAmount) changes.push(ProjectPatch.set(['contractAmount'], total, project.contractAmount));
+
+        this.modalContract.classList.remove('open');
+        if (changes.length === 0) return;
+        await this.commitChanges(changes);
+        this.openProjectDetail(project.id, this.activeWorkflowStepIndex);
+        this.showToast('บันทึกสัญญาแล้ว', 'success');
+    }
+
+    // Delivery and inspection (inspection step) or disbursement (disbursement
+    // step) of each installment, recorded in place
+    renderStepInstallments(step, stepIndex) {
+        const project = this.activeProject;
+        const contract = project.contract;
+        const role = Contracts.stepRole(project, stepIndex);
+        if (!role || !contract || contract.installments.length === 0) return;
+
+        const disabled = this.can('edit') ? '' : 'disabled';
+        const money = (n) => new Intl.NumberFormat('th-TH', { maximumFractionDigits: 2 }).format(n);
+        const panel = document.createElement('div');
+        panel.className = 'step-installments';
+        panel.innerHTML = `
+            <div class="step-installments-title">
+                <i class="fa-solid fa-file-contract"></i> ${role === 'inspection' ? 'การส่งมอบและตรวจรับงวดงาน' : 'การเบิกจ่ายงวดงาน'}
+            </div>
+            ${contract.installments.map(inst => {
+                const lateDays = Contracts.lateDays(inst);
+                const penaltyDays = Contracts.penaltyDays(contract, inst, project);
+                const penalty = Contracts.penalty(contract, inst, project);
+                const fields = role === 'inspection' ? `
+                    <label>ส่งมอบ ${this.dateInput('deliveredAt', inst.deliveredAt, disabled)}</label>
+                    <label>ตรวจรับ ${this.dateInput('inspectedAt', inst.inspectedAt, disabled)}</label>
+                    <label>เลขที่ <input type="text" data-field="inspectionDocument" value="${this.escapeHtml(inst.inspectionDocument || '')}" ${disabled}></label>
+                ` : `
+                    <label>เบิกจ่าย ${this.dateInput('disbursedAt', inst.disbursedAt, disabled)}</label>
+                    <label>เลขที่ <input type="text" data-field="disbursementDocument" value="${this.escapeHtml(inst.disbursementDocument || '')}" ${disabled}></label>
+                `;
+                return `
+                    <div class="step-installment" data-id="${inst.id}">
+                        <div class="step-installment-head">
+                            <strong>${this.escapeHtml(inst.title)}</strong>
+                            <span>${money(inst.amount)} บาท · กำหนดส่ง ${ThaiDate.format(inst.dueDate)}</span>
+                            ${lateDays ? `<span class="contract-warning">ล่าช้า ${lateDays} วัน${penaltyDays < lateDays ? ` (${lateDays - penaltyDays} วันปรับไปกับงวดก่อนแล้ว)` : ''}${penalty ? ` · ค่าปรับ ${money(penalty)} บาท${role === 'disbursement' ? ` · จ่ายสุทธิ ${money(inst.amount - penalty)} บาท` : ''}` : ''}</span>` : ''}
+                            ${role === 'disbursement' && !inst.inspectedAt ? '<span class="text-muted">ยังไม่ตรวจรับ</span>' : ''}
+                        </div>
+                        <div class="step-installment-fields">${fields}</div>
+                    </div>
+                `;
+            }).join('')}
+        `;
+
+        this.attachDatePickers(panel);
+        panel.querySelectorAll('.step-installment').forEach(row => {
+            row.querySelectorAll('[data-field]').forEach(input => {
+                input.addEventListener('change', () => {
+                    const value = input.classList.contains('date-input') ? this.readDateInput(input) : input.value.trim();
+                    this.updateInstallment(stepIndex, row.dataset.id, input.dataset.field, value);
+                });
             });
-        }
+        });
+        this.stepInfoContainer.appendChild(panel);
+    }
 
-        // Collapsible headers & sections
-        this.headerTimeline = document.getElementById('header-timeline');
-        this.headerPostits = document.getElementById('header-postits');
-        this.sectionTimeline = document.getElementById('section-timeline');
-        this.sectionPostits = document.getElementById('section-postits');
+    async updateInstallment(stepIndex, installmentId, field, value) {
+        const installment = this.activeProject.contract.installments.find(i => i.id === installmentId);
+        if (!installment || ProjectPatch.same(installment[field] || null, value || null)) return;
+        await this.commitChanges([
+            ProjectPatch.set(['contract', 'installments', { id: installmentId }, field], value || null, installment[field])
+        ]);
 
-        this.statTotal = document.getElementById('stat-total');
-        this.statProgress = document.getElementById('stat-progress');
-        this.statCompleted = document.getElementById('stat-completed');
-        this.statUrgent = document.getElementById('stat-urgent');
-        this.activityList = document.getElementById('activity-list');
+        // Offer to complete the step once every installment has been inspected / paid
+        const key = Contracts.stepRole(this.activeProject, stepIndex) === 'inspection' ? 'inspectedAt' : 'disbursedAt';
+        const step = this.activeProject.steps[stepIndex];
+        if (field === key && value && !step.completed && this.activeProject.contract.installments.every(i => i[key])) {
+            const done = key === 'inspectedAt' ? 'ตรวจรับครบทุกงวดแล้ว' : 'เบิกจ่ายครบทุกงวดแล้ว';
+            if (confirm(`${done} บันทึกขั้นตอนนี้ว่าเสร็จสิ้นหรือไม่?`)) {
+                this.openStepCompletionModal();
+                return;
+            }
+        }
+        this.loadWorkflowStep(stepIndex);
     }
 
-    initEventListeners() {
-        // Access Code Handlers
-        this.formAccessCode.addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.handleAccessCodeSubmit();
-        });
-
-        this.btnMigrate.addEventListener('click', () => {
-            this.handleMigration();
-        });
+    // --- Committees ---
+
+    renderStepCommittee(step, stepIndex) {
+        const type = Committees.typeFor(step);
+        if (!type) return;
+        const committee = step.committee;
+        const conflicts = Committees.conflicts(this.activeProject)
+            .filter(c => committee && c.types.includes(committee.type));
+
+        const panel = document.createElement('div');
+        panel.className = 'step-committee';
+        panel.innerHTML = `
+            <div class="step-committee-title">
+                <i class="fa-solid fa-people-group"></i> ${COMMITTEE_TYPES[type].label}
+                <button class="btn btn-text btn-sm requires-edit" data-committee="edit">
+                    <i class="fa-solid fa-pen"></i> ${committee ? 'แก้ไข' : 'บันทึกคำสั่งแต่งตั้ง'}
+                </button>
+            </div>
+            ${committee ? `
+                <div class="step-committee-order">คำสั่งที่ ${this.escapeHtml(committee.orderNumber || '-')} ลงวันที่ ${ThaiDate.format(committee.orderDate)}</div>
+                <ol class="step-committee-members">
+                    ${committee.members.map(m => `
+                        <li>${this.escapeHtml(m.name)}${m.position ? ` <span class="text-muted">${this.escapeHtml(m.position)}</span>` : ''}
+                            — ${COMMITTEE_ROLE_LABELS[m.role] || m.role}</li>
+                    `).join('')}
+                </ol>
+                ${conflicts.map(c => `<div class="contract-warning"><i class="fa-solid fa-triangle-exclamation"></i> ${this.escapeHtml(Committees.describeConflict(c))}</div>`).join('')}
+            ` : '<div class="text-muted">ยังไม่ได้บันทึกคณะกรรมการ</div>'}
+        `;
+        panel.querySelector('[data-committee="edit"]').addEventListener('click', () => this.openCommitteeModal(stepIndex));
+        this.stepInfoContainer.appendChild(panel);
+    }
 
-        this.navItems.forEach(item => {
-            item.addEventListener('click', (e) => {
-                e.preventDefault();
-                const viewTarget = item.dataset.view;
-                if (!viewTarget) return; // Ignore if no view target (like Settings)
+    openCommitteeModal(stepIndex) {
+        if (!this.activeProject || !this.requirePermission('edit')) return;
+        const step = this.activeProject.steps[stepIndex];
+        this.committeeStepIndex = stepIndex;
+        this.tempCommittee = JSON.parse(JSON.stringify(step.committee || Committees.empty(Committees.typeFor(step))));
+        if (this.tempCommittee.members.length === 0) {
+            // Appointment orders usually name a chair, a member and a secretary
+            this.tempCommittee.members = ['chair', 'member', 'secretary'].map(role => ({ name: '', position: '', role }));
+        }
 
-                this.loadView(viewTarget);
-                this.navItems.forEach(nav => nav.classList.remove('active'));
-                item.classList.add('active');
-            });
-        });
+        const field = (name) => this.committeeForm.querySelector(`[data-field="${name}"]`);
+        field('type').value = this.tempCommittee.type;
+        field('orderNumber').value = this.tempCommittee.orderNumber || '';
+        this.attachDatePickers(this.committeeForm);
+        this.setDateInput(field('orderDate'), this.tempCommittee.orderDate);
+        document.getElementById('btn-remove-committee').style.display = step.committee ? '' : 'none';
+        this.renderCommitteeMembers();
+        this.modalCommittee.classList.add('open');
+    }
 
-        this.btnCreateProject.addEventListener('click', () => {
-            this.modalCreate.classList.add('open');
-        });
+    renderCommitteeMembers() {
+        const roleOptions = (selected) => Object.entries(COMMITTEE_ROLE_LABELS)
+            .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+            .join('');
+        this.committeeMembers.innerHTML = this.tempCommittee.members.map((m, i) => `
+            <div class="committee-member-row" data-i="${i}">
+                <span class="committee-member-number">${i + 1}.</span>
+                <input type="text" data-member="name" value="${this.escapeHtml(m.name)}" placeholder="ชื่อ-นามสกุล">
+                <input type="text" data-member="position" value="${this.escapeHtml(m.position)}" placeholder="ตำแหน่ง">
+                <select data-member="role">${roleOptions(m.role)}</select>
+                <button type="button" class="btn-icon btn-remove-committee-member" title="ลบ" style="color: var(--danger);"><i class="fa-solid fa-trash"></i></button>
+            </div>
+        `).join('');
 
-        this.btnCloseModal.forEach(btn => {
+        this.committeeMembers.querySelectorAll('.btn-remove-committee-member').forEach(btn => {
             btn.addEventListener('click', () => {
-                const modal = btn.closest('.modal');
-                if (modal) modal.classList.remove('open');
+                this.tempCommittee = this.readCommittee();
+                this.tempCommittee.members.splice(parseInt(btn.closest('.committee-member-row').dataset.i), 1);
+                this.renderCommitteeMembers();
             });
         });
+        this.renderCommitteeConflicts();
+    }
 
-        const formatCurrency = (e) => {
-            const val = e.target.value.replace(/,/g, '');
-            if (!isNaN(val) && val !== '') {
-                e.target.value = new Intl.NumberFormat('th-TH', { maximumFractionDigits: 2 }).format(val);
-            }
-        };
-        const unformatCurrency = (e) => {
-            const val = e.target.value.replace(/,/g, '');
-            if (!isNaN(val) && val !== '') {
-                e.target.value = val;
-            }
+    readCommittee() {
+        const field = (name) => this.committeeForm.querySelector(`[data-field="${name}"]`);
+        return {
+            type: field('type').value,
+            orderNumber: field('orderNumber').value.trim(),
+            orderDate: this.readDateInput(field('orderDate')),
+            members: [...this.committeeMembers.querySelectorAll('.committee-member-row')].map(row => ({
+                name: row.querySelector('[data-member="name"]').value.trim(),
+                position: row.querySelector('[data-member="position"]').value.trim(),
+                role: row.querySelector('[data-member="role"]').value
+            }))
         };
+    }
 
-        const budgetInputs = ['inp-project-budget', 'inp-project-contract', 'edit-project-budget', 'edit-project-contract'];
-        budgetInputs.forEach(id => {
-            const el = document.getElementById(id);
-            if (el) {
-                el.addEventListener('blur', formatCurrency);
-                el.addEventListener('focus', unformatCurrency);
+    committeeConflicts(committee) {
+        return Committees.conflicts(this.activeProject, { [this.committeeStepIndex]: committee })
+            .filter(c => committee && c.types.includes(committee.type));
+    }
+
+    renderCommitteeConflicts() {
+        const conflicts = this.committeeConflicts(this.tempCommittee);
+        this.committeeConflicts.style.display = conflicts.length > 0 ? 'block' : 'none';
+        this.committeeConflicts.innerHTML = conflicts
+            .map(c => `<div><i class="fa-solid fa-triangle-exclamation"></i> ${this.escapeHtml(Committees.describeConflict(c))}</div>`)
+            .join('');
+    }
+
+    async saveCommittee(remove = false) {
+        if (!this.activeProject || !this.requirePermission('edit')) return;
+        const stepIndex = this.committeeStepIndex;
+        const step = this.activeProject.steps[stepIndex];
+        let committee = null;
+
+        if (remove) {
+            if (!confirm('ลบข้อมูลคณะกรรมการของขั้นตอนนี้?')) return;
+        } else {
+            committee = this.readCommittee();
+            committee.members = committee.members.filter(m => m.name);
+            if (committee.members.length === 0) {
+                alert('กรุณาระบุกรรมการอย่างน้อย 1 คน');
+                return;
             }
-        });
+            const conflicts = this.committeeConflicts(committee);
+            if (conflicts.length > 0 && !confirm(`${conflicts.map(c => Committees.describeConflict(c)).join('\n')}\n\nยืนยันบันทึกหรือไม่?`)) return;
+        }
 
-        this.formCreateProject.addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.handleCreateProject();
-        });
+        this.modalCommittee.classList.remove('open');
+        if (ProjectPatch.same(step.committee, committee)) return;
+        await this.commitChanges([ProjectPatch.set([...this._stepPath(stepIndex), 'committee'], committee, step.committee)]);
+        this.loadWorkflowStep(stepIndex);
+        this.showToast(remove ? 'ลบข้อมูลคณะกรรมการแล้ว' : 'บันทึกคณะกรรมการแล้ว', 'success');
+    }
 
-        const statCards = document.querySelectorAll('.stat-card');
-        if (statCards.length >= 4) {
-            statCards[0].style.cursor = 'pointer';
-            statCards[0].addEventListener('click', () => {
-                this.filterStatus.value = 'all';
-                this.loadView('projects');
-            });
-            statCards[1].style.cursor = 'pointer';
-            statCards[1].addEventListener('click', () => {
-                this.filterStatus.value = 'active';
-                this.loadView('projects');
-            });
-            statCards[2].style.cursor = 'pointer';
-            statCards[2].addEventListener('click', () => {
-                this.filterStatus.value = 'completed';
-                this.loadView('projects');
-            });
-            statCards[3].style.cursor = 'pointer';
-            statCards[3].addEventListener('click', () => {
-                this.filterStatus.value = 'urgent';
-                this.loadView('projects');
-            });
+    // --- Median Price Worksheet ---
+
+    renderStepPriceWorksheet(step, stepIndex) {
+        const project = this.activeProject;
+        if (PriceWorksheet.stepIndex(project) !== stepIndex) return;
+        const worksheet = step.priceWorksheet;
+        const money = (n) => new Intl.NumberFormat('th-TH', { maximumFractionDigits: 2 }).format(n);
+
+        const panel = document.createElement('div');
+        panel.className = 'step-price-worksheet';
+        panel.innerHTML = `
+            <div class="step-committee-title">
+                <span><i class="fa-solid fa-calculator"></i> ตารางคำนวณราคากลาง</span>
+                <button class="btn btn-text btn-sm" data-worksheet="edit">
+                    <i class="fa-solid fa-${this.can('edit') ? 'pen' : 'eye'}"></i> ${worksheet ? (this.can('edit') ? 'แก้ไข' : 'ดูตาราง') : 'จัดทำตาราง'}
+                </button>
+            </div>
+            ${worksheet ? `
+                <div>ราคากลาง <strong>${money(project.medianPrice || 0)}</strong> บาท
+                    <span class="text-muted">· ${worksheet.items.length} รายการ จาก ${worksheet.sources.length} แหล่งราคา (${PRICE_METHOD_LABELS[worksheet.method] || worksheet.method})</span></div>
+                ${PriceWorksheet.compare(project).map(n => `<div class="${n.warning ? 'contract-warning' : 'text-muted'}">${n.text}</div>`).join('')}
+            ` : '<div class="text-muted">ยังไม่ได้จัดทำตารางคำนวณราคากลาง</div>'}
+        `;
+        const edit = panel.querySelector('[data-worksheet="edit"]');
+        if (!worksheet && !this.can('edit')) edit.remove();
+        else edit.addEventListener('click', () => this.openPriceWorksheetModal(stepIndex));
+        this.stepInfoContainer.appendChild(panel);
+    }
+
+    openPriceWorksheetModal(stepIndex) {
+        if (!this.activeProject) return;
+        const step = this.activeProject.steps[stepIndex];
+        this.priceWorksheetStepIndex = stepIndex;
+        this.tempPriceWorksheet = JSON.parse(JSON.stringify(step.priceWorksheet || PriceWorksheet.empty()));
+        if (!step.priceWorksheet) {
+            // Median prices are usually drawn from at least three quotes
+            this.tempPriceWorksheet.sources = [1, 2, 3].map(n => ({ ...PriceWorksheet.source(n), name: `ผู้เสนอราคารายที่ ${n}` }));
+            this.tempPriceWorksheet.items = [PriceWorksheet.item(1)];
         }
 
-        this.searchInput.addEventListener('input', () => this.renderProjectsList());
-        this.filterStatus.addEventListener('change', () => this.renderProjectsList());
+        const editable = this.can('edit');
+        this.priceWorksheetForm.querySelector('[data-field="method"]').value = this.tempPriceWorksheet.method;
+        document.getElementById('btn-add-price-source').style.display = editable ? '' : 'none';
+        document.getElementById('btn-add-price-item').style.display = editable ? '' : 'none';
+        document.getElementById('btn-save-price-worksheet').style.display = editable ? '' : 'none';
+        document.getElementById('btn-remove-price-worksheet').style.display = editable && step.priceWorksheet ? '' : 'none';
+        this.renderPriceWorksheet();
+        this.modalPriceWorksheet.classList.add('open');
+    }
 
-        this.btnBack.addEventListener('click', () => {
-            this.loadView('projects');
-            this.activeProject = null;
-        });
+    renderPriceWorksheet() {
+        const ws = this.tempPriceWorksheet;
+        const disabled = this.can('edit') ? '' : 'disabled';
+        const typeOptions = (selected) => Object.entries(PRICE_SOURCE_LABELS)
+            .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+            .join('');
+        this.priceWorksheetForm.querySelector('[data-field="method"]').disabled = !this.can('edit');
+
+        this.priceWorksheetSources.innerHTML = ws.sources.map((source, i) => `
+            <div class="price-source-row" data-i="${i}">
+                <span class="committee-member-number">${i + 1}.</span>
+                <select data-source="type" ${disabled}>${typeOptions(source.type)}</select>
+                <input type="text" data-source="name" value="${this.escapeHtml(source.name)}" placeholder="ชื่อผู้เสนอราคา/แหล่งข้อมูล" ${disabled}>
+                <input type="text" data-source="reference" value="${this.escapeHtml(source.reference)}" placeholder="อ้างอิง (เลขที่/วันที่)" ${disabled}>
+                <button type="button" class="btn-icon btn-remove-price-source requires-edit" title="ลบ" style="color: var(--danger);"><i class="fa-solid fa-trash"></i></button>
+            </div>
+        `).join('');
+
+        this.priceWorksheetItems.innerHTML = `
+            <thead>
+                <tr>
+                    <th>#</th><th>รายการ</th><th>จำนวน</th><th>หน่วย</th>
+                    ${ws.sources.map((source, i) => `<th title="${this.escapeHtml(PRICE_SOURCE_LABELS[source.type] || '')}">${this.escapeHtml(source.name || `แหล่งที่ ${i + 1}`)}</th>`).join('')}
+                    <th>ราคาต่อหน่วย</th><th>รวม</th><th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${ws.items.map((item, i) => `
+                    <tr class="price-item-row" data-i="${i}">
+                        <td>${i + 1}</td>
+                        <td><input type="text" data-item="description" value="${this.escapeHtml(item.description)}" ${disabled}></td>
+                        <td><input type="number" data-item="quantity" min="0" step="any" value="${item.quantity || ''}" ${disabled}></td>
+                        <td><input type="text" data-item="unit" value="${this.escapeHtml(item.unit)}" ${disabled}></td>
+                        ${ws.sources.map(source => `<td><input type="number" data-price="${source.id}" min="0" step="0.01" value="${item.prices[source.id] || ''}" ${disabled}></td>`).join('')}
+                        <td class="price-item-unit"></td>
+                        <td class="price-item-total"></td>
+                        <td><button type="button" class="btn-icon btn-remove-price-item requires-edit" title="ลบ" style="color: var(--danger);"><i class="fa-solid fa-trash"></i></button></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
 
-        // Sidebar Toggle Logic
-        const sidebarToggle = document.getElementById('sidebar-toggle');
-        const sidebar = document.querySelector('.sidebar');
-        if (sidebarToggle && sidebar) {
-            sidebarToggle.addEventListener('click', () => {
-                sidebar.classList.toggle('collapsed');
+        this.priceWorksheetSources.querySelectorAll('.btn-remove-price-source').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.tempPriceWorksheet = this.readPriceWorksheet();
+                const [source] = this.tempPriceWorksheet.sources.splice(parseInt(btn.closest('.price-source-row').dataset.i), 1);
+                this.tempPriceWorksheet.items.forEach(item => delete item.prices[source.id]);
+                this.renderPriceWorksheet();
+            });
+        });
+        this.priceWorksheetItems.querySelectorAll('.btn-remove-price-item').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.tempPriceWorksheet = this.readPriceWorksheet();
+                this.tempPriceWorksheet.items.splice(parseInt(btn.closest('.price-item-row').dataset.i), 1);
+                this.renderPriceWorksheet();
             });
+        });
+        this.renderPriceWorksheetTotals();
+    }
 
-            // Auto-collapse on mobile initially
-            if (window.innerWidth <= 1024) {
-                sidebar.classList.add('collapsed');
-            }
-        }
+    readPriceWorksheet() {
+        const sources = [...this.priceWorksheetSources.querySelectorAll('.price-source-row')].map(row => ({
+            ...this.tempPriceWorksheet.sources[parseInt(row.dataset.i)],
+            type: row.querySelector('[data-source="type"]').value,
+            name: row.querySelector('[data-source="name"]').value.trim(),
+            reference: row.querySelector('[data-source="reference"]').value.trim()
+        }));
+        return {
+            method: this.priceWorksheetForm.querySelector('[data-field="method"]').value,
+            sources,
+            items: [...this.priceWorksheetItems.querySelectorAll('.price-item-row')].map(row => {
+                const prices = {};
+                row.querySelectorAll('[data-price]').forEach(input => {
+                    const price = parseFloat(input.value);
+                    if (price > 0) prices[input.dataset.price] = price;
+                });
+                return {
+                    ...this.tempPriceWorksheet.items[parseInt(row.dataset.i)],
+                    description: row.querySelector('[data-item="description"]').value.trim(),
+                    quantity: parseFloat(row.querySelector('[data-item="quantity"]').value) || 0,
+                    unit: row.querySelector('[data-item="unit"]').value.trim(),
+                    prices
+                };
+            })
+        };
+    }
 
-        this.btnDeleteProject.addEventListener('click', async () => {
-            if (confirm('คุณแน่ใจหรือไม่ที่จะลบโครงการนี้?')) {
-                await FirestoreManager.deleteProject(this.activeProject.id);
-                this.showToast('ลบโครงการเรียบร้อยแล้ว', 'success');
-                this.loadView('projects');
-            }
+    // Recomputes the unit price and total columns in place so typing in the
+    // table does not lose focus
+    renderPriceWorksheetTotals() {
+        const ws = this.readPriceWorksheet();
+        const money = (n) => new Intl.NumberFormat('th-TH', { maximumFractionDigits: 2 }).format(n);
+        this.priceWorksheetItems.querySelectorAll('.price-item-row').forEach((row, i) => {
+            const unitPrice = PriceWorksheet.unitPrice(ws, ws.items[i]);
+            row.querySelector('.price-item-unit').textContent = unitPrice === null ? '-' : money(unitPrice);
+            row.querySelector('.price-item-total').textContent = money(PriceWorksheet.itemTotal(ws, ws.items[i]));
         });
 
-        if (this.btnExportPdf) {
-            this.btnExportPdf.addEventListener('click', () => this.exportToPDF());
+        const project = this.activeProject;
+        const total = PriceWorksheet.total(ws);
+        const notes = PriceWorksheet.compare({ ...project, medianPrice: total });
+        this.priceWorksheetSummary.innerHTML = `
+            <div>ราคากลางรวม: <strong>${money(total)}</strong> บาท
+                <span class="text-muted">(งบประมาณ ${money(project.budget || 0)} บาท${project.contractAmount ? ` · วงเงินสัญญา ${money(project.contractAmount)} บาท` : ''})</span></div>
+            ${notes.map(n => `<div class="${n.warning ? 'contract-warning' : 'text-muted'}">${n.text}</div>`).join('')}
+        `;
+    }
+
+    async savePriceWorksheet(remove = false) {
+        if (!this.activeProject || !this.requirePermission('edit')) return;
+        const project = this.activeProject;
+        const stepIndex = this.priceWorksheetStepIndex;
+        const step = project.steps[stepIndex];
+        let worksheet = null;
+
+        if (remove) {
+            if (!confirm('ลบตารางคำนวณราคากลางของขั้นตอนนี้?')) return;
+        } else {
+            worksheet = this.readPriceWorksheet();
+            const errors = PriceWorksheet.validate(worksheet);
+            if (errors.length > 0) {
+                alert('กรุณาแก้ไขข้อมูลต่อไปนี้:\n' + errors.join('\n'));
+                return;
+            }
         }
 
-        if (this.btnEditProjectInfo) {
-            this.btnEditProjectInfo.addEventListener('click', () => {
-                if (!this.activeProject) return;
-                const p = this.activeProject;
-                this.editProjectId.value = p.id;
-                this.editProjectName.value = p.name;
-                this.editProjectDesc.value = p.description || '';
-                this.editProjectBudget.value = p.budget ? new Intl.NumberFormat('th-TH').format(p.budget) : '';
-                this.editProjectContract.value = p.contractAmount ? new Intl.NumberFormat('th-TH').format(p.contractAmount) : '';
-                this.editProjectPriority.value = p.priority || 'normal';
+        const medianPrice = worksheet ? PriceWorksheet.total(worksheet) : null;
+        const changes = [];
+        if (!ProjectPatch.same(step.priceWorksheet, worksheet)) {
+            changes.push(ProjectPatch.set([...this._stepPath(stepIndex), 'priceWorksheet'], worksheet, step.priceWorksheet));
+        }
+        if (medianPrice !== project.medianPrice) changes.push(ProjectPatch.set(['medianPrice'], medianPrice, project.medianPrice));
 
-                // Populate Purchase Type
-                if (document.getElementById('edit-project-type')) {
-                    document.getElementById('edit-project-type').value = p.purchaseType || 'buy';
-                }
+        this.modalPriceWorksheet.classList.remove('open');
+        if (changes.length === 0) return;
+        await this.commitChanges(changes);
+        this.openProjectDetail(project.id, stepIndex);
+        this.showToast(remove ? 'ลบตารางคำนวณราคากลางแล้ว' : 'บันทึกราคากลางแล้ว', 'success');
+    }
 
-                // Populate Procurement Method
-                if (this.editProjectMethod) {
-                    this.editProjectMethod.value = p.procurementMethod || 'e-bidding';
-                }
+    // --- Line Items ---
 
-                this.editProjectDeadline.value = p.deadline || '';
-                this.modalEditProject.classList.add('open');
-            });
+    renderProjectItems(project) {
+        const items = project.lineItems || [];
+        if (items.length === 0) {
+            this.projectItemsList.innerHTML = '<div class="empty-state-small">ยังไม่มีรายการพัสดุ</div>';
+            return;
         }
+        const money = (n) => new Intl.NumberFormat('th-TH', { maximumFractionDigits: 2 }).format(n);
+        const totals = LineItems.totals(items);
+        this.projectItemsList.innerHTML = `
+            <div class="price-worksheet-table-wrap">
+                <table class="price-worksheet-table project-items-table">
+                    <thead>
+                        <tr>
+                            <th>#</th><th>รายการ</th><th>จำนวน</th><th>หน่วย</th>
+                            <th>ราคาประมาณการ/หน่วย</th><th>รวมประมาณการ</th>
+                            <th>ราคาตามสัญญา/หน่วย</th><th>รวมตามสัญญา</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${items.map((item, i) => `
+                            <tr>
+                                <td>${i + 1}</td>
+                                <td class="project-item-description">${this.escapeHtml(item.description)}
+                                    ${item.specification ? `<div class="text-muted">${this.escapeHtml(item.specification)}</div>` : ''}</td>
+                                <td class="price-item-total">${money(item.quantity)}</td>
+                                <td>${this.escapeHtml(item.unit)}</td>
+                                <td class="price-item-total">${money(item.estimatedUnitPrice)}</td>
+                                <td class="price-item-total">${money(item.quantity * item.estimatedUnitPrice)}</td>
+                                <td class="price-item-total">${item.contractUnitPrice ? money(item.contractUnitPrice) : '-'}</td>
+                                <td class="price-item-total">${item.contractUnitPrice ? money(item.quantity * item.contractUnitPrice) : '-'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th colspan="5" class="price-item-total">รวม ${totals.count} รายการ</th>
+                            <th class="price-item-total">${money(totals.estimated)}</th>
+                            <th></th>
+                            <th class="price-item-total">${totals.contracted ? money(totals.contracted) : '-'}</th>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+            ${LineItems.reconcile(project).map(n => `<div class="contract-warning"><i class="fa-solid fa-triangle-exclamation"></i> ${n.text}</div>`).join('')}
+        `;
+    }
 
-        if (this.formEditProject) {
-            this.formEditProject.addEventListener('submit', async (e) => {
-                e.preventDefault();
-                if (!this.activeProject) return;
+    openProjectItemsModal() {
+        if (!this.activeProject || !this.requirePermission('edit')) return;
+        this.tempProjectItems = JSON.parse(JSON.stringify(this.activeProject.lineItems || []));
+        this.projectItemsPaste.value = '';
+        this.renderProjectItemsTable();
+        this.modalProjectItems.classList.add('open');
+    }
 
-                const updatedData = {
-                    ...this.activeProject,
-                    name: this.editProjectName.value.trim(),
-                    description: this.editProjectDesc.value.trim(),
-                    budget: parseFloat(this.editProjectBudget.value.replace(/,/g, '')) || 0,
-                    contractAmount: parseFloat(this.editProjectContract.value.replace(/,/g, '')) || 0,
-                    priority: this.editProjectPriority.value,
-                    purchaseType: document.getElementById('edit-project-type').value,
-                    procurementMethod: this.editProjectMethod.value,
-                    deadline: this.editProjectDeadline.value
-                };
+    renderProjectItemsTable() {
+        const items = this.tempProjectItems;
+        this.projectItemsTable.innerHTML = `
+            <thead>
+                <tr>
+                    <th>#</th><th>รายการ</th><th>คุณลักษณะ</th><th>จำนวน</th><th>หน่วย</th>
+                    <th>ประมาณการ/หน่วย</th><th>สัญญา/หน่วย</th><th>รวมประมาณการ</th><th>รวมตามสัญญา</th><th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${items.length === 0 ? '<tr><td colspan="10" class="text-muted">ยังไม่มีรายการ เพิ่มทีละรายการหรือนำเข้าจากไฟล์ CSV</td></tr>' : ''}
+                ${items.map((item, i) => `
+                    <tr class="project-item-row" data-i="${i}">
+                        <td>${i + 1}</td>
+                        <td><input type="text" data-item="description" value="${this.escapeHtml(item.description)}"></td>
+                        <td><input type="text" data-item="specification" value="${this.escapeHtml(item.specification)}"></td>
+                        <td><input type="number" data-item="quantity" min="0" step="any" value="${item.quantity || ''}"></td>
+                        <td><input type="text" data-item="unit" value="${this.escapeHtml(item.unit)}"></td>
+                        <td><input type="number" data-item="estimatedUnitPrice" min="0" step="0.01" value="${item.estimatedUnitPrice || ''}"></td>
+                        <td><input type="number" data-item="contractUnitPrice" min="0" step="0.01" value="${item.contractUnitPrice || ''}"></td>
+                        <td class="price-item-total" data-total="estimated"></td>
+                        <td class="price-item-total" data-total="contracted"></td>
+                        <td><button type="button" class="btn-icon btn-remove-project-item" title="ลบ" style="color: var(--danger);"><i class="fa-solid fa-trash"></i></button></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
 
-                await FirestoreManager.updateProject(updatedData);
-                this.activeProject = updatedData;
-                this.modalEditProject.classList.remove('open');
-                this.openProjectDetail(updatedData.id); // Refresh detail view
-                this.showToast('แก้ไขข้อมูลโครงการเรียบร้อยแล้ว', 'success');
+        this.projectItemsTable.querySelectorAll('.btn-remove-project-item').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.tempProjectItems = this.readProjectItems();
+                this.tempProjectItems.splice(parseInt(btn.closest('.project-item-row').dataset.i), 1);
+                this.renderProjectItemsTable();
             });
-        }
+        });
+        this.renderProjectItemsSummary();
+    }
 
-        this.btnAddChecklist.addEventListener('click', () => this.addChecklistItem());
-        this.inpChecklist.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') this.addChecklistItem();
+    readProjectItems() {
+        return [...this.projectItemsTable.querySelectorAll('.project-item-row')].map(row => {
+            const value = (name) => row.querySelector(`[data-item="${name}"]`).value.trim();
+            return {
+                ...this.tempProjectItems[parseInt(row.dataset.i)],
+                description: value('description'),
+                specification: value('specification'),
+                quantity: parseFloat(value('quantity')) || 0,
+                unit: value('unit'),
+                estimatedUnitPrice: parseFloat(value('estimatedUnitPrice')) || 0,
+                contractUnitPrice: parseFloat(value('contractUnitPrice')) || 0
+            };
         });
+    }
 
-        this.btnAddTimeline.addEventListener('click', () => this.addTimelineEntry());
-        this.inpTimeline.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter' && !e.shiftKey) {
-                e.preventDefault();
-                this.addTimelineEntry();
-            }
+    // Recomputes the line and overall totals in place so typing in the table
+    // does not lose focus
+    renderProjectItemsSummary() {
+        const items = this.readProjectItems();
+        const money = (n) => new Intl.NumberFormat('th-TH', { maximumFractionDigits: 2 }).format(n);
+        this.projectItemsTable.querySelectorAll('.project-item-row').forEach((row, i) => {
+            const item = items[i];
+            row.querySelector('[data-total="estimated"]').textContent = money(item.quantity * item.estimatedUnitPrice);
+            row.querySelector('[data-total="contracted"]').textContent = item.contractUnitPrice ? money(item.quantity * item.contractUnitPrice) : '-';
         });
 
-        // Attachment Buttons Logic
-        if (this.btnAttachTimeline && this.inpTimelineFile) {
-            this.btnAttachTimeline.addEventListener('click', () => this.inpTimelineFile.click());
-            this.inpTimelineFile.addEventListener('change', () => {
-                if (this.inpTimelineFile.files[0]) {
-                    this.timelineFileName.textContent = this.inpTimelineFile.files[0].name;
-                    this.btnAttachTimeline.classList.remove('btn-outline');
-                    this.btnAttachTimeline.classList.add('btn-primary');
-                } else {
-                    this.timelineFileName.textContent = '';
-                    this.btnAttachTimeline.classList.add('btn-outline');
-                    this.btnAttachTimeline.classList.remove('btn-primary');
-                }
-            });
+        const project = this.activeProject;
+        const totals = LineItems.totals(items);
+        this.projectItemsSummary.innerHTML = `
+            <div>รวม ${totals.count} รายการ · ประมาณการ <strong>${money(totals.estimated)}</strong> บาท
+                (งบประมาณ ${money(project.budget || 0)} บาท)</div>
+            <div>ตามสัญญา <strong>${money(totals.contracted)}</strong> บาท
+                (วงเงินสัญญา ${money(project.contractAmount || 0)} บาท)</div>
+            ${LineItems.reconcile(project, items).map(n => `<div class="contract-warning">${n.text}</div>`).join('')}
+        `;
+    }
+
+    async importProjectItems(text) {
+        const { items, errors } = LineItems.parse(text);
+        if (items.length === 0) {
+            this.showToast(errors.length > 0 ? errors[0] : 'ไม่พบรายการที่นำเข้าได้', 'warning');
+            return;
         }
+        if (errors.length > 0 && !confirm(`ข้ามแถวที่มีข้อผิดพลาด ${errors.length} แถว:\n${errors.join('\n')}\n\nนำเข้า ${items.length} รายการที่เหลือหรือไม่?`)) return;
+
+        const current = this.readProjectItems();
+        this.tempProjectItems = document.getElementById('project-items-import-mode').value === 'replace'
+            ? items
+            : [...current, ...items];
+        this.projectItemsPaste.value = '';
+        this.renderProjectItemsTable();
+        this.showToast(`นำเข้า ${items.length} รายการ (กดบันทึกเพื่อใช้งาน)`, 'success');
+    }
 
-        if (this.btnAttachPostit && this.inpPostitFile) {
-            this.btnAttachPostit.addEventListener('click', () => this.inpPostitFile.click());
-            this.inpPostitFile.addEventListener('change', () => {
-                if (this.inpPostitFile.files[0]) {
-                    this.postitFileName.textContent = this.inpPostitFile.files[0].name;
-                    this.btnAttachPostit.classList.remove('btn-outline');
-                    this.btnAttachPostit.classList.add('btn-primary');
-                } else {
-                    this.postitFileName.textContent = '';
-                    this.btnAttachPostit.classList.add('btn-outline');
-                    this.btnAttachPostit.classList.remove('btn-primary');
-                }
-            });
+    async importProjectItemsFile() {
+        const file = this.projectItemsFile.files[0];
+        this.projectItemsFile.value = '';
+        if (!file) return;
+
+        try {
+            await this.importProjectItems(LineItems.decode(await file.arrayBuffer()));
+        } catch (error) {
+            console.error(error);
+            this.showToast('อ่านไฟล์ CSV ไม่สำเร็จ: ' + error.message, 'error');
         }
+    }
 
-        this.btnAddPostit.addEventListener('click', () => this.addPostit());
-        this.inpPostit.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter' && !e.shiftKey) {
-                e.preventDefault();
-                this.addPostit();
-            }
-        });
+    async saveProjectItems() {
+        if (!this.activeProject || !this.requirePermission('edit')) return;
+        const items = this.readProjectItems();
+        const errors = LineItems.validate(items);
+        if (errors.length > 0) {
+            alert('กรุณาแก้ไขข้อมูลต่อไปนี้:\n' + errors.join('\n'));
+            return;
+        }
 
+        const project = this.activeProject;
+        const changes = [];
+        if (!ProjectPatch.same(project.lineItems, items)) changes.push(ProjectPatch.set(['lineItems'], items, project.lineItems));
+        // Item totals fill in a budget or contract amount that was not entered yet
+        const totals = LineItems.totals(items);
+        if (totals.estimated && !project.budget) changes.push(ProjectPatch.set(['budget'], totals.estimated, project.budget));
+        if (totals.contracted && !project.contractAmount) changes.push(ProjectPatch.set(['contractAmount'], totals.contracted, project.contractAmount));
+
+        this.modalProjectItems.classList.remove('open');
+        if (changes.length === 0) return;
+        await this.commitChanges(changes);
+        this.openProjectDetail(project.id, this.activeWorkflowStepIndex);
+        this.showToast('บันทึกรายการพัสดุแล้ว', 'success');
+    }
 
+    // --- Assignees ---
 
-        // Collapsible Sections
-        if (this.headerTimeline) {
-            this.headerTimeline.addEventListener('click', () => {
-                this.sectionTimeline.classList.toggle('active');
-            });
-        }
-        if (this.headerPostits) {
-            this.headerPostits.addEventListener('click', () => {
-                this.sectionPostits.classList.toggle('active');
-            });
+    // <option>s for picking an assignee among the workspace members. Someone
+    // no longer a member stays selectable while they are still assigned.
+    assigneeOptions(current = null, people = Membership.assignees(this.workspace), emptyLabel = 'ไม่ระบุผู้รับผิดชอบ') {
+        if (current && !people.some(a => a.uid === current.uid)) {
+            people.push({ ...current, name: `${current.name} (ไม่ได้เป็นสมาชิกแล้ว)` });
         }
+        return `<option value="">${emptyLabel}</option>` + people.map(a => `
+            <option value="${a.uid}" ${current && current.uid === a.uid ? 'selected' : ''}>${this.escapeHtml(a.name)}</option>
+        `).join('');
+    }
 
-        // --- Document Number Search ---
-        const inpDocSearch = document.getElementById('inp-doc-search');
-        const docSearchResults = document.getElementById('doc-search-results');
-        let searchTimeout = null;
+    assigneeFromValue(uid, current = null) {
+        if (!uid) return null;
+        if (current && current.uid === uid) return current;
+        return Membership.assignee(this.workspace, uid);
+    }
 
-        inpDocSearch.addEventListener('input', () => {
-            clearTimeout(searchTimeout);
-            searchTimeout = setTimeout(() => this.searchDocumentNumber(inpDocSearch.value.trim()), 300);
-        });
+    assigneeBadge(assignee) {
+        const isMe = Auth.currentUser && assignee.uid === Auth.currentUser.uid;
+        return `<span class="assignee-badge ${isMe ? 'assignee-me' : ''}" title="ผู้รับผิดชอบ"><i class="fa-solid fa-user"></i> ${this.escapeHtml(assignee.name)}</span>`;
+    }
 
-        // Close results when clicking outside
-        document.addEventListener('click', (e) => {
-            if (!e.target.closest('.doc-search-box')) {
-                docSearchResults.style.display = 'none';
+    // Open work assigned to the signed-in user in every project, and steps
+    // waiting for their approval, soonest deadline first
+    async renderMyWork() {
+        const uid = Auth.currentUser.uid;
+        const projects = (await DataStore.getProjects()).filter(p => !Project.isTrashed(p) && p.status !== 'completed');
+        const isMine = (assignee) => !!assignee && assignee.uid === uid;
+
+        const work = [];
+        projects.forEach(p => {
+            if (isMine(p.assignee)) {
+                work.push({ kind: 'โครงการ', icon: 'fa-solid fa-folder', project: p, stepIndex: null, title: p.name, deadline: p.deadline });
             }
+            p.steps.forEach((step, i) => {
+                if (StepApproval.canDecide(this.workspace, StepApproval.pending(step), uid)) {
+                    work.push({ kind: 'รออนุมัติ', icon: 'fa-solid fa-stamp', project: p, stepIndex: i, title: `${i + 1}. ${step.title}`, deadline: step.dueDate || p.deadline });
+                }
+                if (isMine(step.assignee) && !step.completed) {
+                    work.push({ kind: 'ขั้นตอน', icon: 'fa-solid fa-list-ol', project: p, stepIndex: i, title: `${i + 1}. ${step.title}`, deadline: step.dueDate || p.deadline });
+                }
+                step.checklist.forEach(item => {
+                    if (isMine(item.assignee) && !item.checked) {
+                        work.push({ kind: 'รายการตรวจสอบ', icon: 'fa-solid fa-square-check', project: p, stepIndex: i, title: item.text, deadline: item.deadline || step.dueDate || p.deadline });
+                    }
+                });
+            });
         });
 
-        // Re-show results on focus if there's a query
-        inpDocSearch.addEventListener('focus', () => {
-            if (inpDocSearch.value.trim() && docSearchResults.children.length > 0) {
-                docSearchResults.style.display = 'block';
-            }
-        });
+        if (work.length === 0) {
+            this.myWorkList.innerHTML = '<div class="empty-state-small">ไม่มีงานค้างที่มอบหมายให้คุณ</div>';
+            return;
+        }
 
-        inpDocSearch.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-                // Perform search immediately
-                clearTimeout(searchTimeout);
-                this.searchDocumentNumber(inpDocSearch.value.trim()).then(() => {
-                    // If exactly one result or we want to pick the first one automatically?
-                    // Let's just focus the first result if available or click it if it's the only one
-                    const firstItem = docSearchResults.querySelector('.doc-search-item');
-                    if (firstItem) {
-                        firstItem.click();
-                    }
-                });
-            }
+        // No deadline sorts last
+        const time = (w) => w.deadline ? new Date(w.deadline).getTime() : Infinity;
+        work.sort((a, b) => time(a) - time(b));
+
+        const now = new Date();
+        this.myWorkList.innerHTML = work.map((w, i) => {
+            const overdue = w.deadline && new Date(w.deadline) < now;
+            return `
+                <div class="my-work-item ${overdue ? 'my-work-overdue' : ''}" data-i="${i}">
+                    <i class="${w.icon} my-work-icon"></i>
+                    <div class="my-work-info">
+                        <div class="my-work-title">${this.escapeHtml(w.title)}</div>
+                        <div class="my-work-meta">
+                            ${w.kind}${w.kind === 'รายการตรวจสอบ' ? ` · ${this.escapeHtml(w.project.steps[w.stepIndex].title)}` : ''}
+                            ${w.kind !== 'โครงการ' ? ` · ${this.escapeHtml(w.project.name)}` : ''}
+                        </div>
+                    </div>
+                    <div class="my-work-deadline">
+                        ${w.deadline ? `<i class="fa-solid fa-flag-checkered"></i> ${ThaiDate.format(w.deadline)}` : 'ไม่มีกำหนด'}
+                        ${overdue ? '<div class="my-work-overdue-label">เลยกำหนด</div>' : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        this.myWorkList.querySelectorAll('.my-work-item').forEach(el => {
+            const w = work[parseInt(el.dataset.i)];
+            el.addEventListener('click', () => this.openProjectDetail(w.project.id, w.stepIndex));
         });
     }
 
-    async initAccessCodeSystem() {
-        const code = FirestoreManager.accessCode;
+    // --- Share Links ---
 
-        const oldData = localStorage.getItem('protracker_projects');
-        if (oldData && JSON.parse(oldData).length > 0) {
-            this.migrationOption.style.display = 'block';
+    // Refresh the copies that readers of `project`'s links see. A failure
+    // here must not fail the edit itself.
+    publishShares(project) {
+        if (!project || ShareLinks.active(project).length === 0) return;
+        ShareLinks.publish(DataStore, project).catch(error => console.error("Error publishing share links:", error));
+    }
+
+    openShareModal() {
+        if (!this.activeProject || !this.requirePermission('share')) return;
+        this.chkShareNotes.checked = false;
+        this.inpShareExpiry.value = '30';
+        this.renderShareLinks();
+        this.modalShare.classList.add('open');
+    }
+
+    renderShareLinks() {
+        const links = [...(this.activeProject.shares || [])].reverse();
+        if (links.length === 0) {
+            this.shareLinksList.innerHTML = '<div class="empty-state-small">ยังไม่มีลิงก์แชร์</div>';
+            return;
         }
 
-        if (code) {
-            this.modalAccessCode.classList.remove('open');
-            onSnapshot(doc(db, 'workspaces', code), (docSnap) => {
-                if (docSnap.exists()) {
-                    const data = docSnap.data();
+        const formatDate = (iso) => ThaiDate.format(iso, true);
+        this.shareLinksList.innerHTML = links.map(link => {
+            let state = 'ใช้งานได้';
+            let stateClass = 'share-active';
+            if (link.revokedAt) {
+                state = `ยกเลิกแล้วเมื่อ ${formatDate(link.revokedAt)}`;
+                stateClass = 'share-revoked';
+            } else if (ShareLinks.isExpired(link)) {
+                state = 'หมดอายุแล้ว';
+                stateClass = 'share-expired';
+            }
+            return `
+                <div class="share-link-item ${stateClass}">
+                    <div class="share-link-info">
+                        <div class="share-link-url">${this.escapeHtml(ShareLinks.url(link.token))}</div>
+                        <div class="share-link-meta">
+                            <strong>${state}</strong> · ${link.includeNotes ? 'รวมบันทึก' : 'ไม่รวมบันทึก'} ·
+                            ${link.expiresAt ? `หมดอายุ ${formatDate(link.expiresAt)}` : 'ไม่มีวันหมดอายุ'}
+                        </div>
+                        <div class="share-link-meta">สร้างโดย ${this.escapeHtml(link.createdBy || '-')} เมื่อ ${formatDate(link.createdAt)}</div>
+                    </div>
+                    ${ShareLinks.isActive(link) ? `
+                        <button class="btn btn-outline btn-sm" data-copy="${link.token}"><i class="fa-solid fa-copy"></i> คัดลอก</button>
+                        <button class="btn btn-danger btn-sm" data-revoke="${link.token}"><i class="fa-solid fa-ban"></i> ยกเลิก</button>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
 
-                    // Load custom steps template if exists
-                    if (data.customSteps) {
-                        this.stepsTemplate = data.customSteps;
-                    }
+        this.shareLinksList.querySelectorAll('[data-copy]').forEach(btn => {
+            btn.addEventListener('click', () => this.copyShareLink(btn.dataset.copy));
+        });
+        this.shareLinksList.querySelectorAll('[data-revoke]').forEach(btn => {
+            btn.addEventListener('click', () => this.revokeShareLink(btn.dataset.revoke));
+        });
+    }
 
-                    if (this.currentView === 'dashboard') this.renderDashboard();
-                    if (this.currentView === 'projects') this.renderProjectsList();
-                    if (this.currentView === 'detail' && this.activeProject) {
-                        const projects = data.projects || [];
-                        const updatedProject = projects.find(p => p.id === this.activeProject.id);
-                        if (updatedProject) {
-                            this.activeProject = updatedProject;
-                            // Pass the currently viewed step index to prevent jumping back to step 1
-                            this.openProjectDetail(this.activeProject.id, this.activeWorkflowStepIndex);
-                        }
-                    }
-                }
-            });
-            this.loadView('dashboard');
-        } else {
-            this.modalAccessCode.classList.add('open');
+    async copyShareLink(token) {
+        const url = ShareLinks.url(token);
+        try {
+            await navigator.clipboard.writeText(url);
+            this.showToast('คัดลอกลิงก์แล้ว', 'success');
+        } catch (error) {
+            // Clipboard access can be refused (e.g. not https)
+            prompt('คัดลอกลิงก์นี้:', url);
         }
     }
 
-    async handleAccessCodeSubmit() {
-        const code = this.inpAccessCode.value.trim();
-        if (!code) return;
+    async createShareLink() {
+        if (!this.activeProject || !this.requirePermission('share')) return;
+        if (DataStore.isRemote && !SyncQueue.isOnline) {
+            this.showToast('ต้องเชื่อมต่ออินเทอร์เน็ตเพื่อสร้างลิงก์แชร์', 'warning');
+            return;
+        }
 
-        FirestoreManager.setAccessCode(code);
+        const days = parseInt(this.inpShareExpiry.value);
+        const includeNotes = this.chkShareNotes.checked;
+        const expiresAt = days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null;
+        const link = {
+            token: ShareLinks.newToken(),
+            // What the history shows for this link (never the token)
+            name: `ลิงก์อ่านอย่างเดียว${includeNotes ? ' รวมบันทึก' : ''}${expiresAt ? ` ถึง ${ThaiDate.format(expiresAt)}` : ''}`,
+            includeNotes,
+            createdAt: new Date().toISOString(),
+            createdBy: AuditLog.actor,
+            expiresAt,
+            revokedAt: null
+        };
 
         try {
-            const exists = await FirestoreManager.checkWorkspace(code);
-            if (!exists) {
-                alert(`สร้าง Workspace ใหม่สำหรับรหัส "${code}" เรียบร้อยแล้ว`);
-                await FirestoreManager.saveWorkspace({ projects: [] });
-            } else {
-                this.showToast(`เข้าสู่ระบบด้วยรหัส "${code}" เรียบร้อย`, 'success');
-            }
-            this.initAccessCodeSystem();
-        } catch (e) {
-            console.error(e);
-            alert("เกิดข้อผิดพลาดในการเชื่อมต่อ Firebase: " + e.message);
+            // Publish first, so the link works as soon as it is handed out
+            await DataStore.saveShare(ShareLinks.record(this.activeProject, link, DataStore.accessCode));
+        } catch (error) {
+            console.error("Error creating share link:", error);
+            this.showToast('สร้างลิงก์ไม่สำเร็จ: ' + error.message, 'error');
+            return;
         }
+        await this.commitChanges([ProjectPatch.push(['shares'], link)], { undoable: false, summary: 'สร้างลิงก์แชร์' });
+        this.renderShareLinks();
+        this.copyShareLink(link.token);
     }
 
-    async handleMigration() {
-        const code = this.inpAccessCode.value.trim();
-        if (!code) {
-            alert("กรุณากรอกรหัส Access Code ก่อนกดปุ่มย้ายข้อมูล");
+    async revokeShareLink(token) {
+        if (!this.requirePermission('share')) return;
+        if (!confirm('ยกเลิกลิงก์นี้? ผู้ที่ได้รับลิงก์จะเปิดดูไม่ได้อีก')) return;
+
+        // Marked on the project first: from then on no publish writes the link again
+        const link = this.activeProject.shares.find(l => l.token === token);
+        const saved = await this.commitChanges([ProjectPatch.set(['shares', { token }, 'revokedAt'], new Date().toISOString(), link.revokedAt)], {
+            undoable: false,
+            summary: 'ยกเลิกลิงก์แชร์'
+        });
+        if (!saved) return;
+        try {
+            await DataStore.revokeShare(token);
+        } catch (error) {
+            console.error("Error revoking share link:", error);
+            this.showToast('ยกเลิกลิงก์ไม่สำเร็จ: ' + error.message, 'error');
             return;
         }
+        this.renderShareLinks();
+        this.showToast('ยกเลิกลิงก์แล้ว', 'success');
+    }
 
-        if (!confirm(`ยืนยันการย้ายข้อมูลไปยังรหัส "${code}"? ข้อมูลเก่าในเครื่องจะถูกลบหลังจากย้ายสำเร็จ`)) return;
+    // --- Trash ---
 
+    async trashProject(project) {
+        if (!this.requirePermission('delete')) return;
         try {
-            const oldData = localStorage.getItem('protracker_projects');
-            const projects = JSON.parse(oldData);
+            await this.saveChanges(project, [
+                ProjectPatch.set(['deletedAt'], new Date().toISOString(), null),
+                ProjectPatch.set(['deletedBy'], AuditLog.actor, null)
+            ], AuditLog.meta('ย้ายโครงการไปถังขยะ'));
+        } catch (error) {
+            console.error("Error trashing project:", error);
+            this.showToast('ลบไม่สำเร็จ: ' + error.message, 'error');
+        }
+    }
 
-            FirestoreManager.setAccessCode(code);
-            await FirestoreManager.saveWorkspace({ projects });
+    async restoreProject(project) {
+        if (!this.requirePermission('delete')) return;
+        try {
+            await this.saveChanges(project, [
+                ProjectPatch.remove(['deletedAt']),
+                ProjectPatch.remove(['deletedBy'])
+            ], AuditLog.meta('กู้คืนโครงการจากถังขยะ'));
+            this.showToast(`กู้คืนโครงการ "${this.escapeHtml(project.name)}" แล้ว`, 'success');
+        } catch (error) {
+            console.error("Error restoring project:", error);
+            this.showToast('กู้คืนไม่สำเร็จ: ' + error.message, 'error');
+        }
+    }
 
-            localStorage.removeItem('protracker_projects');
-            this.migrationOption.style.display = 'none';
+    async restoreTrashEntry(project, entry) {
+        if (!this.requirePermission('delete')) return;
+        const changes = Trash.restoreChanges(project, entry);
+        if (!changes) {
+            alert(`ไม่สามารถกู้คืน "${entry.name}" ได้ เพราะตำแหน่งเดิม (${entry.location}) ถูกลบไปแล้ว`);
+            return;
+        }
+        try {
+            await this.saveChanges(project, changes, AuditLog.meta(`กู้คืน "${entry.name}" จากถังขยะ`));
+            this.showToast(`กู้คืน "${this.escapeHtml(entry.name)}" แล้ว`, 'success');
+        } catch (error) {
+            console.error("Error restoring trash entry:", error);
+            this.showToast('กู้คืนไม่สำเร็จ: ' + error.message, 'error');
+        }
+    }
 
-            alert("ย้ายข้อมูลสำเร็จ!");
-            this.initAccessCodeSystem();
+    // Permanent deletes: the files in storage go first, so nothing is left
+    // pointing at a missing file
+    async deleteProjectForever(project) {
+        await Promise.all(WorkspaceArchive.attachments(project).map(file => FileStore.delete(file)));
+        await Promise.all(ShareLinks.active(project).map(link => DataStore.revokeShare(link.token)));
+        await this.runOrQueue({ kind: 'delete', projectId: project.id }, () => DataStore.deleteProject(project.id), project);
+    }
 
-        } catch (e) {
-            console.error(e);
-            alert("เกิดข้อผิดพลาดในการย้ายข้อมูล: " + e.message);
+    async deleteTrashEntriesForever(project, entries, summary) {
+        await Promise.all(entries.flatMap(e => Trash.files(e)).map(file => FileStore.delete(file)));
+        await this.saveChanges(project, entries.map(e => ProjectPatch.remove(['trash', { id: e.id }])), AuditLog.meta(summary));
+    }
+
+    // Remove everything that has been in the trash longer than the
+    // workspace's retention period
+    async purgeExpiredTrash() {
+        try {
+            const workspace = await DataStore.getWorkspaceData();
+            if (!workspace) return;
+            const days = workspace.trashRetentionDays || TRASH_RETENTION_DAYS;
+
+            for (const project of workspace.projects) {
+                if (Project.isTrashed(project)) {
+                    if (Trash.isExpired(project.deletedAt, days)) await this.deleteProjectForever(project);
+                    continue;
+                }
+                const expired = project.trash.filter(e => Trash.isExpired(e.deletedAt, days));
+                if (expired.length > 0) {
+                    await this.deleteTrashEntriesForever(project, expired, `ลบถาวรรายการในถังขยะที่เก็บไว้เกิน ${days} วัน`);
+                }
+            }
+        } catch (error) {
+            console.error("Error purging trash:", error);
+        }
+    }
+
+    async renderTrash() {
+        const projects = await DataStore.getProjects();
+        const days = this.trashRetentionDays;
+        this.inpTrashRetention.value = days;
+        this.inpTrashRetention.disabled = !this.can('settings');
+
+        const rows = [];
+        projects.forEach(project => {
+            if (Project.isTrashed(project)) {
+                // Its notes and attachments go (and come back) with it
+                rows.push({ project, kind: 'project', name: project.name, location: '', deletedAt: project.deletedAt, deletedBy: project.deletedBy });
+            } else {
+                project.trash.forEach(entry => rows.push({
+                    project, entry, kind: entry.kind, name: entry.name,
+                    location: `${project.name} › ${entry.location}`,
+                    deletedAt: entry.deletedAt, deletedBy: entry.deletedBy
+                }));
+            }
+        });
+        rows.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+
+        if (rows.length === 0) {
+            this.trashList.innerHTML = '<div class="empty-state-small">ถังขยะว่างเปล่า</div>';
+            return;
         }
+
+        const kinds = {
+            project: { icon: 'fa-solid fa-folder', label: 'โครงการ' },
+            note: { icon: 'fa-solid fa-note-sticky', label: 'บันทึก' },
+            attachment: { icon: 'fa-solid fa-paperclip', label: 'ไฟล์แนบ' }
+        };
+        this.trashList.innerHTML = rows.map((row, i) => `
+            <div class="trash-item">
+                <i class="${kinds[row.kind].icon} trash-item-icon"></i>
+                <div class="trash-item-info">
+                    <div class="trash-item-name">${this.escapeHtml(row.name) || '-'}</div>
+                    <div class="trash-item-meta">
+                        ${kinds[row.kind].label}${row.location ? ` · ${this.escapeHtml(row.location)}` : ''}
+                    </div>
+                    <div class="trash-item-meta">
+                        ลบเมื่อ ${ThaiDate.format(row.deletedAt, true)}
+                        โดย ${this.escapeHtml(row.deletedBy || '-')}
+                        · ลบถาวรในอีก ${Trash.daysLeft(row.deletedAt, days)} วัน
+                    </div>
+                </div>
+                <div class="trash-item-actions requires-edit">
+                    <button class="btn btn-outline btn-sm" data-restore="${i}"><i class="fa-solid fa-rotate-left"></i> กู้คืน</button>
+                    <button class="btn btn-danger btn-sm" data-purge="${i}"><i class="fa-solid fa-trash"></i> ลบถาวร</button>
+                </div>
+            </div>
+        `).join('');
+
+        this.trashList.querySelectorAll('[data-restore]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const row = rows[parseInt(btn.dataset.restore)];
+                if (row.kind === 'project') await this.restoreProject(row.project);
+                else await this.restoreTrashEntry(row.project, row.entry);
+                this.renderTrash();
+            });
+        });
+        this.trashList.querySelectorAll('[data-purge]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const row = rows[parseInt(btn.dataset.purge)];
+                if (!this.requirePermission('delete')) return;
+                if (!confirm(`ลบ "${row.name}" ถาวร? ไม่สามารถกู้คืนได้อีก`)) return;
+                try {
+                    if (row.kind === 'project') await this.deleteProjectForever(row.project);
+                    else await this.deleteTrashEntriesForever(row.project, [row.entry], `ลบ "${row.name}" ออกจากถังขยะถาวร`);
+                    this.showToast('ลบถาวรเรียบร้อยแล้ว', 'success');
+                } catch (error) {
+                    console.error(error);
+                    this.showToast('ลบไม่สำเร็จ: ' + error.message, 'error');
+                }
+                this.renderTrash();
+            });
+        });
     }
 
     renderCurrentDate() {
@@ -777,10 +6927,22 @@ class App {
             this.renderProjectsList();
         } else if (viewName === 'detail') {
             this.pageTitle.textContent = 'รายละเอียดโครงการ';
+        } else if (viewName === 'trash') {
+            this.pageTitle.textContent = 'ถังขยะ';
+            this.renderTrash();
+        } else if (viewName === 'mywork') {
+            this.pageTitle.textContent = 'งานของฉัน';
+            this.renderMyWork();
+        } else if (viewName === 'vendors') {
+            this.pageTitle.textContent = 'ผู้ขาย/ผู้รับจ้าง';
+            this.renderVendors();
         }
     }
 
     async handleCreateProject() {
+        const methodOverride = this.methodOverrideFrom('create');
+        if (methodOverride === undefined) return;
+
         const name = this.inpProjectName.value.trim();
         const desc = this.inpProjectDesc.value.trim();
         const priority = this.inpProjectPriority ? this.inpProjectPriority.value : 'normal';
@@ -794,32 +6956,90 @@ class App {
         let contractRaw = this.inpProjectContract.value.replace(/,/g, '');
         const contractAmount = parseFloat(contractRaw) || 0;
 
-        const deadline = this.inpProjectDeadline.value;
+        const deadline = this.readDateInput(this.inpProjectDeadline);
 
-        const newProject = new Project(name, desc, budget, deadline, priority, purchaseType, this.stepsTemplate, method, contractAmount);
-        await FirestoreManager.addProject(newProject);
+        const template = StepTemplates.find(this.stepTemplates, this.inpProjectTemplate.value)
+            || StepTemplates.forProject(this.stepTemplates, method, purchaseType);
+        const newProject = new Project(name, desc, budget, deadline, priority, purchaseType, template.steps, method, contractAmount);
+        newProject.templateId = template.id;
+        newProject.assignee = this.assigneeFromValue(this.inpProjectAssignee.value);
+        newProject.methodOverride = methodOverride;
+        newProject.fiscalYear = parseInt(this.inpProjectFiscalYear.value) || newProject.fiscalYear;
+        newProject.budgetSource = this.inpProjectBudgetSource.value || null;
+        AuditLog.add(newProject, { summary: 'สร้างโครงการ' });
+        await this.runOrQueue({ kind: 'add', project: newProject }, () => DataStore.addProject(newProject));
 
         this.modalCreate.classList.remove('open');
         this.formCreateProject.reset();
+        this.setDateInput(this.inpProjectDeadline, null);
         this.showToast('สร้างโครงการสำเร็จแล้ว', 'success');
 
         this.renderDashboard();
         this.loadView('projects');
     }
 
+    // Budget, contract, savings and disbursement for one fiscal year (see BudgetSummary)
+    renderBudgetSummary(projects) {
+        const selected = parseInt(this.budgetFiscalYear.value) || FiscalYear.of();
+        this.budgetFiscalYear.innerHTML = BudgetSummary.years(projects)
+            .map(y => `<option value="${y}" ${y === selected ? 'selected' : ''}>ปีงบประมาณ ${y}</option>`)
+            .join('');
+        this.budgetFiscalYear.title = FiscalYear.describe(selected);
+
+        const source = this.budgetSourceFilter.value;
+        const inYear = projects.filter(p => p.fiscalYear === selected && (!source || p.budgetSource === source));
+        const totals = BudgetSummary.totals(inYear);
+        const money = (n) => new Intl.NumberFormat('th-TH', { maximumFractionDigits: 2 }).format(n);
+        const percent = (n) => totals.budget > 0 ? `${Math.round(n / totals.budget * 100)}% ของงบประมาณ` : '';
+
+        this.budgetTotals.innerHTML = [
+            ['งบประมาณ', totals.budget, 'fa-coins', `${totals.count} โครงการ`],
+            ['วงเงินตามสัญญา', totals.contract, 'fa-file-signature', percent(totals.contract)],
+            ['ประหยัดงบประมาณ', totals.savings, 'fa-piggy-bank', percent(totals.savings)],
+            ['เบิกจ่ายแล้ว', totals.disbursed, 'fa-money-bill-transfer', percent(totals.disbursed)]
+        ].map(([label, amount, icon, note]) => `
+            <div class="budget-total">
+                <span class="budget-total-label"><i class="fa-solid ${icon}"></i> ${label}</span>
+                <strong>${money(amount)}</strong>
+                <small>${note}</small>
+            </div>
+        `).join('');
+
+        const table = (key, labels) => {
+            const rows = BudgetSummary.breakdown(inYear, key, labels);
+            if (rows.length === 0) return '<div class="empty-state-small">ไม่มีโครงการในปีงบประมาณนี้</div>';
+            return `
+                <table class="budget-table">
+                    <thead><tr><th></th><th>โครงการ</th><th>งบประมาณ</th><th>สัญญา</th><th>ประหยัด</th><th>เบิกจ่าย</th></tr></thead>
+                    <tbody>
+                        ${rows.map(([value, t]) => `
+                            <tr>
+                                <td>${this.escapeHtml(labels[value] || value || 'ไม่ระบุ')}</td>
+                                <td>${t.count}</td>
+                                <td>${money(t.budget)}</td>
+                                <td>${money(t.contract)}</td>
+                                <td>${money(t.savings)}</td>
+                                <td>${money(t.disbursed)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        };
+        this.budgetByMethod.innerHTML = table('procurementMethod', PROCUREMENT_METHOD_LABELS);
+        this.budgetByType.innerHTML = table('purchaseType', PURCHASE_TYPE_LABELS);
+    }
+
     async renderDashboard() {
-        const projects = await FirestoreManager.getProjects();
+        const projects = (await DataStore.getProjects()).filter(p => !Project.isTrashed(p));
 
         const total = projects.length;
         const completed = projects.filter(p => p.status === 'completed').length;
         const inProgress = total - completed;
 
-        const now = new Date();
         const urgent = projects.filter(p => {
             if (p.status === 'completed' || !p.deadline) return false;
-            const d = new Date(p.deadline);
-            const diffTime = d - now;
-            const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+            const diffDays = WorkingCalendar.daysUntil(p.deadline);
             return diffDays >= 0 && diffDays <= 7;
         }).length;
 
@@ -827,6 +7047,8 @@ class App {
         this.statProgress.textContent = inProgress;
         this.statCompleted.textContent = completed;
         this.statUrgent.textContent = urgent;
+        this.statOverdue.textContent = projects.reduce((sum, p) => sum + StepSchedule.overdueSteps(p).length, 0);
+        this.renderBudgetSummary(projects);
 
         this.activityList.innerHTML = '';
         // Sort by updatedAt descending
@@ -862,7 +7084,7 @@ class App {
                                 <i class="${priorityCfg.icon}"></i> ${priorityCfg.label}
                             </span>
                         </div>
-                    <span style="font-size:0.8rem; color:var(--text-muted);">${new Date(p.createdAt).toLocaleDateString('th-TH', { day: '2-digit', month: '2-digit', year: 'numeric' })}</span>
+                    <span style="font-size:0.8rem; color:var(--text-muted);">${ThaiDate.format(p.createdAt)}</span>
                 </div>
                 <div style="font-size:0.85rem; color:var(--text-muted); margin-top:0.25rem;">
                     สถานะ: ${p.status === 'completed' ? 'เสร็จสิ้น' : `ขั้นตอนที่ ${p.currentStepIndex + 1}/${p.steps.length}`}
@@ -878,7 +7100,7 @@ class App {
     }
 
     async renderProjectsList() {
-        const projects = await FirestoreManager.getProjects();
+        const projects = (await DataStore.getProjects()).filter(p => !Project.isTrashed(p));
         const searchTerm = this.searchInput.value.toLowerCase();
         const filter = this.filterStatus.value;
 
@@ -894,12 +7116,11 @@ class App {
             else if (filter === 'urgent') {
                 if (p.status === 'completed' || !p.deadline) matchesFilter = false;
                 else {
-                    const d = new Date(p.deadline);
-                    const now = new Date();
-                    const diffDays = Math.ceil((d - now) / (1000 * 60 * 60 * 24));
+                    const diffDays = WorkingCalendar.daysUntil(p.deadline);
                     matchesFilter = diffDays >= 0 && diffDays <= 7;
                 }
             }
+            else if (filter === 'overdue') matchesFilter = StepSchedule.overdueSteps(p).length > 0;
             return matchesSearch && matchesFilter;
         });
 
@@ -1015,8 +7236,10 @@ class App {
                     <div class="card-body">
                         <h3>${p.name}</h3>
                         <div style="display: flex; gap: 1rem; flex-wrap: wrap;">
-                            <span class="info-badge"><i class="fa-regular fa-calendar"></i> ${new Date(p.createdAt).toLocaleDateString('th-TH')}</span>
+                            <span class="info-badge"><i class="fa-regular fa-calendar"></i> ${ThaiDate.format(p.createdAt)}</span>
                             <span class="info-badge"><i class="fa-solid fa-tag"></i> ${budgetFormatted}</span>
+                            ${p.assignee ? this.assigneeBadge(p.assignee) : ''}
+                            ${StepSchedule.overdueSteps(p).length > 0 ? `<span class="info-badge overdue-badge"><i class="fa-solid fa-hourglass-end"></i> เลยกำหนด ${StepSchedule.overdueSteps(p).length} ขั้นตอน</span>` : ''}
                         </div>
                     </div>
 
@@ -1039,9 +7262,15 @@ class App {
     }
 
     async openProjectDetail(id, stepIndex = null) {
-        const project = await FirestoreManager.getProject(id);
+        const project = await DataStore.getProject(id);
         if (!project) return;
 
+        // Undo history belongs to one project
+        if (!this.activeProject || this.activeProject.id !== id) {
+            this.undoStack = [];
+            this.redoStack = [];
+        }
+
         this.activeProject = project;
         this.loadView('detail');
 
@@ -1054,7 +7283,7 @@ class App {
             statusClass = 'status-completed';
             statusText = 'เสร็จสิ้น';
         } else if (project.deadline) {
-            const dayDiff = Math.ceil((new Date(project.deadline) - new Date()) / (1000 * 60 * 60 * 24));
+            const dayDiff = WorkingCalendar.daysUntil(project.deadline);
             if (dayDiff < 3 && dayDiff >= 0) {
                 statusClass = 'status-urgent';
             }
@@ -1063,10 +7292,29 @@ class App {
         this.detailStatus.className = `status-badge ${statusClass}`;
 
         this.detailDesc.textContent = project.description || 'ไม่มีรายละเอียด';
-        this.detailStartDate.textContent = new Date(project.createdAt).toLocaleDateString('th-TH', { day: '2-digit', month: '2-digit', year: 'numeric' });
-        this.detailDeadline.textContent = project.deadline ? new Date(project.deadline).toLocaleDateString('th-TH', { day: '2-digit', month: '2-digit', year: 'numeric' }) : '-';
+        this.detailStartDate.textContent = ThaiDate.format(project.createdAt);
+        this.detailDeadline.textContent = project.deadline ? ThaiDate.format(project.deadline) : '-';
         this.detailBudget.textContent = new Intl.NumberFormat('th-TH').format(project.budget);
         this.detailContractAmount.textContent = project.contractAmount ? new Intl.NumberFormat('th-TH').format(project.contractAmount) : '0';
+        this.renderProjectItems(project);
+        if (project.medianPrice) {
+            const notes = PriceWorksheet.compare(project).filter(n => n.warning);
+            this.detailMedianPrice.textContent = new Intl.NumberFormat('th-TH', { maximumFractionDigits: 2 }).format(project.medianPrice)
+                + (notes.length ? ` (${notes.map(n => n.text).join(', ')})` : '');
+        } else {
+            this.detailMedianPrice.textContent = '-';
+        }
+        const vendor = project.vendor ? (Vendors.find(this.vendors, project.vendor.id) || project.vendor) : null;
+        const bidderCount = (project.bidders || []).length;
+        this.detailVendor.textContent = `${vendor ? vendor.name : '-'}${bidderCount ? ` (ผู้เสนอราคา ${bidderCount} ราย)` : ''}`;
+        if (project.contract) {
+            const summary = Contracts.summary(project.contract, project);
+            this.detailContract.textContent = `${project.contract.number || 'ไม่ระบุเลขที่'} · ตรวจรับ ${summary.inspected}/${summary.count} งวด`
+                + (summary.penalty ? ` · ค่าปรับ ${new Intl.NumberFormat('th-TH').format(summary.penalty)} บาท` : '');
+        } else {
+            this.detailContract.textContent = '-';
+        }
+        this.detailFiscalYear.textContent = `${project.fiscalYear || '-'}${project.budgetSource ? ` (${BUDGET_SOURCE_LABELS[project.budgetSource] || project.budgetSource})` : ''}`;
 
         const priorityCfg = PRIORITY_LABELS[project.priority] || PRIORITY_LABELS['normal'];
         this.detailPriority.innerHTML = `<i class="${priorityCfg.icon}"></i> ${priorityCfg.label}`;
@@ -1127,6 +7375,14 @@ class App {
             this.detailProcurementMethod.style.border = `1px solid ${mColor}66`;
         }
 
+        this.detailAssignee.innerHTML = project.assignee ? this.assigneeBadge(project.assignee) : '-';
+
+        // Method chosen against the budget rules: show why
+        this.detailMethodOverride.style.display = project.methodOverride ? 'inline-flex' : 'none';
+        if (project.methodOverride) {
+            this.detailMethodOverride.title = `${project.methodOverride.justification} (${project.methodOverride.by})`;
+        }
+
         const completedCount = project.steps.filter(s => s.completed).length;
         const percent = Math.round((completedCount / project.steps.length) * 100);
         this.detailOverallProgress.style.width = `${percent}%`;
@@ -1144,13 +7400,17 @@ class App {
 
         this.activeProject.steps.forEach((step, index) => {
             const tab = document.createElement('div');
-            tab.className = `step-tab ${index === this.activeProject.currentStepIndex ? 'active' : ''} ${step.completed ? 'completed' : ''}`;
+            tab.className = `step-tab ${index === this.activeProject.currentStepIndex ? 'active' : ''} ${step.completed ? 'completed' : ''} ${StepSchedule.isOverdue(step) ? 'overdue' : ''}`;
             tab.style.userSelect = 'none';
 
             let icon = `<i class="fa-regular fa-circle"></i>`;
             if (step.completed) icon = `<i class="fa-solid fa-circle-check"></i>`;
+            else if (StepApproval.pending(step)) icon = `<i class="fa-solid fa-hourglass-half" title="รออนุมัติ"></i>`;
 
-            tab.innerHTML = `${icon} <span>${step.title}</span>`;
+            const due = !step.completed && step.dueDate
+                ? `<small class="tab-due">${StepSchedule.isOverdue(step) ? 'เลยกำหนด' : 'ครบ'} ${ThaiDate.toDate(step.dueDate).toLocaleDateString('th-TH', { day: '2-digit', month: 'short' })}</small>`
+                : '';
+            tab.innerHTML = `${icon} <span>${step.title}</span>${due}${step.assignee ? `<small class="tab-assignee"><i class="fa-solid fa-user"></i> ${this.escapeHtml(step.assignee.name)}</small>` : ''}`;
 
             tab.addEventListener('click', () => {
                 this.loadWorkflowStep(index);
@@ -1191,6 +7451,12 @@ class App {
 
         // Render Content
         this.stepTitle.textContent = `${index + 1}. ${stepData.title}`;
+        this.selStepAssignee.innerHTML = this.assigneeOptions(stepData.assignee);
+        this.selStepAssignee.disabled = !this.can('edit');
+        this.setDateInput(this.inpStepDue, stepData.dueDate);
+        this.inpStepDue.disabled = !this.can('edit');
+        this.inpStepDue.classList.toggle('overdue', StepSchedule.isOverdue(stepData));
+        this.inpStepDue.title = stepData.durationDays ? `ระยะเวลามาตรฐาน ${stepData.durationDays} วันทำการ` : '';
 
         // Collapse sections ONLY when changing steps
         if (!isSameStep) {
@@ -1198,29 +7464,16 @@ class App {
             if (this.sectionPostits) this.sectionPostits.classList.remove('active');
         }
 
-        // Migrate old logic
-        if (typeof stepData.notes === 'string') {
-            const oldText = stepData.notes;
-            stepData.notes = oldText ? [{ timestamp: new Date().toISOString(), text: oldText, type: 'timeline' }] : [];
-        }
-
-        // Migrate and split existing notes into timeline and postits if they aren't already
-        if (!stepData.timeline) {
-            stepData.timeline = (stepData.notes || []).filter(n => !n.type || n.type === 'timeline');
-        }
-        if (!stepData.postits) {
-            stepData.postits = (stepData.notes || []).filter(n => n.type === 'postit');
-        }
-
         this.renderTimeline();
         this.renderPostits();
+        this.renderHistory();
 
         // Completion Info Logic (Button removed)
         if (this.stepInfoContainer) {
             if (stepData.completed) {
-                const dateStr = stepData.completedAt ? this._formatDDMMYYYY(new Date(stepData.completedAt)) : '-';
+                const dateStr = stepData.completedAt ? ThaiDate.format(stepData.completedAt) : '-';
                 const docNum = stepData.documentNumber || '-';
-                const docDateStr = stepData.documentDate || '-';
+                const docDateStr = ThaiDate.format(stepData.documentDate);
 
                 this.stepInfoContainer.innerHTML = `
                     <div style="margin-top: 10px; padding: 10px 14px; background: rgba(16,185,129,0.1); border-left: 3px solid #10b981; border-radius: 6px; font-size: 0.85rem; color: var(--text-secondary);">
@@ -1245,6 +7498,10 @@ class App {
             } else {
                 this.stepInfoContainer.innerHTML = '';
             }
+            if (stepData.requiresApproval) this.renderStepApproval(stepData, index);
+            this.renderStepInstallments(stepData, index);
+            this.renderStepCommittee(stepData, index);
+            this.renderStepPriceWorksheet(stepData, index);
         }
 
         // Render Checklist
@@ -1256,28 +7513,21 @@ class App {
 
     renderChecklistItem(item, index) {
         const li = document.createElement('li');
+        const itemPath = this._checklistItemPath(item);
         li.className = `checklist-item ${item.checked ? 'checked' : ''}`;
 
         // Format date for display
-        let dateDisplay = '';
-        if (item.completedAt) {
-            const dateObj = new Date(item.completedAt);
-            dateDisplay = dateObj.toLocaleString('th-TH', {
-                day: '2-digit', month: '2-digit', year: 'numeric',
-                hour: '2-digit', minute: '2-digit'
-            });
-        }
+        const dateDisplay = item.completedAt ? ThaiDate.format(item.completedAt, true) : '';
 
         let deadlineDisplay = '';
         if (item.deadline) {
-            const d = new Date(item.deadline);
-            deadlineDisplay = `<div class="deadline-badge" title="กำหนดเสร็จ (Deadline)"><i class="fa-solid fa-flag-checkered"></i> ${d.toLocaleString('th-TH', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' })}</div>`;
+            deadlineDisplay = `<div class="deadline-badge" title="กำหนดเสร็จ (Deadline)"><i class="fa-solid fa-flag-checkered"></i> ${ThaiDate.format(item.deadline, true)}</div>`;
         }
 
-        const createdAtStr = item.createdAt ? new Date(item.createdAt).toLocaleString('th-TH', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' }) : '-';
+        const createdAtStr = item.createdAt ? ThaiDate.format(item.createdAt, true) : '-';
 
         // Render Item-specific Notes
-        const itemNotes = item.notes || [];
+        const itemNotes = item.notes;
         let itemNotesHtml = '';
         if (itemNotes.length > 0) {
             itemNotesHtml = `
@@ -1286,10 +7536,10 @@ class App {
                         <div class="item-note">
                             <div class="item-note-header">
                                 <span class="info-badge" style="background:none; padding:0; font-size:0.65rem;">
-                                    <i class="fa-regular fa-clock"></i> ${new Date(n.timestamp).toLocaleString('th-TH', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                                    <i class="fa-regular fa-clock"></i> ${ThaiDate.format(n.timestamp, true)}
                                 </span>
                                 <div style="display:flex; gap:0.25rem;">
-                                   <button class="btn-delete-item-note" data-i="${index}" data-ni="${ni}" title="ลบบันทึก"><i class="fa-solid fa-xmark"></i></button>
+                                   <button class="btn-delete-item-note requires-edit" data-i="${index}" data-ni="${ni}" title="ลบบันทึก"><i class="fa-solid fa-xmark"></i></button>
                                 </div>
                             </div>
                             <div class="item-note-text">${n.text}</div>
@@ -1301,7 +7551,7 @@ class App {
         }
 
         li.innerHTML = `
-            <input type="checkbox" ${item.checked ? 'checked' : ''}>
+            <input type="checkbox" ${item.checked ? 'checked' : ''} ${this.can('edit') ? '' : 'disabled'}>
             <div style="flex: 1; display: flex; flex-direction: column; gap: 0.25rem;">
                 <span class="checklist-text">${item.text}</span>
                 <div style="display: flex; gap: 0.5rem; flex-wrap: wrap; align-items: center;">
@@ -1309,7 +7559,8 @@ class App {
                         <i class="fa-regular fa-calendar-plus"></i> ${createdAtStr}
                     </div>
                     ${deadlineDisplay}
-                    <button class="btn-item-note-toggle" title="เพิ่มบันทึกในรายการนี้"><i class="fa-solid fa-note-sticky"></i> บันทึก</button>
+                    <select class="item-assignee-select" title="ผู้รับผิดชอบ" ${this.can('edit') ? '' : 'disabled'}>${this.assigneeOptions(item.assignee)}</select>
+                    <button class="btn-item-note-toggle requires-edit" title="เพิ่มบันทึกในรายการนี้"><i class="fa-solid fa-note-sticky"></i> บันทึก</button>
                 </div>
                 ${itemNotesHtml}
                 <div class="add-item-note-box" style="display:none; margin-top: 0.5rem;">
@@ -1323,7 +7574,7 @@ class App {
                 </div>
             </div>
             <div class="checklist-date" title="วันที่เสร็จสิ้น">${dateDisplay || (item.checked ? 'ระบุวันที่' : '')}</div>
-            <button class="btn-delete-item"><i class="fa-solid fa-times"></i></button>
+            <button class="btn-delete-item requires-edit"><i class="fa-solid fa-times"></i></button>
         `;
 
         const checkbox = li.querySelector('input');
@@ -1342,7 +7593,7 @@ class App {
             const ni = parseInt(container.dataset.ni);
             const note = item.notes[ni];
             if (note && note.attachments) {
-                const attachEls = this.renderAttachments(note.attachments, 'checklist', true, note, item.notes);
+                const attachEls = this.renderAttachments(note.attachments, 'checklist', true, [...itemPath, 'notes', { timestamp: note.timestamp }]);
                 container.appendChild(attachEls);
             }
         });
@@ -1387,7 +7638,7 @@ class App {
             if (file) {
                 try {
                     this.showToast('กำลังอัปโหลด...', 'info');
-                    const fileData = await FileUploadManager.upload(file, `projects/${this.activeProject.id}/checklist_notes`);
+                    const fileData = await FileStore.upload(file, this._filesPath('checklist_notes'));
                     attachments.push(fileData);
                 } catch (e) {
                     this.showToast('Upload Error: ' + e.message, 'error');
@@ -1395,13 +7646,13 @@ class App {
                 }
             }
 
-            if (!item.notes) item.notes = [];
-            item.notes.push({
-                text: val,
-                timestamp: new Date().toISOString(),
-                attachments: attachments
-            });
-            await FirestoreManager.updateProject(this.activeProject);
+            await this.commitChanges([
+                ProjectPatch.push([...itemPath, 'notes'], {
+                    text: val,
+                    timestamp: new Date().toISOString(),
+                    attachments: attachments
+                })
+            ]);
             this.loadWorkflowStep(this.activeWorkflowStepIndex);
         };
 
@@ -1421,66 +7672,86 @@ class App {
         li.querySelectorAll('.btn-delete-item-note').forEach(btn => {
             btn.addEventListener('click', async (e) => {
                 e.stopPropagation();
-                const ni = parseInt(btn.dataset.index);
-                if (confirm('ลบบันทึกนี้?')) {
-                    item.notes.splice(ni, 1);
-                    await FirestoreManager.updateProject(this.activeProject);
+                const note = item.notes[parseInt(btn.dataset.ni)];
+                if (note && confirm('ย้ายบันทึกนี้ไปถังขยะ?')) {
+                    await this.commitChanges(Trash.moveChanges(this.activeProject, [...itemPath, 'notes', { timestamp: note.timestamp }], 'note'), {
+                        undoMessage: 'ย้ายบันทึกไปถังขยะแล้ว'
+                    });
                     this.loadWorkflowStep(this.activeWorkflowStepIndex);
                 }
             });
         });
 
         checkbox.addEventListener('change', async () => {
-            item.checked = checkbox.checked;
-            if (item.checked && !item.completedAt) {
+            const checked = checkbox.checked;
+            let completedAt = item.completedAt;
+            if (checked && !completedAt) {
                 // Auto set today if not set
-                item.completedAt = new Date().toISOString();
-            } else if (!item.checked) {
+                completedAt = new Date().toISOString();
+            } else if (!checked) {
                 // Clear date if unchecked (optional, but keep it clean)
-                item.completedAt = null;
+                completedAt = null;
             }
 
-            li.classList.toggle('checked', item.checked);
-            await FirestoreManager.updateProject(this.activeProject);
+            li.classList.toggle('checked', checked);
+            await this.commitChanges([
+                ProjectPatch.set([...itemPath, 'checked'], checked, item.checked),
+                ProjectPatch.set([...itemPath, 'completedAt'], completedAt, item.completedAt)
+            ], {
+                undoMessage: `${checked ? 'ทำเครื่องหมาย' : 'ยกเลิกเครื่องหมาย'} "${this.escapeHtml(item.text)}"`
+            });
             this.loadWorkflowStep(this.activeWorkflowStepIndex); // Re-render to show date
         });
 
         // Manual date edit
         dateEl.addEventListener('click', (e) => {
             e.stopPropagation();
-            const currentVal = item.completedAt ? new Date(item.completedAt).toISOString().slice(0, 16) : '';
-
             const inp = document.createElement('input');
-            inp.type = 'datetime-local';
+            inp.type = 'text';
             inp.className = 'checklist-date-input';
-            inp.value = currentVal;
+            inp.placeholder = 'วว/ดด/ปปปป ชช:นน';
 
             dateEl.replaceWith(inp);
-            inp.focus();
 
+            let saved = false;
             const saveDate = async () => {
-                if (inp.value) {
-                    item.completedAt = new Date(inp.value).toISOString();
-                    // If date is set manually, maybe item should be checked?
-                    // Let's leave checkbox as is, but usually a date implies checked.
-                } else {
-                    item.completedAt = null;
-                }
-                await FirestoreManager.updateProject(this.activeProject);
+                if (saved) return;
+                saved = true;
+                // If date is set manually, maybe item should be checked?
+                // Let's leave checkbox as is, but usually a date implies checked.
+                const date = ThaiDate.parse(inp.value);
+                const completedAt = date ? date.toISOString() : null;
+                picker.destroy();
+                await this.commitChanges([ProjectPatch.set([...itemPath, 'completedAt'], completedAt, item.completedAt)]);
                 this.loadWorkflowStep(this.activeWorkflowStepIndex);
             };
 
-            inp.addEventListener('blur', saveDate);
+            const picker = flatpickr(inp, {
+                ...ThaiDate.pickerOptions(true),
+                defaultDate: item.completedAt ? new Date(item.completedAt) : null,
+                onClose: saveDate
+            });
             inp.addEventListener('keypress', (e) => {
                 if (e.key === 'Enter') saveDate();
             });
+            picker.open();
+        });
+
+        const assigneeSelect = li.querySelector('.item-assignee-select');
+        assigneeSelect.addEventListener('click', (e) => e.stopPropagation());
+        assigneeSelect.addEventListener('change', async () => {
+            await this.commitChanges([
+                ProjectPatch.set([...itemPath, 'assignee'], this.assigneeFromValue(assigneeSelect.value, item.assignee), item.assignee)
+            ]);
+            this.loadWorkflowStep(this.activeWorkflowStepIndex);
         });
 
         const deleteBtn = li.querySelector('.btn-delete-item');
         deleteBtn.addEventListener('click', async (e) => {
             e.stopPropagation();
-            this.activeProject.steps[this.activeWorkflowStepIndex].checklist.splice(index, 1);
-            await FirestoreManager.updateProject(this.activeProject);
+            await this.commitChanges([ProjectPatch.remove(itemPath)], {
+                undoMessage: `ลบรายการ "${this.escapeHtml(item.text)}" แล้ว`
+            });
             this.loadWorkflowStep(this.activeWorkflowStepIndex);
         });
 
@@ -1489,19 +7760,15 @@ class App {
 
     async addChecklistItem() {
         const text = this.inpChecklist.value.trim();
-        const deadline = this.inpChecklistDeadline.value;
+        const deadline = this.readDateInput(this.inpChecklistDeadline);
         if (!text) return;
 
-        const currentStep = this.activeProject.steps[this.activeWorkflowStepIndex];
-        currentStep.checklist.push({
-            text: text,
-            checked: false,
-            createdAt: new Date().toISOString(),
-            completedAt: null,
-            deadline: deadline || null
-        });
-
-        await FirestoreManager.updateProject(this.activeProject);
+        await this.commitChanges([
+            ProjectPatch.push([...this._stepPath(), 'checklist'], {
+                ...Project.checklistItem(text),
+                deadline: deadline || null
+            })
+        ]);
 
         this.inpChecklist.value = '';
         // Keep deadline value for efficiency
@@ -1530,49 +7797,146 @@ class App {
 
         if (this.clickTimeout) clearTimeout(this.clickTimeout);
 
-        if (step.completed) {
-            await this.revertStepCompletion();
-        } else {
-            await this.quickCompleteStep();
+        if (step.completed) {
+            await this.revertStepCompletion();
+        } else {
+            await this.quickCompleteStep();
+        }
+    }
+
+    async quickCompleteStep() {
+        if (!this.activeProject) return;
+        const stepIndex = this.activeWorkflowStepIndex;
+
+        // Quick complete defaults
+        const changes = {
+            completed: true,
+            documentNumber: this.activeProject.docNumberPrefix || null,
+            documentDate: ThaiDate.toDateString(new Date()),
+            completedAt: new Date().toISOString()
+        };
+
+        if (this.activeProject.steps[stepIndex].requiresApproval) {
+            await this.requestStepApproval(stepIndex, changes);
+            return;
+        }
+
+        this.showToast(`บันทึกขั้นตอนที่ ${stepIndex + 1} เสร็จสิ้น`, 'success');
+        await this._saveAndRefreshStep(stepIndex, changes);
+    }
+
+    async revertStepCompletion() {
+        if (!this.activeProject) return;
+        const stepIndex = this.activeWorkflowStepIndex;
+
+        await this._saveAndRefreshStep(stepIndex, {
+            completed: false,
+            completedAt: null,
+            documentNumber: null,
+            documentDate: null
+        }, [], { undoMessage: `ยกเลิกสถานะเสร็จสิ้น ขั้นตอนที่ ${stepIndex + 1}` });
+    }
+
+    // Completing a step that requires approval (see StepApproval): keep the
+    // document details on the step and ask the approver instead
+    async requestStepApproval(stepIndex, { documentNumber, documentDate, completedAt }, extraChanges = []) {
+        const step = this.activeProject.steps[stepIndex];
+        if (StepApproval.pending(step)) {
+            this.showToast('ขั้นตอนนี้กำลังรออนุมัติอยู่แล้ว', 'warning');
+            return;
         }
+
+        const user = Auth.currentUser;
+        const request = StepApproval.create(step, { uid: user.uid, name: AuditLog.actor }, { documentNumber, documentDate, completedAt });
+        await this._saveAndRefreshStep(stepIndex, { documentNumber, documentDate }, [
+            ...extraChanges,
+            ProjectPatch.push([...this._stepPath(stepIndex), 'approvals'], request)
+        ], { undoable: false, summary: `ขออนุมัติขั้นตอนที่ ${stepIndex + 1}` });
+        this.showToast(`ส่งขออนุมัติขั้นตอนที่ ${stepIndex + 1} ไปยัง ${request.approver ? this.escapeHtml(request.approver.name) : 'เจ้าของ Workspace'} แล้ว`, 'info');
     }
 
-    async quickCompleteStep() {
-        if (!this.activeProject) return;
-        const stepIndex = this.activeWorkflowStepIndex;
+    async decideStepApproval(stepIndex, approve) {
         const step = this.activeProject.steps[stepIndex];
+        const request = StepApproval.pending(step);
+        if (!StepApproval.canDecide(this.workspace, request, Auth.currentUser.uid) || !this.requirePermission('edit')) return;
 
-        step.completed = true;
-
-        // Quick complete defaults
-        if (this.activeProject.docNumberPrefix) {
-            step.documentNumber = this.activeProject.docNumberPrefix;
-        } else {
-            step.documentNumber = null;
+        const comment = prompt(approve ? 'ความเห็นประกอบการอนุมัติ (ถ้ามี):' : 'เหตุผลที่ไม่อนุมัติ:', '');
+        if (comment === null) return;
+        if (!approve && !comment.trim()) {
+            this.showToast('กรุณาระบุเหตุผลที่ไม่อนุมัติ', 'warning');
+            return;
         }
 
-        step.documentDate = this._formatDDMMYYYY(new Date());
-        step.completedAt = new Date().toISOString();
-
-        this.showToast(`บันทึกขั้นตอนที่ ${stepIndex + 1} เสร็จสิ้น`, 'success');
-        await this._saveAndRefreshStep(stepIndex);
+        const decidedBy = { uid: Auth.currentUser.uid, name: AuditLog.actor };
+        const decision = StepApproval.decisionChanges(this._stepPath(stepIndex), request, approve ? 'approved' : 'rejected', decidedBy, comment.trim());
+        await this._saveAndRefreshStep(stepIndex, approve ? {
+            completed: true,
+            completedAt: request.completedAt || new Date().toISOString()
+        } : {}, decision, { undoable: false, summary: `${approve ? 'อนุมัติ' : 'ไม่อนุมัติ'}ขั้นตอนที่ ${stepIndex + 1}` });
+        this.showToast(approve ? `อนุมัติขั้นตอนที่ ${stepIndex + 1} แล้ว` : `ไม่อนุมัติขั้นตอนที่ ${stepIndex + 1}`, approve ? 'success' : 'warning');
     }
 
-    async revertStepCompletion() {
-        if (!this.activeProject) return;
-        const stepIndex = this.activeWorkflowStepIndex;
+    async cancelStepApproval(stepIndex) {
         const step = this.activeProject.steps[stepIndex];
+        const request = StepApproval.pending(step);
+        if (!request || request.requestedBy.uid !== Auth.currentUser.uid) return;
+        if (!this.requirePermission('edit') || !confirm('ยกเลิกคำขออนุมัตินี้?')) return;
+
+        const decidedBy = { uid: Auth.currentUser.uid, name: AuditLog.actor };
+        await this._saveAndRefreshStep(stepIndex, {}, StepApproval.decisionChanges(this._stepPath(stepIndex), request, 'cancelled', decidedBy, null),
+            { undoable: false, summary: `ยกเลิกคำขออนุมัติขั้นตอนที่ ${stepIndex + 1}` });
+    }
+
+    // The approval state and record of a step that requires approval, below its completion info
+    renderStepApproval(step, stepIndex) {
+        const pending = StepApproval.pending(step);
+        const uid = Auth.currentUser.uid;
+        const formatDate = (iso) => iso ? ThaiDate.format(iso, true) : '-';
+        const approverName = (approver) => approver ? this.escapeHtml(approver.name) : 'เจ้าของ Workspace';
+
+        let status = `<i class="fa-solid fa-stamp"></i> ขั้นตอนนี้ต้องได้รับอนุมัติจาก ${approverName(step.approver)}`;
+        if (pending) {
+            status = `<i class="fa-solid fa-hourglass-half"></i> รออนุมัติจาก ${approverName(pending.approver)} · ขอโดย ${this.escapeHtml(pending.requestedBy.name)} เมื่อ ${formatDate(pending.requestedAt)}`;
+        }
 
-        step.completed = false;
-        step.completedAt = null;
-        step.documentNumber = null;
-        step.documentDate = null;
-        this.showToast(`ยกเลิกสถานะเสร็จสิ้น ขั้นตอนที่ ${stepIndex + 1}`, 'info');
-        await this._saveAndRefreshStep(stepIndex);
+        const panel = document.createElement('div');
+        panel.className = `step-approval ${pending ? 'step-approval-pending' : ''}`;
+        panel.innerHTML = `
+            <div class="step-approval-status">${status}</div>
+            ${pending ? `
+                <div class="step-approval-actions requires-edit">
+                    ${StepApproval.canDecide(this.workspace, pending, uid) ? `
+                        <button class="btn btn-primary btn-sm" data-approval="approve"><i class="fa-solid fa-check"></i> อนุมัติ</button>
+                        <button class="btn btn-danger btn-sm" data-approval="reject"><i class="fa-solid fa-xmark"></i> ไม่อนุมัติ</button>
+                    ` : ''}
+                    ${pending.requestedBy.uid === uid ? `<button class="btn btn-text btn-sm" data-approval="cancel">ยกเลิกคำขอ</button>` : ''}
+                </div>
+            ` : ''}
+            ${step.approvals.length > 0 ? `
+                <div class="step-approval-log">
+                    ${[...step.approvals].reverse().map(a => `
+                        <div class="step-approval-entry approval-${a.status}">
+                            <strong>${APPROVAL_STATUS_LABELS[a.status] || a.status}</strong>
+                            · ขอโดย ${this.escapeHtml(a.requestedBy.name)} ${formatDate(a.requestedAt)}
+                            ${a.decidedBy ? ` · ${a.status === 'cancelled' ? 'ยกเลิก' : 'พิจารณา'}โดย ${this.escapeHtml(a.decidedBy.name)} ${formatDate(a.decidedAt)}` : ''}
+                            ${a.comment ? `<div class="step-approval-comment">"${this.escapeHtml(a.comment)}"</div>` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+
+        panel.querySelectorAll('[data-approval]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (btn.dataset.approval === 'cancel') this.cancelStepApproval(stepIndex);
+                else this.decideStepApproval(stepIndex, btn.dataset.approval === 'approve');
+            });
+        });
+        this.stepInfoContainer.appendChild(panel);
     }
 
     openStepCompletionModal(mode = 'complete') {
-        if (!this.activeProject) return;
+        if (!this.activeProject || !this.requirePermission('edit')) return;
 
         const stepIndex = this.activeWorkflowStepIndex;
         const step = this.activeProject.steps[stepIndex];
@@ -1591,11 +7955,7 @@ class App {
             label.textContent = `ขั้นตอนที่ ${stepIndex + 1}: ${step.title}`;
 
             // Initialize Flatpickr if not already attached
-            const fpConfig = {
-                dateFormat: "d/m/Y",
-                locale: "th",
-                allowInput: true
-            };
+            const fpConfig = ThaiDate.pickerOptions();
 
             if (!inpDocDate._flatpickr) flatpickr(inpDocDate, fpConfig);
             if (!inpDate._flatpickr) flatpickr(inpDate, fpConfig);
@@ -1606,8 +7966,8 @@ class App {
             inpSuffix.value = '';
 
             // Set dates via Flatpickr
-            let docDateStr = this._formatDDMMYYYY(new Date());
-            let completeDateStr = '';
+            let docDate = new Date();
+            let completeDate = null;
 
             // Check for existing data (Edit mode OR saved draft)
             const hasData = step.documentNumber || step.documentDate || step.completed;
@@ -1622,8 +7982,8 @@ class App {
                     inpSuffix.value = fullDocNum;
                     inpPrefix.value = ''; // clear prefix if mismatch 
                 }
-                if (step.documentDate) docDateStr = step.documentDate;
-                if (step.completedAt) completeDateStr = this._formatDDMMYYYY(new Date(step.completedAt));
+                if (step.documentDate) docDate = ThaiDate.toDate(step.documentDate) || docDate;
+                if (step.completedAt) completeDate = new Date(step.completedAt);
 
                 if (mode === 'edit') {
                     btnConfirm.innerHTML = '<i class="fa-solid fa-save"></i> บันทึกการแก้ไข';
@@ -1633,11 +7993,14 @@ class App {
             } else {
                 btnConfirm.innerHTML = '<i class="fa-solid fa-check"></i> ยืนยันเสร็จสิ้น';
             }
+            if (step.requiresApproval && !step.completed) {
+                btnConfirm.innerHTML = '<i class="fa-solid fa-stamp"></i> ส่งขออนุมัติ';
+            }
 
-            inpDocDate._flatpickr.setDate(this._parseDDMMYYYY(docDateStr) || new Date());
+            inpDocDate._flatpickr.setDate(docDate);
 
-            if (completeDateStr) {
-                inpDate._flatpickr.setDate(this._parseDDMMYYYY(completeDateStr));
+            if (completeDate) {
+                inpDate._flatpickr.setDate(completeDate);
             } else {
                 inpDate._flatpickr.clear();
             }
@@ -1655,29 +8018,44 @@ class App {
 
             // Logic helper
             const getStepData = () => {
-                const prefix = inpPrefix.value.trim();
-                if (prefix) this.activeProject.docNumberPrefix = prefix;
-
                 const suffix = inpSuffix.value.trim();
+                const prefix = inpPrefix.value.trim();
                 let fullDocNum = null;
                 if (prefix || suffix) fullDocNum = prefix + suffix;
+                const docDate = ThaiDate.parse(inpDocDate.value);
+
+                return {
+                    documentNumber: fullDocNum,
+                    documentDate: docDate ? ThaiDate.toDateString(docDate) : null
+                };
+            };
 
-                step.documentNumber = fullDocNum;
-                step.documentDate = inpDocDate.value.trim() || null;
+            // Remember the prefix on the project as the default for next time
+            const getPrefixChanges = () => {
+                const prefix = inpPrefix.value.trim();
+                if (!prefix || prefix === this.activeProject.docNumberPrefix) return [];
+                return [ProjectPatch.set(['docNumberPrefix'], prefix, this.activeProject.docNumberPrefix)];
             };
 
             newBtn.addEventListener('click', async () => {
-                step.completed = true;
-                getStepData();
-
                 // Confirm: Default to now if empty
-                const parsedDate = this._parseDDMMYYYY(inpDate.value.trim());
-                step.completedAt = parsedDate ? parsedDate.toISOString() : new Date().toISOString();
+                const parsedDate = ThaiDate.parse(inpDate.value.trim());
 
                 modal.classList.remove('open');
+                if (step.requiresApproval && !step.completed) {
+                    await this.requestStepApproval(stepIndex, {
+                        ...getStepData(),
+                        completedAt: parsedDate ? parsedDate.toISOString() : new Date().toISOString()
+                    }, getPrefixChanges());
+                    return;
+                }
                 const msg = mode === 'edit' ? `บันทึกแก้ไขขั้นตอนที่ ${stepIndex + 1}` : `บันทึกขั้นตอนที่ ${stepIndex + 1} เสร็จสิ้น`;
                 this.showToast(msg, 'success');
-                await this._saveAndRefreshStep(stepIndex);
+                await this._saveAndRefreshStep(stepIndex, {
+                    completed: true,
+                    ...getStepData(),
+                    completedAt: parsedDate ? parsedDate.toISOString() : new Date().toISOString()
+                }, getPrefixChanges());
             });
 
             // Logic for Save Draft
@@ -1686,16 +8064,16 @@ class App {
             btnDraft.parentNode.replaceChild(newBtnDraft, btnDraft);
 
             newBtnDraft.addEventListener('click', async () => {
-                step.completed = false;
-                getStepData();
-
                 // Draft: Keep null if empty
-                const parsedDate = this._parseDDMMYYYY(inpDate.value.trim());
-                step.completedAt = parsedDate ? parsedDate.toISOString() : null;
+                const parsedDate = ThaiDate.parse(inpDate.value.trim());
 
                 modal.classList.remove('open');
                 this.showToast(`บันทึกชั่วคราว ขั้นตอนที่ ${stepIndex + 1}`, 'info');
-                await this._saveAndRefreshStep(stepIndex);
+                await this._saveAndRefreshStep(stepIndex, {
+                    completed: false,
+                    ...getStepData(),
+                    completedAt: parsedDate ? parsedDate.toISOString() : null
+                }, getPrefixChanges());
             });
         }
     }
@@ -1710,8 +8088,8 @@ class App {
         }
 
         const docNum = step.documentNumber || '-';
-        const docDate = step.documentDate || '-';
-        const completeDate = step.completedAt ? this._formatDDMMYYYY(new Date(step.completedAt)) : '-';
+        const docDate = ThaiDate.format(step.documentDate);
+        const completeDate = step.completedAt ? ThaiDate.format(step.completedAt) : '-';
 
         let statusColor = '#94a3b8';
         let statusIconClass = 'fa-circle';
@@ -1721,6 +8099,10 @@ class App {
             statusColor = '#10b981';
             statusIconClass = 'fa-circle-check';
             statusText = 'เสร็จสิ้น';
+        } else if (StepApproval.pending(step)) {
+            statusColor = '#f59e0b';
+            statusIconClass = 'fa-hourglass-half';
+            statusText = 'รออนุมัติ';
         }
 
         tooltip.innerHTML = `
@@ -1741,6 +8123,12 @@ class App {
                 <span class="step-tooltip-label"><i class="fa-solid fa-check"></i></span>
                 <span style="color:#e2e8f0;">สำเร็จ/อนุมัติ: ${completeDate}</span>
             </div>
+            ${step.dueDate ? `
+                <div class="step-tooltip-row">
+                    <span class="step-tooltip-label"><i class="fa-solid fa-hourglass-end"></i></span>
+                    <span style="color:${StepSchedule.isOverdue(step) ? '#f87171' : '#e2e8f0'};">กำหนดเสร็จ: ${ThaiDate.format(step.dueDate)}</span>
+                </div>
+            ` : ''}
         `;
 
         const rect = targetEl.getBoundingClientRect();
@@ -1754,19 +8142,225 @@ class App {
         if (tooltip) tooltip.style.display = 'none';
     }
 
-    async _saveAndRefreshStep(stepIndex) {
-        // Recalculate current pointer: first incomplete step
-        const firstIncompleteIdx = this.activeProject.steps.findIndex(s => !s.completed);
-        if (firstIncompleteIdx !== -1) {
-            this.activeProject.currentStepIndex = firstIncompleteIdx;
-            this.activeProject.status = 'active';
-        } else {
-            // All steps are completed
-            this.activeProject.currentStepIndex = this.activeProject.steps.length - 1;
-            this.activeProject.status = 'completed';
+    // Storage folder for the active project's uploads; storage.rules checks
+    // membership of the workspace in the path
+    _filesPath(folder) {
+        return `workspaces/${DataStore.accessCode}/projects/${this.activeProject.id}/${folder}`;
+    }
+
+    _stepPath(stepIndex = this.activeWorkflowStepIndex) {
+        return ['steps', { id: this.activeProject.steps[stepIndex].id }];
+    }
+
+    _checklistItemPath(item, stepIndex = this.activeWorkflowStepIndex) {
+        return [...this._stepPath(stepIndex), 'checklist', { text: item.text, createdAt: item.createdAt }];
+    }
+
+    // Persist field-level changes (see ProjectPatch) to the active project.
+    // They are applied locally first so the UI reacts immediately, then
+    // replayed in a transaction on the latest stored copy. A true conflict
+    // with someone else's edit opens the merge dialog instead of overwriting.
+    // Offline, the changes are queued and replayed when the connection returns.
+    // Each commit becomes one entry in the project's history (see AuditLog)
+    // and, unless `undoable` is false, one step on the undo stack.
+    // `undoMessage` shows a toast with an Undo button.
+    // Resolves true once the changes are stored or queued.
+    async commitChanges(changes, { undoable = true, undoMessage = null, summary = null } = {}) {
+        if (!this.activeProject || changes.length === 0) return false;
+        if (!this.requirePermission('edit')) return false;
+        const projectId = this.activeProject.id;
+        const audit = AuditLog.meta(summary);
+
+        const before = ProjectPatch.clone(this.activeProject);
+        // Every path (including undo and redo) goes through the approval gate
+        const preview = ProjectPatch.clone(before);
+        ProjectPatch.apply(preview, changes, { force: true });
+        const violations = StepApproval.violations(before, preview, Auth.currentUser.uid, this.role);
+        if (violations.length > 0) {
+            this.showToast(`ขั้นตอน "${this.escapeHtml(violations[0].step.title)}": ${violations[0].problem}`, 'warning');
+            return false;
+        }
+
+        const { applied } = ProjectPatch.apply(this.activeProject, changes, { force: true });
+        AuditLog.record(this.activeProject, before, applied, audit);
+        Project.updateProgress(this.activeProject);
+
+        try {
+            const saved = await this.saveChanges(before, changes, audit);
+            if (saved && saved.id === this.activeProject.id) this.activeProject = saved;
+        } catch (error) {
+            console.error("Error saving changes:", error);
+            // Take the change off the screen again: back to the last saved copy
+            if (this.activeProject && this.activeProject.id === projectId) {
+                this.activeProject = before;
+                if (this.currentView === 'detail') this.openProjectDetail(projectId, this.activeWorkflowStepIndex);
+            }
+            this.showToast('บันทึกไม่สำเร็จ: ' + error.message, 'error');
+            return false;
+        }
+
+        // Only a stored (or queued) change can be undone; undoing one that
+        // failed would write its inverse over other people's data
+        const inverse = undoable ? ProjectPatch.invert(applied) : null;
+        if (inverse && inverse.length > 0) {
+            this.undoStack.push({ projectId, changes, inverse, label: undoMessage || ProjectPatch.describe(before, changes[0].path) });
+            if (this.undoStack.length > UNDO_LIMIT) this.undoStack.shift();
+            this.redoStack = [];
+            if (undoMessage) {
+                this.showToast(undoMessage, 'success', { label: 'เลิกทำ', onClick: () => this.undo() });
+            }
+        }
+        return true;
+    }
+
+    // Persist changes to any project (not only the active one), without
+    // touching the UI. Resolves with the saved project, or null if queued.
+    saveChanges(project, changes, audit = AuditLog.meta()) {
+        return this.runOrQueue(
+            { kind: 'changes', projectId: project.id, changes, audit },
+            () => this.applyChangesWithMerge(project.id, changes, audit),
+            project
+        );
+    }
+
+    // Undo the last change to the active project (Ctrl+Z). The reverse
+    // changes go through commitChanges, so they are conflict-checked,
+    // queued offline and logged like any other edit.
+    async undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) {
+            this.showToast('ไม่มีรายการให้เลิกทำ', 'info');
+            return;
+        }
+        if (!await this.commitChanges(entry.inverse, { undoable: false, summary: `เลิกทำ: ${entry.label}` })) {
+            this.undoStack.push(entry);
+            return;
+        }
+        this.redoStack.push(entry);
+        this.refreshAfterUndo(`เลิกทำ: ${entry.label}`);
+    }
+
+    // Re-apply the last undone change (Ctrl+Shift+Z)
+    async redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) {
+            this.showToast('ไม่มีรายการให้ทำซ้ำ', 'info');
+            return;
+        }
+        if (!await this.commitChanges(entry.changes, { undoable: false, summary: `ทำซ้ำ: ${entry.label}` })) {
+            this.redoStack.push(entry);
+            return;
+        }
+        this.undoStack.push(entry);
+        this.refreshAfterUndo(`ทำซ้ำ: ${entry.label}`);
+    }
+
+    refreshAfterUndo(message) {
+        this.renderWorkflowTabs();
+        this.loadWorkflowStep(this.activeWorkflowStepIndex);
+        this.showToast(message, 'info');
+    }
+
+    // Resolves with the saved project, or with the other user's version
+    // when every conflicting change was given up in the merge dialog.
+    async applyChangesWithMerge(projectId, changes, audit) {
+        let pending = changes;
+        let latest = null;
+        while (pending.length > 0) {
+            try {
+                const saved = await DataStore.applyChanges(projectId, pending, audit);
+                this.publishShares(saved);
+                return saved;
+            } catch (error) {
+                if (!(error instanceof ProjectConflictError)) throw error;
+                pending = await this.promptMerge(pending, error.conflicts, error.remote);
+                latest = error.remote;
+            }
         }
+        return latest;
+    }
+
+    // Ask the user how to resolve conflicting changes. Resolves with the
+    // changes to retry (conflicts the user kept are forced), or [] to keep
+    // the other user's version entirely.
+    promptMerge(changes, conflicts, remote) {
+        const modal = document.getElementById('modal-merge-conflict');
+        const list = document.getElementById('merge-conflict-list');
+
+        const formatValue = (value) => this.formatChangeValue(value);
+
+        list.innerHTML = conflicts.map((c, i) => `
+            <div class="merge-conflict-row">
+                <div class="merge-conflict-field">${this.escapeHtml(ProjectPatch.describe(remote, c.path))}</div>
+                ${c.missing ? `
+                    <div class="merge-conflict-missing"><i class="fa-solid fa-circle-exclamation"></i> รายการนี้ถูกลบโดยผู้อื่นแล้ว</div>
+                ` : `
+                    <label class="merge-conflict-option">
+                        <input type="radio" name="merge-choice-${i}" value="theirs" checked>
+                        <span>ของผู้อื่น: <strong>${formatValue(c.current)}</strong></span>
+                    </label>
+                    <label class="merge-conflict-option">
+                        <input type="radio" name="merge-choice-${i}" value="mine">
+                        <span>ของฉัน: <strong>${formatValue(c.value)}</strong></span>
+                    </label>
+                `}
+            </div>
+        `).join('');
+
+        modal.classList.add('open');
+
+        return new Promise(resolve => {
+            const finish = (useMine) => {
+                modal.classList.remove('open');
+                btnApply.onclick = null;
+                btnTheirs.onclick = null;
 
-        await FirestoreManager.updateProject(this.activeProject);
+                const decisions = new Map(conflicts.map((c, i) => {
+                    const picked = list.querySelector(`input[name="merge-choice-${i}"]:checked`);
+                    return [c.index, !c.missing && useMine && picked && picked.value === 'mine'];
+                }));
+
+                if (!useMine) {
+                    resolve([]);
+                    return;
+                }
+                resolve(changes
+                    .map((change, i) => {
+                        if (!decisions.has(i)) return change;
+                        return decisions.get(i) ? { ...change, force: true } : null;
+                    })
+                    .filter(Boolean));
+            };
+
+            const btnApply = document.getElementById('btn-merge-apply');
+            const btnTheirs = document.getElementById('btn-merge-theirs');
+            btnApply.onclick = () => finish(true);
+            btnTheirs.onclick = () => finish(false);
+        });
+    }
+
+    // Save field changes to one step (plus any extra project-level changes).
+    // The current step pointer and status are recalculated on save.
+    async _saveAndRefreshStep(stepIndex, stepChanges = {}, extraChanges = [], options = {}) {
+        const step = this.activeProject.steps[stepIndex];
+        const stepPath = this._stepPath(stepIndex);
+        const changes = Object.entries(stepChanges)
+            .filter(([key, value]) => !ProjectPatch.same(step[key], value))
+            .map(([key, value]) => ProjectPatch.set([...stepPath, key], value, step[key]));
+
+        // Completing a step reschedules the ones after it; reverting it
+        // reschedules from the completion before it
+        const due = stepChanges.completed && !step.completed
+            ? StepSchedule.plan(this.activeProject, stepIndex, stepChanges.completedAt || new Date())
+            : stepChanges.completed === false && step.completed
+                ? StepSchedule.afterRevert(this.activeProject, stepIndex)
+                : [];
+        due.filter(([i, dueDate]) => this.activeProject.steps[i].dueDate !== dueDate)
+            .forEach(([i, dueDate]) => {
+                changes.push(ProjectPatch.set([...this._stepPath(i), 'dueDate'], dueDate, this.activeProject.steps[i].dueDate));
+            });
+
+        await this.commitChanges([...changes, ...extraChanges], options);
 
         // Refresh View
         this.loadWorkflowStep(stepIndex);
@@ -1780,8 +8374,7 @@ class App {
         this.detailProgressPercent.textContent = `${percent}%`;
 
         // Celebration if 100% and it was just completed
-        const step = this.activeProject.steps[stepIndex];
-        if (percent === 100 && step.completed) {
+        if (percent === 100 && this.activeProject.steps[stepIndex].completed) {
             this.triggerCelebration();
         }
     }
@@ -1795,7 +8388,7 @@ class App {
             return;
         }
 
-        const projects = await FirestoreManager.getProjects();
+        const projects = (await DataStore.getProjects()).filter(p => !Project.isTrashed(p));
         const results = [];
         const q = query.toLowerCase();
 
@@ -1831,7 +8424,7 @@ class App {
             const after = r.documentNumber.substring(idx + query.length);
             const highlighted = `${this.escapeHtml(before)}<mark style="background: #fbbf24; color: #1e293b; border-radius: 2px; padding: 0 1px;">${this.escapeHtml(match)}</mark>${this.escapeHtml(after)}`;
 
-            const dateStr = r.completedAt ? new Date(r.completedAt).toLocaleDateString('th-TH') : '';
+            const dateStr = r.completedAt ? ThaiDate.format(r.completedAt) : '';
 
             return `
                 <div class="doc-search-item" data-project-id="${r.projectId}" data-step-index="${r.stepIndex}"
@@ -1892,7 +8485,8 @@ class App {
         this.showToast('🎉 ยินดีด้วย! คุณสะสางโครงการนี้สำเร็จแล้ว', 'success');
     }
 
-    showToast(message, type = 'info') {
+    // `action` ({ label, onClick }) adds a button, e.g. Undo
+    showToast(message, type = 'info', action = null) {
         const toast = document.createElement('div');
         toast.className = `toast toast-${type}`;
 
@@ -1902,12 +8496,24 @@ class App {
 
         toast.innerHTML = `${icon} <span>${message}</span>`;
 
+        if (action) {
+            const btn = document.createElement('button');
+            btn.className = 'toast-action';
+            btn.textContent = action.label;
+            btn.addEventListener('click', () => {
+                toast.remove();
+                action.onClick();
+            });
+            toast.appendChild(btn);
+        }
+
         document.getElementById('toast-container').appendChild(toast);
 
+        // Leave time to reach the action button
         setTimeout(() => {
             toast.style.animation = 'fadeOut 0.3s forwards';
             setTimeout(() => toast.remove(), 300);
-        }, 3000);
+        }, action ? 6000 : 3000);
     }
     initSettings() {
         this.navSettings = document.getElementById('nav-settings');
@@ -1916,6 +8522,44 @@ class App {
         this.btnResetSteps = document.getElementById('btn-reset-steps');
         this.btnSaveSettings = document.getElementById('btn-save-settings');
         this.btnAddStepTemplate = document.getElementById('btn-add-step-template');
+        this.settingsTemplateLibrary = document.getElementById('settings-template-library');
+        this.selSettingsTemplate = document.getElementById('sel-settings-template');
+        this.inpTemplateName = document.getElementById('inp-template-name');
+        this.templateMatchOptions = document.getElementById('template-match-options');
+
+        // Template library (global mode)
+        this.selSettingsTemplate.addEventListener('change', () => this.selectSettingsTemplate(parseInt(this.selSettingsTemplate.value)));
+        this.inpTemplateName.addEventListener('input', () => {
+            this.tempStepTemplates[this.tempTemplateIndex].name = this.inpTemplateName.value;
+            this.selSettingsTemplate.options[this.tempTemplateIndex].textContent = `${this.tempTemplateIndex + 1}. ${this.inpTemplateName.value}`;
+        });
+        this.templateMatchOptions.addEventListener('change', (e) => {
+            const field = e.target.dataset.field;
+            if (!field) return;
+            this.tempStepTemplates[this.tempTemplateIndex][field] =
+                [...this.templateMatchOptions.querySelectorAll(`[data-field="${field}"]:checked`)].map(c => c.value);
+        });
+        document.getElementById('btn-new-template').addEventListener('click', () => {
+            // A copy of the selected template, ahead of it so it is matched first
+            const source = this.tempStepTemplates[this.tempTemplateIndex];
+            const { pendingReview, ...copy } = JSON.parse(JSON.stringify(source));
+            this.tempStepTemplates.unshift({
+                ...copy,
+                id: `template-${Date.now()}`,
+                name: `${source.name} (สำเนา)`
+            });
+            this.selectSettingsTemplate(0);
+        });
+        document.getElementById('btn-delete-template').addEventListener('click', () => {
+            if (this.tempStepTemplates.length <= 1) {
+                this.showToast('ต้องมีแม่แบบอย่างน้อย 1 แบบ', 'warning');
+                return;
+            }
+            const template = this.tempStepTemplates[this.tempTemplateIndex];
+            if (!confirm(`ลบแม่แบบ "${template.name}"? โครงการที่สร้างไปแล้วจะไม่ได้รับผลกระทบ`)) return;
+            this.tempStepTemplates.splice(this.tempTemplateIndex, 1);
+            this.selectSettingsTemplate(0);
+        });
 
         // Add Step Listener
         if (this.btnAddStepTemplate) {
@@ -1947,12 +8591,19 @@ class App {
         this.inpEditStepTitle = document.getElementById('edit-step-title');
         this.inpEditStepChecklist = document.getElementById('edit-step-checklist');
         this.inpEditStepId = document.getElementById('edit-step-id');
+        this.inpEditStepDuration = document.getElementById('edit-step-duration');
+        this.inpEditStepApproval = document.getElementById('edit-step-approval');
+        this.inpEditStepApprover = document.getElementById('edit-step-approver');
+        this.inpEditStepApproval.addEventListener('change', () => {
+            this.inpEditStepApprover.disabled = !this.inpEditStepApproval.checked;
+        });
         this.btnConfirmStepEdit = document.getElementById('btn-confirm-step-edit');
 
         // Nav Click
         if (this.navSettings) {
             this.navSettings.addEventListener('click', (e) => {
                 e.preventDefault();
+                if (!this.requirePermission('settings')) return;
                 this.openSettingsModal(true); // Global mode
             });
         }
@@ -1960,6 +8611,7 @@ class App {
         // Project Specific Edit Click
         if (this.btnEditProjectWorkflow) {
             this.btnEditProjectWorkflow.addEventListener('click', () => {
+                if (!this.requirePermission('edit')) return;
                 this.openSettingsModal(false); // Project mode
             });
         }
@@ -1985,9 +8637,9 @@ class App {
         // Reset
         if (this.btnResetSteps) {
             this.btnResetSteps.addEventListener('click', () => {
-                if (confirm('คุณแน่ใจหรือไม่ที่จะคืนค่าเริ่มต้น? การแก้ไขทั้งหมดจะหายไป')) {
-                    this.tempStepsTemplate = JSON.parse(JSON.stringify(STEPS_TEMPLATE));
-                    this.renderSettingsSteps();
+                if (confirm('คุณแน่ใจหรือไม่ที่จะคืนค่าเริ่มต้น? แม่แบบและการแก้ไขทั้งหมดจะหายไป')) {
+                    this.tempStepTemplates = JSON.parse(JSON.stringify(DEFAULT_STEP_TEMPLATES));
+                    this.selectSettingsTemplate(0);
                 }
             });
         }
@@ -1995,7 +8647,7 @@ class App {
         // Save
         if (this.btnSaveSettings) {
             this.btnSaveSettings.addEventListener('click', async () => {
-                const code = FirestoreManager.accessCode;
+                const code = DataStore.accessCode;
                 if (!code) {
                     this.showToast('ไม่พบรหัสการเข้าถึง กรุณาลองใหม่', 'error');
                     return;
@@ -2003,61 +8655,88 @@ class App {
                 try {
                     if (this.isEditingGlobalSettings) {
                         // --- GLOBAL SAVE LOGIC ---
-                        this.stepsTemplate = JSON.parse(JSON.stringify(this.tempStepsTemplate));
-
-                        const workspace = await FirestoreManager.getWorkspaceData();
-                        const projects = workspace.projects || [];
-
-                        projects.forEach(p => {
-                            if (p.steps && p.steps.length === this.stepsTemplate.length) {
-                                p.steps.forEach((s, idx) => {
-                                    const templateStep = this.stepsTemplate[idx];
-                                    s.title = templateStep.title;
-                                    const newChecklistTexts = templateStep.defaultChecklist || [];
-                                    const existingItems = s.checklist || [];
-                                    s.checklist = newChecklistTexts.map(text => {
-                                        const match = existingItems.find(item => item.text === text);
-                                        return { text: text, checked: match ? match.checked : false };
-                                    });
-                                });
-                            }
-                        });
+                        const unnamed = this.tempStepTemplates.find(t => !t.name.trim());
+                        if (unnamed) {
+                            this.showToast('กรุณาตั้งชื่อแม่แบบให้ครบ', 'warning');
+                            return;
+                        }
+                        this.stepTemplates = JSON.parse(JSON.stringify(this.role === 'owner'
+                            ? StepTemplates.reviewed(this.tempStepTemplates) : this.tempStepTemplates));
+
+                        const projects = await DataStore.getProjects();
 
-                        await FirestoreManager.updateWorkspaceSettings(code, {
-                            customSteps: this.stepsTemplate,
-                            projects: projects
+                        await DataStore.updateWorkspaceSettings(code, {
+                            stepTemplates: this.stepTemplates
                         });
+
+                        // Each project follows the template it was created from.
+                        // Only the step fields the template owns are written, as
+                        // field-level changes, so edits made to those projects in
+                        // the meantime are kept (or go through the merge dialog)
+                        const audit = AuditLog.meta('ปรับชื่อขั้นตอน/เช็กลิสต์ตามการตั้งค่าส่วนกลาง');
+                        for (const p of projects) {
+                            const template = StepTemplates.ofProject(this.stepTemplates, p);
+                            if (!template || !p.steps || p.steps.length !== template.steps.length) continue;
+
+                            const changes = [];
+                            p.steps.forEach((s, idx) => {
+                                const templateStep = template.steps[idx];
+                                const existingItems = s.checklist || [];
+                                const fields = {
+                                    title: templateStep.title,
+                                    // Approval settings are the owners' (see StepApproval)
+                                    ...(this.can('approvals') ? {
+                                        requiresApproval: !!templateStep.requiresApproval,
+                                        approver: templateStep.approver || null
+                                    } : {}),
+                                    durationDays: templateStep.durationDays || null,
+                                    // Keep the item itself so its notes and key survive
+                                    checklist: (templateStep.defaultChecklist || []).map(text =>
+                                        existingItems.find(item => item.text === text) || Project.checklistItem(text))
+                                };
+                                Object.entries(fields).forEach(([field, value]) => {
+                                    if (!ProjectPatch.same(s[field], value)) {
+                                        changes.push(ProjectPatch.set(['steps', { id: s.id }, field], value, s[field]));
+                                    }
+                                });
+                            });
+                            if (changes.length > 0) await this.saveChanges(p, changes, audit);
+                        }
                         this.showToast('บันทึกการตั้งค่าและอัปเดตโครงการทั้งหมดแล้ว', 'success');
                     } else {
                         // --- PROJECT SPECIFIC SAVE LOGIC ---
                         if (!this.activeProject) return;
 
-                        this.activeProject.steps = this.tempStepsTemplate.map((t, idx) => {
+                        const steps = this.tempStepsTemplate.map((t, idx) => {
                             // Find existing step if possible (by ID or index)
                             const existing = this.activeProject.steps.find(s => s.id === t.id) || this.activeProject.steps[idx];
 
+                            // Keep everything recorded on the step (notes, document number, ...)
                             return {
+                                completed: false,
+                                completedAt: null,
+                                assignee: null,
+                                approvals: [],
+                                dueDate: null,
+                                committee: null,
+                                priceWorksheet: null,
+                                timeline: [],
+                                postits: [],
+                                ...existing,
                                 id: t.id || idx + 1,
                                 title: t.title,
-                                completed: existing ? existing.completed : false,
-                                completedAt: existing ? existing.completedAt : null,
-                                notes: existing ? existing.notes : "",
+                                requiresApproval: !!t.requiresApproval,
+                                approver: t.approver || null,
+                                durationDays: t.durationDays || null,
                                 checklist: t.defaultChecklist.map(text => {
                                     const match = existing ? existing.checklist.find(item => item.text === text) : null;
-                                    return {
-                                        text: text,
-                                        checked: match ? match.checked : false
-                                    };
+                                    return match || Project.checklistItem(text);
                                 })
                             };
                         });
 
-                        // Adjust currentStepIndex if steps were removed and it's out of bounds
-                        if (this.activeProject.currentStepIndex >= this.activeProject.steps.length) {
-                            this.activeProject.currentStepIndex = Math.max(0, this.activeProject.steps.length - 1);
-                        }
-
-                        await FirestoreManager.updateProject(this.activeProject);
+                        // currentStepIndex is recalculated on save, so removed steps can't leave it out of bounds
+                        await this.commitChanges([ProjectPatch.set(['steps'], steps, this.activeProject.steps)]);
                         this.showToast(`จัดการขั้นตอนของโครงการ "${this.activeProject.name}" เรียบร้อยแล้ว`, 'success');
 
                         // Current view is already 'detail', so this will refresh the UI
@@ -2083,26 +8762,65 @@ class App {
     openSettingsModal(isGlobal = true) {
         this.isEditingGlobalSettings = isGlobal;
 
+        this.settingsTemplateLibrary.style.display = isGlobal ? 'block' : 'none';
         if (isGlobal) {
-            this.tempStepsTemplate = JSON.parse(JSON.stringify(this.stepsTemplate));
-            this.modalSettings.querySelector('h2').textContent = 'ตั้งค่าขั้นตอน (Global Template)';
+            this.tempStepTemplates = JSON.parse(JSON.stringify(this.stepTemplates));
+            this.modalSettings.querySelector('h2').textContent = 'ตั้งค่าขั้นตอน (คลังแม่แบบ)';
             if (this.btnResetSteps) this.btnResetSteps.style.display = 'block';
+            this.selectSettingsTemplate(0); // Renders its steps
         } else {
             // For specifically editing active project
             // We need to convert project.steps structure back to template structure
             this.tempStepsTemplate = this.activeProject.steps.map(s => ({
                 id: s.id,
                 title: s.title,
-                defaultChecklist: s.checklist.map(c => c.text)
+                defaultChecklist: s.checklist.map(c => c.text),
+                requiresApproval: !!s.requiresApproval,
+                approver: s.approver || null,
+                durationDays: s.durationDays || null
             }));
             this.modalSettings.querySelector('h2').textContent = `จัดการขั้นตอน: ${this.activeProject.name}`;
             if (this.btnResetSteps) this.btnResetSteps.style.display = 'none';
+            this.renderSettingsSteps();
         }
 
-        this.renderSettingsSteps();
         if (this.modalSettings) this.modalSettings.classList.add('open');
     }
 
+    // Show template `index` of the library being edited; its steps become the list below
+    selectSettingsTemplate(index) {
+        this.tempTemplateIndex = index;
+        const template = this.tempStepTemplates[index];
+        this.tempStepsTemplate = template.steps;
+
+        this.selSettingsTemplate.innerHTML = this.tempStepTemplates.map((t, i) =>
+            `<option value="${i}" ${i === index ? 'selected' : ''}>${i + 1}. ${this.escapeHtml(t.name)}</option>`).join('');
+        this.inpTemplateName.value = template.name;
+
+        const checkboxes = (field, labels) => Object.entries(labels).map(([value, label]) => `
+            <label class="method-rule-check">
+                <input type="checkbox" data-field="${field}" value="${value}" ${template[field].includes(value) ? 'checked' : ''}> ${label}
+            </label>
+        `).join('');
+        this.templateMatchOptions.innerHTML = `
+            <div class="method-rule-options"><span>ใช้กับวิธี:</span> ${checkboxes('methods', PROCUREMENT_METHOD_LABELS)}</div>
+            <div class="method-rule-options"><span>ประเภท:</span> ${checkboxes('purchaseTypes', PURCHASE_TYPE_LABELS)}</div>
+            ${template.pendingReview ? `
+            <p class="template-review-note"><i class="fa-solid fa-circle-info"></i>
+                แม่แบบนี้มาจากขั้นตอนเดิมของ Workspace และใช้กับโครงการใหม่ทุกวิธีจนกว่าเจ้าของจะตรวจคลังแม่แบบแล้วกดบันทึก
+                (หลังบันทึกจะย้ายไปเป็นแม่แบบสุดท้ายสำหรับโครงการที่ไม่ตรงกับแม่แบบอื่น)</p>` : ''}
+        `;
+
+        this.renderSettingsSteps();
+    }
+
+    // Pick the create form's template from its method and type, unless the user chose one
+    suggestProjectTemplate() {
+        if (this.inpProjectTemplate.dataset.picked) return;
+        const template = StepTemplates.forProject(this.stepTemplates, this.inpProjectMethod.value, document.getElementById('inp-project-type').value);
+        this.inpProjectTemplate.value = template.id;
+    }
+
     renderSettingsSteps() {
         if (!this.settingsStepsContainer) return;
         this.settingsStepsContainer.innerHTML = '';
@@ -2117,6 +8835,8 @@ class App {
                     Step ${index + 1}: ${step.title}
                     <div style="font-size:0.8rem; color:var(--text-muted); font-weight:normal;">
                         ${step.defaultChecklist ? step.defaultChecklist.length : 0} รายการตรวจสอบ
+                        ${step.durationDays ? `· <i class="fa-regular fa-clock"></i> ${step.durationDays} วันทำการ` : ''}
+                        ${step.requiresApproval ? `· <i class="fa-solid fa-stamp"></i> ต้องอนุมัติ${step.approver ? ` โดย ${this.escapeHtml(step.approver.name)}` : ''}` : ''}
                     </div>
                 </div>
                 <div class="step-setting-actions">
@@ -2151,6 +8871,11 @@ class App {
         if (this.inpEditStepId) this.inpEditStepId.value = index;
         if (this.inpEditStepTitle) this.inpEditStepTitle.value = step.title;
         if (this.inpEditStepChecklist) this.inpEditStepChecklist.value = (step.defaultChecklist || []).join('\n');
+        this.inpEditStepDuration.value = step.durationDays || '';
+        this.inpEditStepApproval.checked = !!step.requiresApproval;
+        this.inpEditStepApproval.disabled = !this.can('approvals');
+        this.inpEditStepApprover.innerHTML = this.assigneeOptions(step.approver || null, Membership.approvers(this.workspace), 'เจ้าของ Workspace คนใดก็ได้');
+        this.inpEditStepApprover.disabled = !step.requiresApproval || !this.can('approvals');
 
         if (this.modalEditStep) this.modalEditStep.classList.add('open');
     }
@@ -2169,6 +8894,13 @@ class App {
         if (this.tempStepsTemplate[index]) {
             this.tempStepsTemplate[index].title = newTitle;
             this.tempStepsTemplate[index].defaultChecklist = newChecklist;
+            this.tempStepsTemplate[index].durationDays = parseInt(this.inpEditStepDuration.value) > 0 ? parseInt(this.inpEditStepDuration.value) : null;
+            if (this.can('approvals')) {
+                this.tempStepsTemplate[index].requiresApproval = this.inpEditStepApproval.checked;
+                this.tempStepsTemplate[index].approver = this.inpEditStepApproval.checked
+                    ? this.assigneeFromValue(this.inpEditStepApprover.value, this.tempStepsTemplate[index].approver)
+                    : null;
+            }
         }
 
         this.renderSettingsSteps();
@@ -2180,7 +8912,7 @@ class App {
         this.timelineList.innerHTML = '';
 
         const stepData = this.activeProject.steps[this.activeWorkflowStepIndex];
-        const timeline = stepData.timeline || [];
+        const timeline = stepData.timeline;
 
         // Sort by timestamp (descending)
         const sorted = [...timeline].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
@@ -2194,18 +8926,16 @@ class App {
             const div = document.createElement('div');
             div.className = 'note-item';
             div.dataset.id = note.timestamp;
+            const notePath = [...this._stepPath(), 'timeline', { timestamp: note.timestamp }];
 
-            const dateStr = new Date(note.timestamp).toLocaleString('th-TH', {
-                day: '2-digit', month: '2-digit', year: 'numeric',
-                hour: '2-digit', minute: '2-digit'
-            });
+            const dateStr = ThaiDate.format(note.timestamp, true);
 
             div.innerHTML = `
                 <div class="note-timestamp">
                     <span class="info-badge" style="background:none; padding:0;"><i class="fa-regular fa-clock"></i> ${dateStr}</span>
                     <div style="display:flex; gap:0.25rem;">
                         <button class="btn-note-edit" title="แก้ไข"><i class="fa-solid fa-pen-to-square"></i></button>
-                        <button class="btn-delete-timeline" title="ลบ" style="background:none; border:none; color:var(--text-muted); cursor:pointer;"><i class="fa-solid fa-trash-can"></i></button>
+                        <button class="btn-delete-timeline requires-edit" title="ลบ" style="background:none; border:none; color:var(--text-muted); cursor:pointer;"><i class="fa-solid fa-trash-can"></i></button>
                     </div>
                 </div>
                 <div class="note-content-display">${note.text}</div>
@@ -2226,7 +8956,7 @@ class App {
 
             // Render attachments
             if (note.attachments && note.attachments.length > 0) {
-                const attachEls = this.renderAttachments(note.attachments, 'timeline', true, note, timeline);
+                const attachEls = this.renderAttachments(note.attachments, 'timeline', true, notePath);
                 attachContainer.appendChild(attachEls);
             }
 
@@ -2249,16 +8979,15 @@ class App {
                 const newText = textarea.value.trim();
                 if (!newText) return;
 
-                note.text = newText;
-                await FirestoreManager.updateProject(this.activeProject);
+                await this.commitChanges([ProjectPatch.set([...notePath, 'text'], newText, note.text)], {
+                    undoMessage: 'แก้ไขบันทึกแล้ว'
+                });
                 this.renderTimeline();
-                this.showToast('แก้ไขบันทึกแล้ว', 'success');
             });
 
             div.querySelector('.btn-delete-timeline').addEventListener('click', async () => {
-                if (confirm('ลบบันทึกเหตุการณ์นี้?')) {
-                    stepData.timeline = stepData.timeline.filter(n => n.timestamp !== note.timestamp);
-                    await FirestoreManager.updateProject(this.activeProject);
+                if (confirm('ย้ายบันทึกเหตุการณ์นี้ไปถังขยะ?')) {
+                    await this.commitChanges(Trash.moveChanges(this.activeProject, notePath, 'note'), { undoMessage: 'ย้ายบันทึกเหตุการณ์ไปถังขยะแล้ว' });
                     this.renderTimeline();
                 }
             });
@@ -2272,27 +9001,26 @@ class App {
         this.postitsList.innerHTML = '';
 
         const stepData = this.activeProject.steps[this.activeWorkflowStepIndex];
-        const postits = stepData.postits || [];
+        const postits = stepData.postits;
 
         if (postits.length === 0) {
             this.postitsList.innerHTML = '<div style="color:var(--text-muted); font-size: 0.8rem; padding: 1rem; text-align: center; grid-column: 1/-1;">ไม่มีแผ่นโน้ต</div>';
             return;
         }
 
-        postits.forEach((note, idx) => {
+        postits.forEach((note) => {
             const div = document.createElement('div');
             div.className = 'note-item';
+            const notePath = [...this._stepPath(), 'postits', { timestamp: note.timestamp }];
 
-            const dateStr = new Date(note.timestamp).toLocaleString('th-TH', {
-                day: '2-digit', month: '2-digit', year: 'numeric'
-            });
+            const dateStr = ThaiDate.format(note.timestamp);
 
             div.innerHTML = `
                 <div class="note-timestamp">
                     <span>${dateStr}</span>
                     <div style="display:flex; gap:0.25rem;">
                         <button class="btn-note-edit" title="แก้ไข" style="background:none; border:none; color:inherit; cursor:pointer; opacity:0.6;"><i class="fa-solid fa-pen-to-square"></i></button>
-                        <button class="btn-delete-postit" title="ลบ" style="background:none; border:none; color:inherit; cursor:pointer;"><i class="fa-solid fa-times"></i></button>
+                        <button class="btn-delete-postit requires-edit" title="ลบ" style="background:none; border:none; color:inherit; cursor:pointer;"><i class="fa-solid fa-times"></i></button>
                     </div>
                 </div>
                 <div class="note-content-display" style="white-space: pre-wrap;">${note.text}</div>
@@ -2313,7 +9041,7 @@ class App {
 
             // Render attachments
             if (note.attachments && note.attachments.length > 0) {
-                const attachEls = this.renderAttachments(note.attachments, 'postit', true, note, postits);
+                const attachEls = this.renderAttachments(note.attachments, 'postit', true, notePath);
                 attachContainer.appendChild(attachEls);
             }
 
@@ -2337,16 +9065,15 @@ class App {
                 const newText = textarea.value.trim();
                 if (!newText) return;
 
-                note.text = newText;
-                await FirestoreManager.updateProject(this.activeProject);
+                await this.commitChanges([ProjectPatch.set([...notePath, 'text'], newText, note.text)], {
+                    undoMessage: 'แก้ไขโน้ตแล้ว'
+                });
                 this.renderPostits();
-                this.showToast('แก้ไขโน้ตแล้ว', 'success');
             });
 
             div.querySelector('.btn-delete-postit').addEventListener('click', async () => {
-                if (confirm('ลบโพสต์อิทนี้?')) {
-                    stepData.postits.splice(idx, 1);
-                    await FirestoreManager.updateProject(this.activeProject);
+                if (confirm('ย้ายโพสต์อิทนี้ไปถังขยะ?')) {
+                    await this.commitChanges(Trash.moveChanges(this.activeProject, notePath, 'note'), { undoMessage: 'ย้ายโพสต์อิทไปถังขยะแล้ว' });
                     this.renderPostits();
                 }
             });
@@ -2355,8 +9082,79 @@ class App {
         });
     }
 
+    // Audit trail of the active project, newest first. Archived entries
+    // (see AuditLog.overflow) are fetched when the user asks for them.
+    renderHistory() {
+        if (!this.historyList || !this.activeProject) return;
+        this.historyActorName.textContent = AuditLog.actor;
+
+        const project = this.activeProject;
+        // Loaded entries go stale once more are archived
+        const loaded = this.olderHistory;
+        const older = loaded && loaded.projectId === project.id && loaded.count === project.archivedHistory ? loaded.entries : null;
+        const history = [...(older || []), ...project.history];
+        if (history.length === 0) {
+            this.historyList.innerHTML = '<div class="empty-state-small">ยังไม่มีประวัติการแก้ไข</div>';
+            return;
+        }
+
+        const opIcons = { set: 'fa-pen', push: 'fa-plus', remove: 'fa-trash' };
+        this.historyList.innerHTML = [...history].reverse().map(entry => `
+            <div class="history-entry">
+                <div class="history-meta">
+                    <span><i class="fa-regular fa-user"></i> ${this.escapeHtml(entry.actor)}</span>
+                    <span>${ThaiDate.format(entry.at, true)}</span>
+                </div>
+                ${entry.summary ? `<div class="history-summary">${this.escapeHtml(entry.summary)}</div>` : ''}
+                ${entry.changes.map(c => `
+                    <div class="history-change">
+                        <i class="fa-solid ${opIcons[c.op] || 'fa-pen'}"></i>
+                        <span class="history-field">${this.escapeHtml(c.field)}</span>
+                        ${c.op === 'set' ? `<span class="history-old">${this.formatChangeValue(c.old)}</span> → <strong>${this.formatChangeValue(c.new)}</strong>` : ''}
+                        ${c.op === 'push' ? `เพิ่ม <strong>${this.formatChangeValue(c.new)}</strong>` : ''}
+                        ${c.op === 'remove' ? `ลบ <span class="history-old">${this.formatChangeValue(c.old)}</span>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+
+        if (project.archivedHistory && !older) {
+            const more = document.createElement('button');
+            more.type = 'button';
+            more.className = 'btn btn-outline btn-sm history-more';
+            more.textContent = `แสดงประวัติเก่าอีก ${project.archivedHistory} รายการ`;
+            more.addEventListener('click', async () => {
+                more.disabled = true;
+                try {
+                    this.olderHistory = {
+                        projectId: project.id,
+                        count: project.archivedHistory,
+                        entries: await DataStore.getArchivedHistory(project.id)
+                    };
+                    this.renderHistory();
+                } catch (error) {
+                    console.error("Error loading archived history:", error);
+                    this.showToast('โหลดประวัติเก่าไม่สำเร็จ: ' + error.message, 'error');
+                    more.disabled = false;
+                }
+            });
+            this.historyList.appendChild(more);
+        }
+    }
+
+    formatChangeValue(value) {
+        if (value === undefined || value === null || value === '') return '-';
+        if (typeof value === 'boolean') return value ? '✓' : '✗';
+        if (Array.isArray(value)) return `${value.length} รายการ`;
+        if (typeof value === 'object' && (value.uid || value.id) && value.name) return this.escapeHtml(value.name); // an assignee or vendor
+        if (typeof value === 'object' && value.justification) return this.escapeHtml(value.justification); // a method override
+        if (typeof value === 'object') return this.escapeHtml(JSON.stringify(value).slice(0, 60));
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}(T|$)/.test(value)) return this.escapeHtml(ThaiDate.format(value, value.includes('T')));
+        return this.escapeHtml(String(value));
+    }
+
     // Helper to render attachments
-    renderAttachments(attachments, containerId, canDelete = true, parentNote = null, parentArray = null) {
+    renderAttachments(attachments, containerId, canDelete = true, notePath = null) {
         if (!attachments || attachments.length === 0) return '';
 
         const wrapper = document.createElement('div');
@@ -2366,11 +9164,16 @@ class App {
             const item = document.createElement('div');
             item.className = 'attachment-item';
 
+            // Local backends hand out object URLs, so resolve before use
+            const urlReady = FileStore.resolveUrl(file);
+
             if (file.type.startsWith('image/')) {
                 item.innerHTML = `
-                    <img src="${file.url}" class="attachment-thumb" title="${file.name}">
+                    <img class="attachment-thumb" title="${file.name}">
                 `;
-                item.querySelector('img').onclick = () => this.openLightbox(file.url, file.name);
+                const img = item.querySelector('img');
+                urlReady.then(url => img.src = url);
+                img.onclick = async () => this.openLightbox(await urlReady, file.name);
             } else {
                 item.innerHTML = `
                    <div class="attachment-pdf" title="${file.name}">
@@ -2378,30 +9181,31 @@ class App {
                         <span>${file.name}</span>
                    </div>
                 `;
-                item.onclick = (e) => {
+                item.onclick = async (e) => {
                     if (!e.target.closest('.attachment-delete')) {
-                        window.open(file.url, '_blank');
+                        window.open(await urlReady, '_blank');
                     }
                 };
             }
 
             if (canDelete) {
                 const delBtn = document.createElement('button');
-                delBtn.className = 'attachment-delete';
+                delBtn.className = 'attachment-delete requires-edit';
                 delBtn.innerHTML = '<i class="fa-solid fa-times"></i>';
                 delBtn.onclick = async (e) => {
                     e.stopPropagation();
-                    if (confirm(`ลบไฟล์แนบ ${file.name}?`)) {
-                        await FileUploadManager.delete(file);
-                        attachments.splice(idx, 1);
-                        await FirestoreManager.updateProject(this.activeProject);
+                    if (confirm(`ย้ายไฟล์แนบ ${file.name} ไปถังขยะ?`)) {
+                        // The file stays in storage until the trash is purged
+                        if (notePath) {
+                            await this.commitChanges(Trash.moveChanges(this.activeProject, [...notePath, 'attachments', { path: file.path }], 'attachment'), {
+                                undoMessage: 'ย้ายไฟล์แนบไปถังขยะแล้ว'
+                            });
+                        }
 
                         // Re-render
-                        if (parentNote && parentArray) {
-                            // Logic handled by caller usually, but here we might prefer full re-render
-                            if (containerId === 'timeline') this.renderTimeline();
-                            else if (containerId === 'postit') this.renderPostits();
-                        }
+                        if (containerId === 'timeline') this.renderTimeline();
+                        else if (containerId === 'postit') this.renderPostits();
+                        else if (containerId === 'checklist') this.loadWorkflowStep(this.activeWorkflowStepIndex);
                     }
                 };
                 item.appendChild(delBtn);
@@ -2432,7 +9236,7 @@ class App {
         if (file) {
             try {
                 this.showToast('กำลังอัปโหลดไฟล์...', 'info');
-                const fileData = await FileUploadManager.upload(file, `projects/${this.activeProject.id}/timeline`);
+                const fileData = await FileStore.upload(file, this._filesPath('timeline'));
                 attachments.push(fileData);
             } catch (e) {
                 this.showToast('Upload Error: ' + e.message, 'error');
@@ -2440,16 +9244,13 @@ class App {
             }
         }
 
-        const currentStep = this.activeProject.steps[this.activeWorkflowStepIndex];
-        if (!currentStep.timeline) currentStep.timeline = [];
-
-        currentStep.timeline.push({
-            text,
-            timestamp: new Date().toISOString(),
-            attachments: attachments
-        });
-
-        await FirestoreManager.updateProject(this.activeProject);
+        await this.commitChanges([
+            ProjectPatch.push([...this._stepPath(), 'timeline'], {
+                text,
+                timestamp: new Date().toISOString(),
+                attachments: attachments
+            })
+        ]);
         this.inpTimeline.value = '';
 
         // Reset file input
@@ -2476,7 +9277,7 @@ class App {
         if (file) {
             try {
                 this.showToast('กำลังอัปโหลดไฟล์...', 'info');
-                const fileData = await FileUploadManager.upload(file, `projects/${this.activeProject.id}/postits`);
+                const fileData = await FileStore.upload(file, this._filesPath('postits'));
                 attachments.push(fileData);
             } catch (e) {
                 this.showToast('Upload Error: ' + e.message, 'error');
@@ -2484,16 +9285,13 @@ class App {
             }
         }
 
-        const currentStep = this.activeProject.steps[this.activeWorkflowStepIndex];
-        if (!currentStep.postits) currentStep.postits = [];
-
-        currentStep.postits.push({
-            text,
-            timestamp: new Date().toISOString(),
-            attachments: attachments
-        });
-
-        await FirestoreManager.updateProject(this.activeProject);
+        await this.commitChanges([
+            ProjectPatch.push([...this._stepPath(), 'postits'], {
+                text,
+                timestamp: new Date().toISOString(),
+                attachments: attachments
+            })
+        ]);
         this.inpPostit.value = '';
 
         // Reset file input
@@ -2546,7 +9344,7 @@ class App {
             let html = `
                 <div style="color: #64748b; font-size: 12px; margin-bottom: 4px;">รายงานสรุปโครงการ</div>
                 <div style="font-size: 22px; font-weight: 700; color: #1e293b; margin-bottom: 4px;">${this.escapeHtml(project.name)}</div>
-                <div style="color: #64748b; font-size: 12px; margin-bottom: 12px;">สร้างเมื่อ: ${new Date(project.createdAt).toLocaleDateString('th-TH')}</div>
+                <div style="color: #64748b; font-size: 12px; margin-bottom: 12px;">สร้างเมื่อ: ${ThaiDate.format(project.createdAt)}</div>
                 <hr style="border: none; border-top: 2px solid #6366f1; margin-bottom: 16px;">
             `;
 
@@ -2556,10 +9354,11 @@ class App {
                 ['รายละเอียด', this.escapeHtml(project.description || '-')],
                 ['งบประมาณ', `${new Intl.NumberFormat('th-TH').format(project.budget || 0)} บาท`],
                 ['วงเงินตามสัญญา', `${new Intl.NumberFormat('th-TH').format(project.contractAmount || 0)} บาท`],
+                ['ราคากลาง', project.medianPrice ? `${new Intl.NumberFormat('th-TH', { maximumFractionDigits: 2 }).format(project.medianPrice)} บาท` : '-'],
                 ['ประเภทการจัดหา', getPurchaseTypeLabel(project.purchaseType)],
                 ['วิธีการจัดหา', getMethodLabel(project.procurementMethod)],
                 ['ระดับความเร่งด่วน', PRIORITY_LABELS[project.priority]?.label || 'ปกติ'],
-                ['กำหนดเสร็จ (Deadline)', project.deadline ? new Date(project.deadline).toLocaleDateString('th-TH') : '-'],
+                ['กำหนดเสร็จ (Deadline)', project.deadline ? ThaiDate.format(project.deadline) : '-'],
                 ['สถานะปัจจุบัน', project.status === 'completed' ? 'เสร็จสิ้นโครงการ' : 'กำลังดำเนินการ']
             ];
             html += `<table style="width: 100%; border-collapse: collapse; margin-bottom: 16px; font-size: 14px;">`;
@@ -2573,12 +9372,47 @@ class App {
             });
             html += `</table>`;
 
+            // --- Line Items ---
+            if (project.lineItems && project.lineItems.length > 0) {
+                const money = (n) => new Intl.NumberFormat('th-TH', { maximumFractionDigits: 2 }).format(n);
+                const cell = 'padding: 5px 8px; border: 1px solid #e2e8f0;';
+                const totals = LineItems.totals(project.lineItems);
+                html += `<div style="font-size: 17px; font-weight: 700; color: #4f46e5; margin: 20px 0 10px;">รายการพัสดุ</div>`;
+                html += `
+                    <table style="width: 100%; border-collapse: collapse; margin-bottom: 8px; font-size: 12px;">
+                        <tr style="background: #f1f5f9;">
+                            <th style="${cell}">#</th><th style="${cell}">รายการ</th><th style="${cell}">จำนวน</th>
+                            <th style="${cell}">ราคาประมาณการ/หน่วย</th><th style="${cell}">รวมประมาณการ</th>
+                            <th style="${cell}">ราคาตามสัญญา/หน่วย</th><th style="${cell}">รวมตามสัญญา</th>
+                        </tr>
+                        ${project.lineItems.map((item, i) => `
+                            <tr>
+                                <td style="${cell} text-align: center;">${i + 1}</td>
+                                <td style="${cell}">${this.escapeHtml(item.description)}${item.specification ? `<div style="color: #64748b;">${this.escapeHtml(item.specification)}</div>` : ''}</td>
+                                <td style="${cell} text-align: right; white-space: nowrap;">${money(item.quantity)} ${this.escapeHtml(item.unit)}</td>
+                                <td style="${cell} text-align: right;">${money(item.estimatedUnitPrice)}</td>
+                                <td style="${cell} text-align: right;">${money(item.quantity * item.estimatedUnitPrice)}</td>
+                                <td style="${cell} text-align: right;">${item.contractUnitPrice ? money(item.contractUnitPrice) : '-'}</td>
+                                <td style="${cell} text-align: right;">${item.contractUnitPrice ? money(item.quantity * item.contractUnitPrice) : '-'}</td>
+                            </tr>
+                        `).join('')}
+                        <tr style="font-weight: 700;">
+                            <td style="${cell} text-align: right;" colspan="4">รวม ${totals.count} รายการ</td>
+                            <td style="${cell} text-align: right;">${money(totals.estimated)}</td>
+                            <td style="${cell}"></td>
+                            <td style="${cell} text-align: right;">${totals.contracted ? money(totals.contracted) : '-'}</td>
+                        </tr>
+                    </table>
+                    ${LineItems.reconcile(project).map(n => `<div style="color: #d97706; font-size: 12px;">${n.text}</div>`).join('')}
+                `;
+            }
+
             // --- Workflow ---
             html += `<div style="font-size: 17px; font-weight: 700; color: #4f46e5; margin: 20px 0 10px;">ประวัติการดำเนินงาน (Workflow & Notes)</div>`;
 
             project.steps.forEach((step, index) => {
                 const statusColor = step.completed ? '#10b981' : '#94a3b8';
-                const statusText = step.completed ? `เสร็จสิ้นเมื่อ ${new Date(step.completedAt).toLocaleDateString('th-TH')}` : 'ยังไม่ดำเนินการ';
+                const statusText = step.completed ? `เสร็จสิ้นเมื่อ ${ThaiDate.format(step.completedAt)}` : 'ยังไม่ดำเนินการ';
 
                 html += `
                     <div style="background: #f1f5f9; padding: 8px 14px; border-radius: 6px; margin-bottom: 6px; display: flex; justify-content: space-between; align-items: center;">
@@ -2590,8 +9424,8 @@ class App {
                 // Document Number & Date & Completion Info
                 if (step.documentNumber || step.documentDate || step.completedAt) {
                     const docNum = step.documentNumber || '-';
-                    const docDate = step.documentDate || '-';
-                    const completedDate = step.completedAt ? new Date(step.completedAt).toLocaleDateString('th-TH', { day: '2-digit', month: '2-digit', year: 'numeric' }) : '-';
+                    const docDate = ThaiDate.format(step.documentDate);
+                    const completedDate = step.completedAt ? ThaiDate.format(step.completedAt) : '-';
 
                     html += `
                         <div style="background: #f8fafc; border: 1px solid #e2e8f0; border-radius: 4px; padding: 8px 12px; margin: 4px 0 12px 14px; font-size: 13px;">
@@ -2606,6 +9440,57 @@ class App {
                     `;
                 }
 
+                // Committee roster
+                if (step.committee) {
+                    const committee = step.committee;
+                    html += `
+                        <div style="margin: 4px 0 10px 20px; font-size: 13px;">
+                            <div style="font-weight: 700; color: #475569;">${COMMITTEE_TYPES[committee.type] ? COMMITTEE_TYPES[committee.type].label : 'คณะกรรมการ'}
+                                <span style="font-weight: 400;">(คำสั่งที่ ${this.escapeHtml(committee.orderNumber || '-')} ลงวันที่ ${ThaiDate.format(committee.orderDate)})</span></div>
+                            ${committee.members.map((m, i) => `
+                                <div style="margin-left: 8px;">${i + 1}. ${this.escapeHtml(m.name)}${m.position ? ` ${this.escapeHtml(m.position)}` : ''} — ${COMMITTEE_ROLE_LABELS[m.role] || m.role}</div>
+                            `).join('')}
+                        </div>
+                    `;
+                }
+
+                // Median price worksheet
+                if (step.priceWorksheet) {
+                    const ws = step.priceWorksheet;
+                    const money = (n) => new Intl.NumberFormat('th-TH', { maximumFractionDigits: 2 }).format(n);
+                    const cell = 'padding: 4px 6px; border: 1px solid #e2e8f0;';
+                    html += `
+                        <div style="margin: 4px 0 10px 20px; font-size: 12px;">
+                            <div style="font-weight: 700; color: #475569; font-size: 13px;">ตารางคำนวณราคากลาง
+                                <span style="font-weight: 400;">(${PRICE_METHOD_LABELS[ws.method] || ws.method})</span></div>
+                            ${ws.sources.map((source, i) => `
+                                <div style="margin-left: 8px;">แหล่งที่ ${i + 1}: ${this.escapeHtml(source.name || '-')} — ${PRICE_SOURCE_LABELS[source.type] || source.type}${source.reference ? ` (${this.escapeHtml(source.reference)})` : ''}</div>
+                            `).join('')}
+                            <table style="width: 100%; border-collapse: collapse; margin-top: 4px;">
+                                <tr style="background: #f1f5f9;">
+                                    <th style="${cell}">#</th><th style="${cell}">รายการ</th><th style="${cell}">จำนวน</th>
+                                    ${ws.sources.map((source, i) => `<th style="${cell}">แหล่งที่ ${i + 1}</th>`).join('')}
+                                    <th style="${cell}">ราคาต่อหน่วย</th><th style="${cell}">รวม</th>
+                                </tr>
+                                ${ws.items.map((item, i) => `
+                                    <tr>
+                                        <td style="${cell} text-align: center;">${i + 1}</td>
+                                        <td style="${cell}">${this.escapeHtml(item.description)}</td>
+                                        <td style="${cell} text-align: right;">${money(item.quantity)} ${this.escapeHtml(item.unit)}</td>
+                                        ${ws.sources.map(source => `<td style="${cell} text-align: right;">${item.prices[source.id] ? money(item.prices[source.id]) : '-'}</td>`).join('')}
+                                        <td style="${cell} text-align: right;">${money(PriceWorksheet.unitPrice(ws, item) || 0)}</td>
+                                        <td style="${cell} text-align: right;">${money(PriceWorksheet.itemTotal(ws, item))}</td>
+                                    </tr>
+                                `).join('')}
+                                <tr style="font-weight: 700;">
+                                    <td style="${cell} text-align: right;" colspan="${ws.sources.length + 4}">ราคากลางรวม</td>
+                                    <td style="${cell} text-align: right;">${money(PriceWorksheet.total(ws))}</td>
+                                </tr>
+                            </table>
+                        </div>
+                    `;
+                }
+
                 // Checklist
                 if (step.checklist && step.checklist.length > 0) {
                     step.checklist.forEach(item => {
@@ -2616,17 +9501,17 @@ class App {
                 }
 
                 // Timeline notes
-                const timeline = step.timeline || (Array.isArray(step.notes) ? step.notes.filter(n => !n.type || n.type === 'timeline') : []);
+                const timeline = step.timeline;
                 if (timeline.length > 0) {
                     html += `<div style="margin-left: 20px; margin-top: 6px; font-weight: 700; color: #475569; font-size: 13px;">บันทึกเหตุการณ์:</div>`;
                     timeline.forEach(note => {
-                        const timeStr = new Date(note.timestamp).toLocaleString('th-TH');
+                        const timeStr = ThaiDate.format(note.timestamp, true);
                         html += `<div style="margin-left: 28px; border-left: 3px solid #6366f1; padding-left: 8px; margin-bottom: 4px; font-size: 13px;">${timeStr} — ${this.escapeHtml(note.text)}</div>`;
                     });
                 }
 
                 // Postits
-                const postits = step.postits || (Array.isArray(step.notes) ? step.notes.filter(n => n.type === 'postit') : []);
+                const postits = step.postits;
                 if (postits.length > 0) {
                     html += `<div style="margin-left: 20px; margin-top: 6px; font-weight: 700; color: #475569; font-size: 13px;">กระดาษโน้ต:</div>`;
                     postits.forEach(note => {
@@ -2637,6 +9522,36 @@ class App {
                 html += `<div style="margin-bottom: 12px;"></div>`;
             });
 
+            // --- Audit Trail ---
+            const history = project.archivedHistory
+                ? [...await DataStore.getArchivedHistory(project.id), ...project.history]
+                : project.history;
+            if (history.length > 0) {
+                const pdfValue = (value) => this.formatChangeValue(value);
+                html += `<div style="font-size: 17px; font-weight: 700; color: #4f46e5; margin: 20px 0 10px;">ประวัติการแก้ไข (Audit Trail)</div>`;
+                html += `<table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+                    <tr style="background: #f1f5f9;">
+                        <th style="padding: 6px 8px; border: 1px solid #e2e8f0; text-align: left; width: 120px;">วันที่/เวลา</th>
+                        <th style="padding: 6px 8px; border: 1px solid #e2e8f0; text-align: left; width: 110px;">ผู้แก้ไข</th>
+                        <th style="padding: 6px 8px; border: 1px solid #e2e8f0; text-align: left;">รายการ</th>
+                    </tr>`;
+                history.forEach(entry => {
+                    const lines = entry.changes.map(c => {
+                        if (c.op === 'push') return `${this.escapeHtml(c.field)}: เพิ่ม ${pdfValue(c.new)}`;
+                        if (c.op === 'remove') return `${this.escapeHtml(c.field)}: ลบ ${pdfValue(c.old)}`;
+                        return `${this.escapeHtml(c.field)}: ${pdfValue(c.old)} → ${pdfValue(c.new)}`;
+                    });
+                    if (entry.summary) lines.unshift(this.escapeHtml(entry.summary));
+                    html += `
+                        <tr>
+                            <td style="padding: 5px 8px; border: 1px solid #e2e8f0; vertical-align: top;">${ThaiDate.format(entry.at, true)}</td>
+                            <td style="padding: 5px 8px; border: 1px solid #e2e8f0; vertical-align: top;">${this.escapeHtml(entry.actor)}</td>
+                            <td style="padding: 5px 8px; border: 1px solid #e2e8f0;">${lines.join('<br>')}</td>
+                        </tr>`;
+                });
+                html += `</table>`;
+            }
+
             // --- Footer placeholder (will be added per-page later) ---
             container.innerHTML = html;
             document.body.appendChild(container);
@@ -2698,7 +9613,7 @@ class App {
                 doc.setPage(i);
                 doc.setFontSize(8);
                 doc.setTextColor(148, 163, 184);
-                doc.text(`Procurement Tracker System - ${new Date().toLocaleString('th-TH')} - Page ${i}/${pageCount}`, 105, 292, { align: 'center' });
+                doc.text(`Procurement Tracker System - ${ThaiDate.format(new Date(), true)} - Page ${i}/${pageCount}`, 105, 292, { align: 'center' });
             }
 
             doc.save(`Project_Report_${project.name}.pdf`);
@@ -2716,24 +9631,207 @@ class App {
         return div.innerHTML;
     }
 
-    _formatDDMMYYYY(date) {
-        const d = String(date.getDate()).padStart(2, '0');
-        const m = String(date.getMonth() + 1).padStart(2, '0');
-        const y = date.getFullYear();
-        return `${d}/${m}/${y}`;
+    // A BE date input (see ThaiDate) for a 'YYYY-MM-DD' value; call
+    // attachDatePickers on its container once it is in the page. The picker
+    // is kept inside the container (`static`) so re-rendering removes it too.
+    // Inputs marked `data-time` take a time as well ('YYYY-MM-DDTHH:mm').
+    dateInput(field, value, attributes = '') {
+        return `<input type="text" class="date-input" data-field="${field}" value="${value ? ThaiDate.format(value) : ''}" placeholder="วว/ดด/ปปปป" ${attributes}>`;
+    }
+
+    attachDatePickers(container) {
+        container.querySelectorAll('input.date-input').forEach(input => {
+            if (!input._flatpickr) flatpickr(input, { ...ThaiDate.pickerOptions('time' in input.dataset), static: true });
+        });
+    }
+
+    setDateInput(input, value) {
+        if (input._flatpickr) input._flatpickr.setDate(value ? ThaiDate.toDate(value) : null);
+        else input.value = value ? ThaiDate.format(value, 'time' in input.dataset) : '';
+    }
+
+    readDateInput(input) {
+        const date = ThaiDate.parse(input.value);
+        if (!date) return null;
+        if (!('time' in input.dataset)) return ThaiDate.toDateString(date);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${ThaiDate.toDateString(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+}
+
+// --- Shared Project View ---
+// What a share link opens: the published copy of one project (see
+// ShareLinks.snapshot), read-only and without the app shell or an account.
+
+class SharedProjectView {
+    static async open(token) {
+        document.querySelector('.app-container').style.display = 'none';
+        this.container = document.getElementById('share-view');
+        this.container.style.display = 'block';
+
+        let share = null;
+        try {
+            share = await DataStore.getShare(token);
+        } catch (error) {
+            console.error("Error loading shared project:", error);
+        }
+        if (!share || share.project.trashed) {
+            this.container.innerHTML = `
+                <div class="share-unavailable">
+                    <i class="fa-solid fa-link-slash"></i>
+                    <h2>ไม่สามารถเปิดลิงก์นี้ได้</h2>
+                    <p>ลิงก์อาจหมดอายุ ถูกยกเลิก หรือโครงการถูกลบไปแล้ว กรุณาติดต่อผู้ที่ส่งลิงก์ให้คุณ</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.share = share;
+        this.stepIndex = share.project.currentStepIndex || 0;
+        this.render();
+    }
+
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+
+    static formatDate(iso, withTime = false) {
+        return iso ? ThaiDate.format(iso, withTime) : '-';
+    }
+
+    static renderNotes(title, icon, notes) {
+        if (!notes || notes.length === 0) return '';
+        return `
+            <h3 style="margin-top: 1.5rem;"><i class="${icon}"></i> ${title}</h3>
+            <div class="notes-list">
+                ${notes.map(n => `
+                    <div class="share-note">
+                        <div class="share-note-date"><i class="fa-regular fa-clock"></i> ${this.formatDate(n.timestamp, true)}</div>
+                        <div>${this.escapeHtml(n.text)}</div>
+                        ${n.attachments.map(a => `
+                            <span class="share-note-attachment" title="ไฟล์แนบเปิดได้เฉพาะสมาชิก Workspace">
+                                <i class="fa-solid fa-paperclip"></i> ${this.escapeHtml(a.name)}
+                            </span>
+                        `).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        `;
     }
 
-    _parseDDMMYYYY(str) {
-        if (!str) return null;
-        const parts = str.split('/');
-        if (parts.length !== 3) return null;
-        const [d, m, y] = parts.map(Number);
-        if (!d || !m || !y) return null;
-        return new Date(y, m - 1, d);
+    static render() {
+        const project = this.share.project;
+        const step = project.steps[this.stepIndex];
+        const completedCount = project.steps.filter(s => s.completed).length;
+        const percent = project.steps.length ? Math.round((completedCount / project.steps.length) * 100) : 0;
+        const methodLabels = { 'e-bidding': 'e-bidding', 'specific': 'เฉพาะเจาะจง', 'selection': 'คัดเลือก' };
+        const typeLabels = { 'buy': 'ซื้อ', 'hire': 'จ้าง', 'rent': 'เช่า' };
+
+        this.container.innerHTML = `
+            <header class="share-header">
+                <div class="brand" style="padding-bottom: 0;">
+                    <i class="fa-solid fa-cube brand-icon"></i>
+                    <h1>ProTracker</h1>
+                </div>
+                <span class="share-readonly-badge"><i class="fa-solid fa-eye"></i> มุมมองอ่านอย่างเดียว</span>
+            </header>
+
+            <div class="project-info-card">
+                <div class="project-title-row">
+                    <h1>${this.escapeHtml(project.name)}</h1>
+                    <span class="status-badge ${project.status === 'completed' ? 'status-completed' : 'status-active'}">
+                        ${project.status === 'completed' ? 'เสร็จสิ้น' : 'กำลังดำเนินการ'}
+                    </span>
+                </div>
+                <div class="project-meta">
+                    <span><i class="fa-solid fa-calendar"></i> เริ่ม: ${this.formatDate(project.createdAt)}</span>
+                    <span><i class="fa-solid fa-flag"></i> สิ้นสุด: ${this.formatDate(project.deadline)}</span>
+                    <span><i class="fa-solid fa-tag"></i> ประเภท: ${typeLabels[project.purchaseType] || '-'}</span>
+                    <span><i class="fa-solid fa-handshake"></i> วิธีการ: ${methodLabels[project.procurementMethod] || '-'}</span>
+                </div>
+                <div class="overall-progress">
+                    <div class="progress-bar-container">
+                        <div class="progress-bar" style="width: ${percent}%"></div>
+                    </div>
+                    <span class="progress-text">ความคืบหน้า ${percent}%</span>
+                </div>
+            </div>
+
+            <div class="workflow-container">
+                <div class="workflow-tabs">
+                    ${project.steps.map((s, i) => `
+                        <div class="step-tab ${i === this.stepIndex ? 'active' : ''} ${s.completed ? 'completed' : ''}" data-step="${i}">
+                            <i class="${s.completed ? 'fa-solid fa-circle-check' : 'fa-regular fa-circle'}"></i>
+                            <span>${this.escapeHtml(s.title)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+
+                <div class="workflow-content">
+                    <div class="step-header">
+                        <h2>${this.stepIndex + 1}. ${this.escapeHtml(step.title)}</h2>
+                        ${step.completed ? `
+                            <div style="margin-top: 10px; padding: 10px 14px; background: rgba(16,185,129,0.1); border-left: 3px solid #10b981; border-radius: 6px; font-size: 0.85rem; color: var(--text-secondary);">
+                                <div><i class="fa-solid fa-file-lines" style="color: #6366f1;"></i> เลขหนังสือ: <strong>${this.escapeHtml(step.documentNumber || '-')}</strong></div>
+                                <div style="margin-top: 4px;"><i class="fa-solid fa-calendar-day" style="color: #f59e0b;"></i> ลงวันที่: <strong>${this.escapeHtml(ThaiDate.format(step.documentDate))}</strong></div>
+                                <div style="margin-top: 4px;"><i class="fa-solid fa-circle-check" style="color: #10b981;"></i> วันที่เสร็จสิ้น/อนุมัติ: <strong>${this.formatDate(step.completedAt)}</strong></div>
+                            </div>
+                        ` : ''}
+                    </div>
+
+                    <div class="checklist-section">
+                        <h3><i class="fa-solid fa-list-check"></i> รายการตรวจสอบ (Checklist)</h3>
+                        <ul class="checklist-items">
+                            ${step.checklist.length === 0 ? '<div class="empty-state-small">ไม่มีรายการ</div>' : step.checklist.map(item => `
+                                <li class="checklist-item ${item.checked ? 'checked' : ''}">
+                                    <i class="${item.checked ? 'fa-solid fa-square-check' : 'fa-regular fa-square'}" style="color: ${item.checked ? 'var(--success)' : 'var(--text-muted)'};"></i>
+                                    <div style="flex: 1; display: flex; flex-direction: column; gap: 0.25rem;">
+                                        <span class="checklist-text">${this.escapeHtml(item.text)}</span>
+                                        ${item.deadline ? `<div class="deadline-badge"><i class="fa-solid fa-flag-checkered"></i> ${this.formatDate(item.deadline, true)}</div>` : ''}
+                                        ${(item.notes || []).map(n => `<div class="item-note"><div class="item-note-text">${this.escapeHtml(n.text)}</div></div>`).join('')}
+                                    </div>
+                                    <div class="checklist-date">${item.completedAt ? this.formatDate(item.completedAt, true) : ''}</div>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </div>
+
+                    ${this.renderNotes('บันทึกเหตุการณ์ (Timeline)', 'fa-solid fa-timeline', step.timeline)}
+                    ${this.renderNotes('กระดาษโน้ต (Post-it)', 'fa-solid fa-note-sticky', step.postits)}
+                </div>
+            </div>
+
+            <p class="share-footer">
+                ข้อมูล ณ ${this.formatDate(this.share.updatedAt, true)}
+                ${this.share.expiresAt ? ` · ลิงก์ใช้ได้ถึง ${this.formatDate(this.share.expiresAt, true)}` : ''}
+            </p>
+        `;
+
+        this.container.querySelectorAll('[data-step]').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.stepIndex = parseInt(tab.dataset.step);
+                this.render();
+            });
+        });
     }
 }
 
 // Start App
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    // Share links open the read-only view, no account needed
+    const shareToken = new URLSearchParams(location.search).get('share');
+    try {
+        await Promise.all([DataStore.init(), FileStore.init(), ...(shareToken ? [] : [Auth.init()])]);
+    } catch (e) {
+        console.error(e);
+        alert("เกิดข้อผิดพลาดในการเชื่อมต่อระบบจัดเก็บข้อมูล: " + e.message);
+        return;
+    }
+    if (shareToken) {
+        SharedProjectView.open(shareToken);
+        return;
+    }
     new App();
 });